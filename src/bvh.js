@@ -0,0 +1,239 @@
+import { onToleranceChange } from './util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+// The maximum number of faces in a leaf node
+const LEAF_SIZE = 4;
+
+const DIMENSIONS = [ 'x', 'y', 'z' ];
+
+// Helper function that computes the smallest box containing both box1 and box2
+function union(box1, box2) {
+	const result = {};
+	for (let dim of DIMENSIONS) {
+		result[`${dim}min`] = Math.min(box1[`${dim}min`], box2[`${dim}min`]);
+		result[`${dim}max`] = Math.max(box1[`${dim}max`], box2[`${dim}max`]);
+	}
+	return result;
+}
+
+// Helper function that checks whether two boxes overlap (or touch, within EPSILON)
+function overlaps(box1, box2) {
+	return DIMENSIONS.every(dim =>
+		box1[`${dim}min`] <= box2[`${dim}max`] + EPSILON && box2[`${dim}min`] <= box1[`${dim}max`] + EPSILON);
+}
+
+// Helper function that computes the volume of a box
+function volume(box) {
+	return DIMENSIONS.reduce((product, dim) => product * (box[`${dim}max`] - box[`${dim}min`]), 1);
+}
+
+// Helper function that computes the distance of point from box (or 0 if point is inside the box)
+function distance(box, point) {
+	return Math.hypot(...DIMENSIONS.map(dim => 
+		Math.max(box[`${dim}min`] - point[dim], 0, point[dim] - box[`${dim}max`])));
+}
+
+/**
+ * A bounding volume hierarchy over the faces of a mesh. It is a binary tree of axis-aligned bounding boxes, where
+ * every node's box contains the boxes of its children, and the leaves hold the faces.
+ *
+ * Queries descend only into nodes whose boxes can contain results, which allows them to skip most of the mesh.
+ * All queries work on the bounding boxes of the faces, so they return candidates: they are guaranteed to contain
+ * all faces that actually satisfy the query, but may contain some that don't. Callers need to test the candidates
+ * exactly.
+ *
+ * Faces are referred to by their index in the mesh the hierarchy was built from. The hierarchy does not
+ * update when that mesh changes.
+ */
+class BVH {
+	/**
+	 * The root node of the hierarchy. Every node is an object `{ box, left, right, faces }`, where `box` is the
+	 * node's bounding box, `left` and `right` are its children (or `null` for leaf nodes), and `faces` holds the
+	 * indices of the faces in a leaf node (or is `null` for inner nodes).
+	 *
+	 * This is `null` if the hierarchy was built from an empty mesh.
+	 * @type {Object}
+	 */
+	root;
+
+	// The bounding boxes of the faces, by index
+	#boxes;
+
+	/**
+	 * Builds a bounding volume hierarchy for the given faces.
+	 *
+	 * Nodes are split at the median of the face centers along the longest axis of the node.
+	 * @param  {Polygon[]} faces The faces to build the hierarchy for. This will usually be a `Mesh`.
+	 */
+	constructor(faces) {
+		const boxes = this.#boxes = faces.map(face => face.getBoundingBox());
+		const centers = boxes.map(box => Object.fromEntries(DIMENSIONS.map(dim => [ dim, (box[`${dim}min`] + box[`${dim}max`]) / 2 ])));
+
+		const build = indices => {
+			const box = indices.map(i => boxes[i]).reduce(union);
+			if (indices.length <= LEAF_SIZE)
+				return { box, left: null, right: null, faces: indices };
+
+			const axis = DIMENSIONS.reduce((prev, curr) =>
+				box[`${curr}max`] - box[`${curr}min`] > box[`${prev}max`] - box[`${prev}min`] ? curr : prev);
+			indices.sort((i, j) => centers[i][axis] - centers[j][axis]);
+			const middle = indices.length >> 1;
+			return {
+				box,
+				left: build(indices.slice(0, middle)),
+				right: build(indices.slice(middle)),
+				faces: null
+			};
+		}
+
+		this.root = faces.length > 0 ? build(faces.map((_, i) => i)) : null;
+	}
+
+	// Helper method that collects all faces whose boxes pass the given test
+	#query(test) {
+		const result = [];
+		const stack = this.root ? [ this.root ] : [];
+		while (stack.length > 0) {
+			const node = stack.pop();
+			if (!test(node.box)) continue;
+			if (node.faces)
+				result.push(...node.faces.filter(i => test(this.#boxes[i])));
+			else
+				stack.push(node.left, node.right);
+		}
+		return result;
+	}
+
+	/**
+	 * Finds the faces whose bounding boxes are hit by `ray`.
+	 * @param  {Ray} ray The ray to cast.
+	 * @return {Number[]}     The indices of the candidate faces.
+	 */
+	queryRay(ray) {
+		// Slab test: the ray hits the box if the intervals along the ray in which it is between the box's
+		// bounds in each dimension overlap.
+		return this.#query(box => {
+			let tmin = 0;
+			let tmax = Infinity;
+			for (let dim of DIMENSIONS) {
+				const min = box[`${dim}min`] - EPSILON;
+				const max = box[`${dim}max`] + EPSILON;
+				const origin = ray.origin[dim];
+				const direction = ray.direction[dim];
+				if (direction === 0) {
+					if (origin < min || origin > max) return false;
+				} else {
+					let t1 = (min - origin) / direction;
+					let t2 = (max - origin) / direction;
+					if (t1 > t2) [ t1, t2 ] = [ t2, t1 ];
+					tmin = Math.max(tmin, t1);
+					tmax = Math.min(tmax, t2);
+					if (tmin > tmax) return false;
+				}
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * Finds the faces whose bounding boxes overlap `box`.
+	 * @param  {Object} box The box to check, as an object with properties `xmin`, `xmax`, `ymin`, `ymax`, `zmin` and `zmax`.
+	 * @return {Number[]}     The indices of the candidate faces.
+	 */
+	queryBox(box) {
+		return this.#query(nodeBox => overlaps(nodeBox, box));
+	}
+
+	/**
+	 * Finds the faces whose bounding boxes intersect or touch the plane given by `normal` and `distance`.
+	 * @param  {Vector} normal   The normal vector of the plane.
+	 * @param  {Number} distance The distance from origin of the plane.
+	 * @return {Number[]}          The indices of the candidate faces.
+	 */
+	queryPlane(normal, distance) {
+		return this.#query(box => {
+			// The box intersects the plane if its corners closest and farthest along the normal are on different sides
+			let min = 0;
+			let max = 0;
+			for (let dim of DIMENSIONS) {
+				const lo = normal[dim] * box[`${dim}min`];
+				const hi = normal[dim] * box[`${dim}max`];
+				min += Math.min(lo, hi);
+				max += Math.max(lo, hi);
+			}
+			return min <= distance + EPSILON && max >= distance - EPSILON;
+		});
+	}
+
+	/**
+	 * Finds the face closest to `point`. 
+	 *
+	 * Unlike the other queries, this returns an exact result. Therefore, the exact distance of the faces from 
+	 * the point needs to be given as a function. It is called only for faces whose bounding boxes are closer
+	 * to the point than the closest face found so far.
+	 * @param  {Vector} point    The point for which to find the closest face.
+	 * @param  {Function} distanceTo A function that takes the index of a face and returns the distance of that face
+	 * from `point`.
+	 * @return {Object|null}          An object `{ index, distance }` holding the index of the closest face and its 
+	 * distance from `point`, or `null` if the hierarchy is empty.
+	 */
+	queryNearest(point, distanceTo) {
+		let result = null;
+		const stack = this.root ? [ this.root ] : [];
+		while (stack.length > 0) {
+			const node = stack.pop();
+			if (result !== null && distance(node.box, point) >= result.distance) continue;
+
+			if (node.faces) {
+				for (let index of node.faces) {
+					if (result !== null && distance(this.#boxes[index], point) >= result.distance) continue;
+					const d = distanceTo(index);
+					if (result === null || d < result.distance)
+						result = { index, distance: d };
+				}
+			} else {
+				// Visit the nearer child first, so that far nodes are more likely to be skipped
+				const [ near, far ] = distance(node.left.box, point) <= distance(node.right.box, point) ? 
+					[ node.left, node.right ] : 
+					[ node.right, node.left ];
+				stack.push(far, near);
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Finds all pairs of faces from this hierarchy and `other` whose bounding boxes overlap.
+	 * @param  {BVH} other The other bounding volume hierarchy.
+	 * @return {Number[][]}       An array of pairs `[ i, j ]`, where `i` is the index of a face of this hierarchy and
+	 * `j` is the index of a face of `other`.
+	 */
+	queryOverlaps(other) {
+		const result = [];
+		const stack = this.root && other.root ? [ [ this.root, other.root ] ] : [];
+		while (stack.length > 0) {
+			const [ node1, node2 ] = stack.pop();
+			if (!overlaps(node1.box, node2.box)) continue;
+
+			if (node1.faces && node2.faces) {
+				for (let i of node1.faces)
+					for (let j of node2.faces)
+						if (overlaps(this.#boxes[i], other.#boxes[j]))
+							result.push([ i, j ]);
+			} else if (node1.faces || (node2.faces === null && volume(node2.box) > volume(node1.box))) {
+				// Descend into the larger of the two nodes
+				stack.push([ node1, node2.left ], [ node1, node2.right ]);
+			} else {
+				stack.push([ node1.left, node2 ], [ node1.right, node2 ]);
+			}
+		}
+		return result;
+	}
+}
+
+export default BVH;
\ No newline at end of file
@@ -0,0 +1,76 @@
+import Rational from './rational.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const EPSILON = Number(url.searchParams.get('epsilon'));
+
+const Matrix = (await import(`../matrix.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * A 3x3 matrix with exact rational entries. The entries are stored in row-major order.
+ */
+class ExactMatrix extends Array {
+	constructor(m11, m12, m13, m21, m22, m23, m31, m32, m33) {
+		super(9);
+		[ m11, m12, m13, m21, m22, m23, m31, m32, m33 ].forEach((entry, i) => this[i] = Rational.from(entry));
+	}
+	/*
+		Applying Array operations to a matrix will yield an array, not a matrix
+	 */
+	static get [Symbol.species]() { return Array }
+
+	/**
+	 * Converts `matrix` into an exact matrix with exactly the same entries.
+	 * @param  {Matrix|ExactMatrix} matrix The matrix to convert. If it is already an `ExactMatrix`, it is returned as is.
+	 * @return {ExactMatrix}        The exact matrix.
+	 */
+	static fromMatrix(matrix) {
+		return matrix instanceof ExactMatrix ? matrix : new ExactMatrix(...matrix);
+	}
+
+	/**
+	 * Converts this matrix into a floating-point `Matrix`. This is generally not exact.
+	 * @return {Matrix} The floating-point matrix closest to this matrix.
+	 */
+	toMatrix() {
+		return new Matrix(...this.map(entry => entry.toNumber()));
+	}
+
+	/**
+	 * Computes the determinant of this matrix exactly.
+	 * @return {Rational} The determinant.
+	 */
+	determinant() {
+		const [ a, b, c, d, e, f, g, h, i ] = this;
+		return a.multiply(e.multiply(i).subtract(f.multiply(h)))
+			.subtract(b.multiply(d.multiply(i).subtract(f.multiply(g))))
+			.add(c.multiply(d.multiply(h).subtract(e.multiply(g))));
+	}
+
+	/**
+	 * Whether this matrix is exactly equal to `other`.
+	 * @param  {ExactMatrix} other The other matrix.
+	 * @return {boolean}       `true` if all entries are equal, `false` otherwise.
+	 */
+	equals(other) {
+		return this.every((entry, i) => entry.equals(other[i]));
+	}
+
+	static fromRows(r1, r2, r3) {
+		return new ExactMatrix(
+			r1.x, r1.y, r1.z,
+			r2.x, r2.y, r2.z,
+			r3.x, r3.y, r3.z
+		);
+	}
+
+	static fromColumns(c1, c2, c3) {
+		return new ExactMatrix(
+			c1.x, c2.x, c3.x,
+			c1.y, c2.y, c3.y,
+			c1.z, c2.z, c3.z
+		);
+	}
+}
+
+export default ExactMatrix;
\ No newline at end of file
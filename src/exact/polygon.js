@@ -0,0 +1,136 @@
+import Rational from './rational.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const EPSILON = Number(url.searchParams.get('epsilon'));
+
+const Polygon = (await import(`../polygon.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`../plane.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * Calculates the intersection point of the segment from `P1` to `P2` with the plane on which the (signed) value `s`
+ * varies linearly, being `s1` at `P1` and `s2` at `P2`. It is assumed that `s1` and `s2` have opposite signs.
+ * @param  {ExactVector} P1 The start of the segment.
+ * @param  {ExactVector} P2 The end of the segment.
+ * @param  {Rational} s1 The value at `P1`.
+ * @param  {Rational} s2 The value at `P2`.
+ * @return {ExactVector}    The intersection point.
+ */
+export function interpolate(P1, P2, s1, s2) {
+	return P1.add(P2.subtract(P1).scale(s1.divide(s1.subtract(s2))));
+}
+
+/**
+ * A polygon whose vertices have exact rational coordinates. Unlike `Polygon`, exact polygons do not have holes, and
+ * their vertices are kept in the order they are given in.
+ */
+class ExactPolygon extends Array {
+	/**
+	 * Creates a new exact polygon. Floating-point vertices are converted exactly.
+	 * @param  {...ExactVector|Vector} vertices The vertices of the polygon. They can also be passed as a single array.
+	 */
+	constructor(...vertices) {
+		if (vertices.length === 1 && Array.isArray(vertices[0]))
+			vertices = vertices[0];
+		super(vertices.length);
+		vertices.forEach((vertex, i) => this[i] = ExactVector.fromVector(vertex));
+	}
+	/*
+		Applying Array operations to a polygon will yield an array, not a polygon
+	 */
+	static get [Symbol.species]() { return Array }
+
+	/**
+	 * Converts `polygon` into an exact polygon with exactly the same vertices.
+	 * @param  {Polygon|ExactPolygon} polygon The polygon to convert. If it is already an `ExactPolygon`, it is
+	 * returned as is.
+	 * @return {ExactPolygon}         The exact polygon.
+	 * @throws {TypeError} If `polygon` has holes.
+	 */
+	static fromPolygon(polygon) {
+		if (polygon instanceof ExactPolygon) return polygon;
+		if (polygon.holes?.length > 0) throw new TypeError(`Exact polygons cannot have holes`);
+		return new ExactPolygon(Array.from(polygon));
+	}
+
+	/**
+	 * Converts this polygon into a floating-point `Polygon`. This is generally not exact.
+	 * @return {Polygon} The floating-point polygon closest to this polygon.
+	 */
+	toPolygon() {
+		return new Polygon(this.map(vertex => vertex.toVector()));
+	}
+
+	/**
+	 * The normal of this polygon, computed exactly using Newell's method. Its length is twice the polygon's area, and
+	 * it points to the side from which the polygon is wound counter-clockwise.
+	 * @type {ExactVector}
+	 */
+	get normal() {
+		return this.reduce((normal, vertex, i) => normal.add(ExactVector.cross(vertex, this[(i + 1) % this.length])), ExactVector.ZERO);
+	}
+
+	/**
+	 * Cuts this polygon exactly along the plane given by `normal` and `offset`, i.e. the plane of all points `X` with
+	 * `normal * X = offset`. Alternatively, the cut plane can be passed as a `Plane`. The pieces keep the orientation 
+	 * of this polygon, so exact cuts can be chained.
+	 *
+	 * This polygon must be convex, although this is not checked. The pieces of a cut convex polygon are convex again,
+	 * so this is always the case for the results of previous cuts of triangles.
+	 * @param  {ExactVector|Vector|Plane} normal The normal vector of the cut plane, or the cut plane itself.
+	 * @param  {Rational|Number} [offset] The offset of the cut plane. This is ignored if `normal` is a `Plane`.
+	 * @return {Object}           An object `{ above, below }` holding the parts of this polygon on the
+	 * greater-than-or-equal and on the less-than-or-equal side of the cut plane. Each is an `ExactPolygon`, which is
+	 * empty if there is no part of this polygon on that side. If the polygon is co-planar with the cut plane, it is 
+	 * returned in both `above` and `below`.
+	 */
+	cut(normal, offset) {
+		if (normal instanceof Plane)
+			({ normal, distance: offset } = normal);
+		normal = ExactVector.fromVector(normal);
+		offset = Rational.from(offset);
+
+		const distances = this.map(vertex => ExactVector.dot(normal, vertex).subtract(offset));
+		const sides = distances.map(d => d.sign());
+		if (sides.every(side => side === 0))
+			return { above: this, below: this };
+		else if (sides.every(side => side >= 0))
+			return { above: this, below: new ExactPolygon() };
+		else if (sides.every(side => side <= 0))
+			return { above: new ExactPolygon(), below: this };
+
+		/*
+			The polygon crosses the cut plane. Walk around it, adding every vertex to the side(s) it is on, and adding
+			the intersection point of every edge crossing the plane to both sides. This keeps the vertex order.
+		 */
+		const above = [];
+		const below = [];
+		this.forEach((vertex, i) => {
+			const j = (i + 1) % this.length;
+			if (sides[i] >= 0) above.push(vertex);
+			if (sides[i] <= 0) below.push(vertex);
+			if (sides[i] * sides[j] < 0) {
+				const P = interpolate(vertex, this[j], distances[i], distances[j]);
+				above.push(P);
+				below.push(P);
+			}
+		});
+		return { above: new ExactPolygon(above), below: new ExactPolygon(below) };
+	}
+
+	/**
+	 * Whether this polygon is exactly equal to `other`, i.e. whether they have the same vertices in the same cyclic order.
+	 * @param  {ExactPolygon} other The other polygon.
+	 * @return {boolean}       `true` if the polygons are equal, `false` otherwise.
+	 */
+	equals(other) {
+		if (other.length !== this.length) return false;
+		if (this.length === 0) return true;
+
+		const offset = other.findIndex(vertex => vertex.equals(this[0]));
+		return offset > -1 && this.every((vertex, i) => vertex.equals(other[(i + offset) % other.length]));
+	}
+}
+
+export default ExactPolygon;
\ No newline at end of file
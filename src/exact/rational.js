@@ -0,0 +1,175 @@
+// Helper function that computes the greatest common divisor of the BigInts a and b
+function gcd(a, b) {
+	a = a < 0n ? -a : a;
+	b = b < 0n ? -b : b;
+	while (b !== 0n)
+		[ a, b ] = [ b, a % b ];
+	return a;
+}
+
+// Helper function that computes the number of bits needed to represent the absolute value of the BigInt n
+function bitLength(n) {
+	return (n < 0n ? -n : n).toString(2).length;
+}
+
+/**
+ * An exact rational number `numerator / denominator` with arbitrarily large `BigInt` numerator and denominator.
+ *
+ * Rationals are always kept in lowest terms, with a positive denominator. All arithmetic operations are exact, and
+ * return new rationals. They accept other rationals, as well as numbers and `BigInt`s, which are converted exactly.
+ */
+class Rational {
+	/**
+	 * The number zero.
+	 * @static
+	 * @type {Rational}
+	 */
+	static ZERO = new Rational(0n);
+	/**
+	 * The number one.
+	 * @static
+	 * @type {Rational}
+	 */
+	static ONE = new Rational(1n);
+
+	numerator;
+	denominator;
+
+	/**
+	 * Creates the rational number `numerator / denominator`.
+	 * @param  {BigInt} numerator   The numerator.
+	 * @param  {BigInt} [denominator=1n] The denominator. It must not be zero.
+	 * @throws {RangeError} If `denominator` is zero.
+	 */
+	constructor(numerator, denominator = 1n) {
+		numerator = BigInt(numerator);
+		denominator = BigInt(denominator);
+		if (denominator === 0n) throw new RangeError(`Division by zero`);
+
+		if (denominator < 0n) {
+			numerator = -numerator;
+			denominator = -denominator;
+		}
+		const divisor = gcd(numerator, denominator);
+		this.numerator = numerator / divisor;
+		this.denominator = denominator / divisor;
+	}
+
+	/**
+	 * Converts `value` into a rational number. The conversion is exact: since every finite floating-point number is a
+	 * fraction with a power of two as its denominator, the result has exactly the same value as `value`.
+	 * @param  {Rational|Number|BigInt} value The value to convert. If it is a `Rational`, it is returned as is.
+	 * @return {Rational}       The rational number with the same value as `value`.
+	 * @throws {TypeError} If `value` is a number that is not finite.
+	 */
+	static from(value) {
+		if (value instanceof Rational) return value;
+		if (typeof value === 'bigint') return new Rational(value);
+		if (!Number.isFinite(value)) throw new TypeError(`Cannot convert ${value} to a rational number`);
+
+		// Doubling a floating-point number is exact, and after at most 1074 doublings, any number is an integer
+		let denominator = 1n;
+		while (!Number.isInteger(value)) {
+			value *= 2;
+			denominator *= 2n;
+		}
+		return new Rational(BigInt(value), denominator);
+	}
+
+	add(other) {
+		other = Rational.from(other);
+		return new Rational(
+			this.numerator * other.denominator + other.numerator * this.denominator,
+			this.denominator * other.denominator
+		);
+	}
+
+	subtract(other) {
+		return this.add(Rational.from(other).negate());
+	}
+
+	multiply(other) {
+		other = Rational.from(other);
+		return new Rational(this.numerator * other.numerator, this.denominator * other.denominator);
+	}
+
+	/**
+	 * Divides this rational number by `other`.
+	 * @param  {Rational|Number|BigInt} other The divisor.
+	 * @return {Rational}       The quotient.
+	 * @throws {RangeError} If `other` is zero.
+	 */
+	divide(other) {
+		other = Rational.from(other);
+		return new Rational(this.numerator * other.denominator, this.denominator * other.numerator);
+	}
+
+	negate() {
+		return new Rational(-this.numerator, this.denominator);
+	}
+
+	/**
+	 * The sign of this rational number.
+	 * @return {Number} `+1` if this number is positive, `-1` if it is negative, and `0` if it is zero.
+	 */
+	sign() {
+		return this.numerator > 0n ? +1 : this.numerator < 0n ? -1 : 0;
+	}
+
+	/**
+	 * Compares this rational number with `other`.
+	 * @param  {Rational|Number|BigInt} other The number to compare with.
+	 * @return {Number}       A negative number if this number is less than `other`, a positive number if it is greater,
+	 * and `0` if they are equal.
+	 */
+	compare(other) {
+		return this.subtract(other).sign();
+	}
+
+	/**
+	 * Whether this rational number is exactly equal to `other`.
+	 * @param  {Rational|Number|BigInt} other The number to compare with.
+	 * @return {boolean}       `true` if the numbers are equal, `false` otherwise.
+	 */
+	equals(other) {
+		other = Rational.from(other);
+		return this.numerator === other.numerator && this.denominator === other.denominator;
+	}
+
+	/**
+	 * Converts this rational number into the closest floating-point number, rounding ties to even. This is generally
+	 * not exact.
+	 * @return {Number} The floating-point number closest to this rational number.
+	 */
+	toNumber() {
+		if (this.numerator === 0n) return 0;
+		const sign = this.numerator < 0n ? -1 : +1;
+		const numerator = this.numerator < 0n ? -this.numerator : this.numerator;
+		const denominator = this.denominator;
+
+		/*
+			Scale the number by 2^shift so that its integer part q has 53 bits, the precision of floating-point numbers,
+			and round q to the nearest integer. Subnormal numbers have less precision, which is why the shift is capped
+			at 1074. Then q * 2^-shift is the closest floating-point number. Multiplying with a power of two is exact 
+			(or overflows to Infinity).
+		 */
+		const quotient = shift => shift >= 0 ? 
+			[ numerator << BigInt(shift), denominator ] :
+			[ numerator, denominator << BigInt(-shift) ];
+		let shift = 53 - (bitLength(numerator) - bitLength(denominator));
+		let [ n, d ] = quotient(shift);
+		if (n / d >= 2n ** 53n) [ n, d ] = quotient(--shift);
+		if (shift > 1074) [ n, d ] = quotient(shift = 1074);
+
+		let q = n / d;
+		const twiceRemainder = 2n * (n % d);
+		if (twiceRemainder > d || twiceRemainder === d && q % 2n === 1n) q++;
+		return sign * Number(q) * 2 ** -shift;
+	}
+
+	toString() {
+		return this.denominator === 1n ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+	}
+}
+
+export default Rational;
\ No newline at end of file
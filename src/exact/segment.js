@@ -0,0 +1,112 @@
+import Rational from './rational.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const EPSILON = Number(url.searchParams.get('epsilon'));
+
+const Segment = (await import(`../segment.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * A line segment between two points with exact rational coordinates.
+ */
+class ExactSegment {
+	a;
+	b;
+
+	/**
+	 * Creates a new exact segment from `a` to `b`. Floating-point vectors are converted exactly.
+	 * @param  {ExactVector|Vector} a The start point.
+	 * @param  {ExactVector|Vector} b The end point.
+	 */
+	constructor(a, b) {
+		this.a = ExactVector.fromVector(a);
+		this.b = ExactVector.fromVector(b);
+	}
+
+	/**
+	 * Converts `segment` into an exact segment with exactly the same end points.
+	 * @param  {Segment|ExactSegment} segment The segment to convert. If it is already an `ExactSegment`, it is returned
+	 * as is.
+	 * @return {ExactSegment}         The exact segment.
+	 */
+	static fromSegment(segment) {
+		return segment instanceof ExactSegment ? segment : new ExactSegment(segment.a, segment.b);
+	}
+
+	/**
+	 * Converts this segment into a floating-point `Segment`. This is generally not exact.
+	 * @return {Segment} The floating-point segment closest to this segment.
+	 */
+	toSegment() {
+		return new Segment(this.a.toVector(), this.b.toVector());
+	}
+
+	direction() {
+		return this.b.subtract(this.a);
+	}
+
+	/**
+	 * Whether this segment is exactly equal to `other`. Segments are equal if they have the same end points, in either
+	 * order.
+	 * @param  {ExactSegment} other The other segment.
+	 * @return {boolean}       `true` if the segments are equal, `false` otherwise.
+	 */
+	equals(other) {
+		return this.a.equals(other.a) && this.b.equals(other.b)
+			|| this.a.equals(other.b) && this.b.equals(other.a);
+	}
+
+	/**
+	 * Calculates the exact intersection of this segment with `other`. The segments must not be degenerate, i.e. their
+	 * end points must be different.
+	 * @param  {ExactSegment} other The other segment.
+	 * @return {null|ExactVector|ExactSegment} `null` if the segments do not intersect, the intersection point if they
+	 * intersect in a single point, or the overlap if they are collinear and overlapping.
+	 */
+	intersect(other) {
+		const d1 = this.direction();
+		const d2 = other.direction();
+		const w = other.a.subtract(this.a);
+		const n = ExactVector.cross(d1, d2);
+
+		// Segments that are not co-planar do not intersect
+		if (ExactVector.dot(w, n).sign() !== 0) return null;
+
+		const between = t => t.sign() >= 0 && t.compare(Rational.ONE) <= 0;
+		if (n.isZero()) {
+			// The segments are parallel. If they are not collinear, they do not intersect
+			if (!ExactVector.cross(w, d1).isZero()) return null;
+
+			// Find the parameters of other's end points on this segment, and intersect [t1, t2] with [0, 1]
+			const length = ExactVector.dot(d1, d1);
+			let t1 = ExactVector.dot(w, d1).divide(length);
+			let t2 = ExactVector.dot(other.b.subtract(this.a), d1).divide(length);
+			if (t2.compare(t1) < 0) [ t1, t2 ] = [ t2, t1 ];
+			if (t1.compare(Rational.ZERO) < 0) t1 = Rational.ZERO;
+			if (t2.compare(Rational.ONE) > 0) t2 = Rational.ONE;
+
+			const overlap = t2.compare(t1);
+			if (overlap < 0) return null;
+			const P = this.a.add(d1.scale(t1));
+			return overlap === 0 ? P : new ExactSegment(P, this.a.add(d1.scale(t2)));
+		}
+
+		/*
+			The lines are co-planar and not parallel, so they intersect in a single point a + s * d1 = c + t * d2.
+			Crossing both sides with d2 resp. d1 and taking the dot product with n gives
+				s = ((c - a) x d2) * n / |n|^2
+				t = ((c - a) x d1) * n / |n|^2
+		 */
+		const lengthSquared = ExactVector.dot(n, n);
+		const s = ExactVector.dot(ExactVector.cross(w, d2), n).divide(lengthSquared);
+		const t = ExactVector.dot(ExactVector.cross(w, d1), n).divide(lengthSquared);
+		return between(s) && between(t) ? this.a.add(d1.scale(s)) : null;
+	}
+
+	toString() {
+		return `${this.a} -> ${this.b}`;
+	}
+}
+
+export default ExactSegment;
\ No newline at end of file
@@ -0,0 +1,166 @@
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const EPSILON = Number(url.searchParams.get('epsilon'));
+
+const Triangle = (await import(`../triangle.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+const ExactSegment = (await import(`./segment.js?epsilon=${EPSILON}`)).default;
+const { default: ExactPolygon, interpolate } = await import(`./polygon.js?epsilon=${EPSILON}`);
+
+// Helper function that turns the vertices of an intersection result into the appropriate shape, removing duplicate
+// consecutive vertices first. If the vertices are collinear, the result is the segment between the extreme ones.
+function toShape(vertices) {
+	vertices = vertices.filter((vertex, i) => !vertex.equals(vertices[(i + 1) % vertices.length]));
+	if (vertices.length >= 3 && new ExactPolygon(vertices).normal.isZero()) {
+		const direction = vertices.find(vertex => !vertex.equals(vertices[0])).subtract(vertices[0]);
+		const t = vertex => ExactVector.dot(direction, vertex);
+		const compare = (v1, v2) => t(v1).compare(t(v2));
+		vertices = [
+			vertices.reduce((min, vertex) => compare(vertex, min) < 0 ? vertex : min),
+			vertices.reduce((max, vertex) => compare(vertex, max) > 0 ? vertex : max)
+		];
+	}
+	switch (vertices.length) {
+		case 0: return null;
+		case 1: return vertices[0];
+		case 2: return new ExactSegment(...vertices);
+		case 3: return new ExactTriangle(vertices);
+		default: return new ExactPolygon(vertices);
+	}
+}
+
+/**
+ * A triangle whose vertices have exact rational coordinates.
+ *
+ * Unlike `Triangle`, an exact triangle keeps its vertices in the order they are given in. Its normal points to the
+ * side from which they appear in counter-clockwise order.
+ */
+class ExactTriangle extends ExactPolygon {
+	/**
+	 * Creates a new exact triangle. Floating-point vertices are converted exactly.
+	 * @param  {...ExactVector|Vector} vertices The three vertices of the triangle. They can also be passed as a single
+	 * array.
+	 * @throws {TypeError} If there are not exactly three vertices.
+	 */
+	constructor(...vertices) {
+		super(...vertices);
+		if (this.length !== 3) throw new TypeError(`Triangles must have exactly three vertices, but got ${this.length}`);
+	}
+
+	/**
+	 * Converts `triangle` into an exact triangle with exactly the same vertices.
+	 * @param  {Triangle|ExactTriangle} triangle The triangle to convert. If it is already an `ExactTriangle`, it is
+	 * returned as is.
+	 * @return {ExactTriangle}          The exact triangle.
+	 */
+	static fromTriangle(triangle) {
+		return triangle instanceof ExactTriangle ? triangle : new ExactTriangle(Array.from(triangle));
+	}
+
+	/**
+	 * Converts this triangle into a floating-point `Triangle`. This is generally not exact.
+	 * @return {Triangle} The floating-point triangle closest to this triangle.
+	 */
+	toTriangle() {
+		return new Triangle(this.map(vertex => vertex.toVector()));
+	}
+
+	get normal() {
+		return ExactVector.cross(this[1].subtract(this[0]), this[2].subtract(this[0]));
+	}
+
+	/**
+	 * Cuts this triangle exactly along the plane given by `normal` and `offset`, i.e. the plane of all points `X` with
+	 * `normal * X = offset`. Alternatively, the cut plane can be passed as a `Plane`. This works like `Triangle.cut`,
+	 * except that the pieces keep the orientation of this triangle. See `ExactPolygon.cut`.
+	 * @param  {ExactVector|Vector|Plane} normal The normal vector of the cut plane, or the cut plane itself.
+	 * @param  {Rational|Number} [offset] The offset of the cut plane. This is ignored if `normal` is a `Plane`.
+	 * @return {Object}           An object `{ above, below }` holding the parts of this triangle on the
+	 * greater-than-or-equal and on the less-than-or-equal side of the cut plane. Each is an `ExactTriangle`, an
+	 * `ExactPolygon` with four vertices, or an empty `ExactPolygon` if there is no part of this triangle on that side.
+	 * If the triangle is co-planar with the cut plane, it is returned in both `above` and `below`.
+	 */
+	cut(normal, offset) {
+		const { above, below } = super.cut(normal, offset);
+		const piece = polygon => polygon.length === 3 ? ExactTriangle.fromTriangle(polygon) : polygon;
+		return { above: piece(above), below: piece(below) };
+	}
+
+	/**
+	 * Intersects this triangle exactly with `other`. This works like `Triangle.intersect`.
+	 * @param  {ExactTriangle|Triangle} other The other triangle.
+	 * @return {ExactVector|ExactSegment|ExactTriangle|ExactPolygon|null} `null` if the triangles do not intersect,
+	 * the intersection point if they touch in a single point, the intersection segment if they cross each other or
+	 * touch along a line, and the overlap if they are co-planar and overlapping.
+	 * @throws {TypeError} If either triangle is degenerate.
+	 */
+	intersect(other) {
+		other = ExactTriangle.fromTriangle(other);
+
+		const N1 = this.normal;
+		const N2 = other.normal;
+		if (N1.isZero() || N2.isZero()) throw new TypeError(`Cannot intersect degenerate triangles`);
+
+		// The signed distances of the vertices of each triangle from the plane of the other one (scaled by the length
+		// of the other one's normal)
+		const distances1 = this.map(vertex => ExactVector.dot(N2, vertex.subtract(other[0])));
+		const distances2 = other.map(vertex => ExactVector.dot(N1, vertex.subtract(this[0])));
+		const sides1 = distances1.map(d => d.sign());
+		const sides2 = distances2.map(d => d.sign());
+
+		// If all vertices of one triangle are strictly on the same side of the other one's plane, there is no
+		// intersection
+		const separated = sides => sides.every(side => side === sides[0]) && sides[0] !== 0;
+		if (separated(sides1) || separated(sides2)) return null;
+
+		if (sides1.every(side => side === 0)) {
+			/*
+				The triangles are co-planar. Clip this triangle against each edge of the other one
+				(Sutherland-Hodgman). A point X is on the inner side of the edge from P to Q if
+				((Q - P) x (X - P)) * N2 >= 0.
+			 */
+			let vertices = Array.from(this);
+			other.forEach((P, i) => {
+				const Q = other[(i + 1) % 3];
+				const inside = vertices.map(X => ExactVector.dot(ExactVector.cross(Q.subtract(P), X.subtract(P)), N2));
+				vertices = vertices.flatMap((X, j) => {
+					const k = (j + 1) % vertices.length;
+					const result = inside[j].sign() >= 0 ? [ X ] : [];
+					if (inside[j].sign() * inside[k].sign() < 0)
+						result.push(interpolate(X, vertices[k], inside[j], inside[k]));
+					return result;
+				});
+			});
+			return toShape(vertices);
+		}
+
+		/*
+			The triangles' planes intersect in a line L with direction N1 x N2. Each triangle's plane cuts the other
+			triangle in a segment on L (or touches it in a point). The intersection of the triangles is the
+			overlap of these two segments. To find it, order points on L by their dot product with the direction.
+		 */
+		const direction = ExactVector.cross(N1, N2);
+		const section = (triangle, distances, sides) => triangle.flatMap((vertex, i) => {
+			const j = (i + 1) % 3;
+			const result = sides[i] === 0 ? [ vertex ] : [];
+			if (sides[i] * sides[j] < 0)
+				result.push(interpolate(vertex, triangle[j], distances[i], distances[j]));
+			return result;
+		});
+		const t = vertex => ExactVector.dot(direction, vertex);
+		const extremes = points => [
+			points.reduce((min, point) => t(point).compare(t(min)) < 0 ? point : min),
+			points.reduce((max, point) => t(point).compare(t(max)) > 0 ? point : max)
+		];
+		const [ min1, max1 ] = extremes(section(this, distances1, sides1));
+		const [ min2, max2 ] = extremes(section(other, distances2, sides2));
+		const start = t(min1).compare(t(min2)) >= 0 ? min1 : min2;
+		const end = t(max1).compare(t(max2)) <= 0 ? max1 : max2;
+
+		const overlap = t(end).compare(t(start));
+		if (overlap < 0) return null;
+		return overlap === 0 ? start : new ExactSegment(start, end);
+	}
+}
+
+export default ExactTriangle;
\ No newline at end of file
@@ -0,0 +1,99 @@
+import Rational from './rational.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const EPSILON = Number(url.searchParams.get('epsilon'));
+
+const Vector = (await import(`../vector.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * A three-dimensional vector with exact rational coordinates.
+ *
+ * Unlike `Vector`, all operations on exact vectors are free of rounding errors, and `equals` does not use a
+ * tolerance. Operations that would require irrational results, such as the length of a vector, are not supported.
+ */
+class ExactVector {
+	/**
+	 * The zero vector.
+	 * @static
+	 * @type {ExactVector}
+	 */
+	static ZERO = new ExactVector(0, 0, 0);
+
+	x;
+	y;
+	z;
+
+	/**
+	 * Creates a new exact vector.
+	 * @param  {Rational|Number|BigInt} x The x-coordinate of the vector.
+	 * @param  {Rational|Number|BigInt} y The y-coordinate of the vector.
+	 * @param  {Rational|Number|BigInt} z The z-coordinate of the vector.
+	 */
+	constructor(x, y, z) {
+		this.x = Rational.from(x);
+		this.y = Rational.from(y);
+		this.z = Rational.from(z);
+	}
+
+	/**
+	 * Converts `vector` into an exact vector. The conversion is exact, i.e. the result has exactly the same
+	 * coordinates as `vector`.
+	 * @param  {Vector|ExactVector} vector The vector to convert. If it is already an `ExactVector`, it is returned as is.
+	 * @return {ExactVector}        The exact vector.
+	 */
+	static fromVector(vector) {
+		return vector instanceof ExactVector ? vector : new ExactVector(vector.x, vector.y, vector.z);
+	}
+
+	/**
+	 * Converts this vector into a floating-point `Vector`. This is generally not exact.
+	 * @return {Vector} The floating-point vector closest to this vector.
+	 */
+	toVector() {
+		return new Vector(this.x.toNumber(), this.y.toNumber(), this.z.toNumber());
+	}
+
+	add(v) {
+		return new ExactVector(this.x.add(v.x), this.y.add(v.y), this.z.add(v.z));
+	}
+
+	subtract(v) {
+		return new ExactVector(this.x.subtract(v.x), this.y.subtract(v.y), this.z.subtract(v.z));
+	}
+
+	scale(factor) {
+		return new ExactVector(this.x.multiply(factor), this.y.multiply(factor), this.z.multiply(factor));
+	}
+
+	/**
+	 * Whether this vector is exactly equal to `v`.
+	 * @param  {ExactVector} v The other vector.
+	 * @return {boolean}   `true` if all coordinates are equal, `false` otherwise.
+	 */
+	equals(v) {
+		return this.x.equals(v.x) && this.y.equals(v.y) && this.z.equals(v.z);
+	}
+
+	isZero() {
+		return this.equals(ExactVector.ZERO);
+	}
+
+	toString() {
+		return `(${this.x}, ${this.y}, ${this.z})`;
+	}
+
+	static cross(v1, v2) {
+		return new ExactVector(
+			v1.y.multiply(v2.z).subtract(v1.z.multiply(v2.y)),
+			v1.z.multiply(v2.x).subtract(v1.x.multiply(v2.z)),
+			v1.x.multiply(v2.y).subtract(v1.y.multiply(v2.x))
+		);
+	}
+
+	static dot(v1, v2) {
+		return v1.x.multiply(v2.x).add(v1.y.multiply(v2.y)).add(v1.z.multiply(v2.z));
+	}
+}
+
+export default ExactVector;
\ No newline at end of file
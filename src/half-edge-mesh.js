@@ -0,0 +1,281 @@
+import VertexMap from './util/vertex-map.js';
+import { onToleranceChange } from './util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Polygon = (await import(`./polygon.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`./triangle.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * An indexed representation of a mesh that makes its topology explicit. Vertices that are equal 
+ * (as determined by `Vector.equals`) are shared between faces, and every face is described by a cycle 
+ * of half-edges.
+ *
+ * Each half-edge is an object `{ origin, face, next, prev, twin }`:
+ * - `origin` is the index of the vertex the half-edge starts at,
+ * - `face` is the index of the face the half-edge belongs to,
+ * - `next` and `prev` are the indices of the following and preceding half-edges of the same face,
+ * - `twin` is the index of the half-edge of the neighboring face that runs along the same edge. It is
+ * `null` if the edge is a boundary edge (only one face uses it), or if the edge is non-manifold (more than two
+ * faces use it).
+ *
+ * Face and vertex indices are indices into `faces` and `vertices`, respectively. Faces are kept in the
+ * same order as in the mesh the half-edge mesh was built from.
+ *
+ * Faces with holes are described by several cycles of half-edges: one for their outline, and one for each hole. 
+ * `faces` only holds the vertex indices of the outlines, those of the holes are in `holes`.
+ */
+class HalfEdgeMesh {
+	vertices;
+	faces;
+	// The vertex indices of the holes of each face, as an array of rings
+	holes;
+	halfEdges;
+	// Maps undirected edges (given as "i,j" with i <= j) to the half-edges running along them
+	#edges = new Map();
+	// The outgoing half-edges of each vertex
+	#outgoing;
+	// The half-edges of each face, including those of its holes
+	#faceHalfEdges;
+
+	/**
+	 * Builds a half-edge mesh from the faces of a mesh.
+	 * @param  {Polygon[]} mesh The mesh to build from. This will usually be a `Mesh`, but can be any array of faces.
+	 */
+	constructor(mesh) {
+		const vertexMap = new VertexMap(EPSILON);
+		const index = ring => ring.map(vertex => vertexMap.add(vertex));
+		this.faces = mesh.map(face => index(face));
+		this.holes = mesh.map(face => (face.holes ?? []).map(index));
+		this.vertices = vertexMap.vertices;
+		this.halfEdges = [];
+		this.#outgoing = this.vertices.map(() => []);
+		this.#faceHalfEdges = this.faces.map(() => []);
+
+		this.faces.forEach((face, f) => [ face, ...this.holes[f] ].forEach(ring => {
+			const first = this.halfEdges.length;
+			ring.forEach((origin, i) => {
+				const index = first + i;
+				this.halfEdges.push({
+					origin,
+					face: f,
+					next: first + (i + 1) % ring.length,
+					prev: first + (i - 1 + ring.length) % ring.length,
+					twin: null
+				});
+				this.#outgoing[origin].push(index);
+				this.#faceHalfEdges[f].push(index);
+
+				const key = HalfEdgeMesh.#key(origin, ring[(i + 1) % ring.length]);
+				if (!this.#edges.has(key)) this.#edges.set(key, []);
+				this.#edges.get(key).push(index);
+			});
+		}));
+
+		// Pair up half-edges of manifold edges
+		for (let halfEdges of this.#edges.values()) {
+			if (halfEdges.length === 2) {
+				const [ h1, h2 ] = halfEdges;
+				this.halfEdges[h1].twin = h2;
+				this.halfEdges[h2].twin = h1;
+			}
+		}
+	}
+
+	static #key(i, j) {
+		return i <= j ? `${i},${j}` : `${j},${i}`;
+	}
+
+	/**
+	 * Returns the index of the vertex that half-edge `h` ends at.
+	 * @param  {Number} h The index of the half-edge.
+	 * @return {Number}   The index of the destination vertex.
+	 */
+	destination(h) {
+		return this.halfEdges[this.halfEdges[h].next].origin;
+	}
+
+	/**
+	 * Returns the half-edges of face `f`, in order. The half-edges of the face's outline come first, followed by those
+	 * of its holes.
+	 * @param  {Number} f The index of the face.
+	 * @return {Number[]}   The indices of the face's half-edges.
+	 */
+	faceHalfEdges(f) {
+		return this.#faceHalfEdges[f].slice();
+	}
+
+	/**
+	 * Returns all edges of the mesh. Each edge is given as a pair of vertex indices `[ i, j ]` with `i <= j`.
+	 * @return {Number[][]} The edges of the mesh.
+	 */
+	edges() {
+		return Array.from(this.#edges.keys(), key => key.split(',').map(Number));
+	}
+
+	/**
+	 * Returns the half-edges running along the edge between vertices `i` and `j`, in either direction.
+	 * @param  {Number} i The index of one vertex of the edge.
+	 * @param  {Number} j The index of the other vertex of the edge.
+	 * @return {Number[]}   The indices of the half-edges. This is empty if there is no such edge.
+	 */
+	edgeHalfEdges(i, j) {
+		return (this.#edges.get(HalfEdgeMesh.#key(i, j)) ?? []).slice();
+	}
+
+	/**
+	 * Returns the faces that are incident to the edge between vertices `i` and `j`.
+	 * @param  {Number} i The index of one vertex of the edge.
+	 * @param  {Number} j The index of the other vertex of the edge.
+	 * @return {Number[]}   The indices of the incident faces. This is empty if there is no such edge.
+	 */
+	edgeFaces(i, j) {
+		return this.edgeHalfEdges(i, j).map(h => this.halfEdges[h].face);
+	}
+
+	/**
+	 * Returns the faces that share at least one edge with face `f`.
+	 * @param  {Number} f The index of the face.
+	 * @return {Number[]}   The indices of the neighboring faces.
+	 */
+	faceNeighbors(f) {
+		const result = new Set();
+		for (let h of this.faceHalfEdges(f))
+			for (let g of this.edgeHalfEdges(this.halfEdges[h].origin, this.destination(h)))
+				result.add(this.halfEdges[g].face);
+		result.delete(f);
+		return Array.from(result);
+	}
+
+	/**
+	 * Returns the faces that are incident to vertex `v`.
+	 * @param  {Number} v The index of the vertex.
+	 * @return {Number[]}   The indices of the incident faces.
+	 */
+	vertexFaces(v) {
+		return Array.from(new Set(this.#outgoing[v].map(h => this.halfEdges[h].face)));
+	}
+
+	/**
+	 * Returns the one-ring of vertex `v`, i.e. all vertices that are connected to `v` by an edge.
+	 *
+	 * If the neighborhood of `v` is a consistently oriented manifold fan, the vertices are returned 
+	 * in order around `v`. Otherwise, they are returned in no particular order.
+	 * @param  {Number} v The index of the vertex.
+	 * @return {Number[]}   The indices of the vertices in the one-ring of `v`.
+	 */
+	vertexRing(v) {
+		const outgoing = this.#outgoing[v];
+		if (outgoing.length === 0) return [];
+
+		// Try to walk around v. 
+		// For a consistently oriented fan, twin(prev(h)) is the next outgoing half-edge around v.
+		const rotate = h => {
+			const twin = this.halfEdges[this.halfEdges[h].prev].twin;
+			return twin !== null && this.halfEdges[twin].origin === v ? twin : null;
+		}
+		// Find a start for the walk. If v is on the boundary, this needs to be the half-edge 
+		// that the walk cannot be continued backwards from.
+		let start = outgoing[0];
+		for (let h = start, steps = 0; steps < outgoing.length; steps++) {
+			const twin = this.halfEdges[h].twin;
+			const back = twin !== null && this.halfEdges[twin].origin !== v ? this.halfEdges[twin].next : null;
+			if (back === null || this.halfEdges[back].origin !== v) {
+				start = h;
+				break;
+			}
+			h = back;
+		}
+
+		const ordered = [];
+		const visited = new Set();
+		let h = start;
+		while (h !== null && !visited.has(h)) {
+			visited.add(h);
+			ordered.push(this.destination(h));
+			const next = rotate(h);
+			// If the walk ends at a boundary, the last neighbor is the origin of the previous half-edge
+			if (next === null) 
+				ordered.push(this.halfEdges[this.halfEdges[h].prev].origin);
+			h = next;
+		}
+
+		// If the walk has covered all outgoing half-edges, the ring is complete and ordered.
+		if (visited.size === outgoing.length && new Set(ordered).size === ordered.length)
+			return ordered;
+
+		// Otherwise, fall back to collecting all neighbors without ordering them
+		const result = new Set();
+		for (let h of outgoing) {
+			result.add(this.destination(h));
+			result.add(this.halfEdges[this.halfEdges[h].prev].origin);
+		}
+		result.delete(v);
+		return Array.from(result);
+	}
+
+	/**
+	 * Returns all boundary edges of the mesh, i.e. edges that are used by exactly one face. Each edge is given as
+	 * the pair of vertex indices `[ origin, destination ]` of the half-edge that runs along it.
+	 * @return {Number[][]} The boundary edges of the mesh.
+	 */
+	boundaryEdges() {
+		return Array.from(this.#edges.values())
+			.filter(halfEdges => halfEdges.length === 1)
+			.map(([ h ]) => [ this.halfEdges[h].origin, this.destination(h) ]);
+	}
+
+	/**
+	 * Determines how the faces of this mesh need to be oriented so that all neighboring faces are oriented
+	 * consistently, i.e. traverse their common edge in opposite directions.
+	 *
+	 * The result is an array holding, for each face, `+1` if the face should keep its vertex order, or `-1` if its
+	 * vertex order should be reversed. Within every connected part of the mesh, the orientation of the part's first 
+	 * face is kept. Orientation is only propagated across manifold edges.
+	 * @return {Number[]|null} The orientation of every face as described above, or `null` if the mesh is not orientable.
+	 */
+	orientation() {
+		const result = this.faces.map(() => 0);
+		for (let start = 0; start < this.faces.length; start++) {
+			if (result[start] !== 0) continue;
+			
+			result[start] = +1;
+			const stack = [ start ];
+			while (stack.length > 0) {
+				const f = stack.pop();
+				for (let h of this.faceHalfEdges(f)) {
+					const twin = this.halfEdges[h].twin;
+					if (twin === null) continue;
+
+					const g = this.halfEdges[twin].face;
+					// If the twin runs in the opposite direction, the two faces are consistent as they are
+					const orientation = this.halfEdges[twin].origin === this.destination(h) ? result[f] : -result[f];
+					if (result[g] === 0) {
+						result[g] = orientation;
+						stack.push(g);
+					} else if (result[g] !== orientation)
+						return null;
+				}
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Converts this half-edge mesh back to a list of faces. Faces with three vertices and no holes become 
+	 * `Triangle`s, all others become `Polygon`s.
+	 * @return {Polygon[]} The faces of this half-edge mesh.
+	 */
+	toFaces() {
+		return this.faces.map((face, f) => {
+			const [ vertices, ...holes ] = [ face, ...this.holes[f] ].map(ring => ring.map(v => this.vertices[v]));
+			return vertices.length === 3 && holes.length === 0 ? new Triangle(vertices) : new Polygon(vertices, holes);
+		});
+	}
+}
+
+export default HalfEdgeMesh;
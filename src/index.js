@@ -1,3 +1,7 @@
+import { setRobust } from './util/predicates.js';
+import { ToleranceContext } from './util/tolerance.js';
+import Rational from './exact/rational.js';
+
 const EPSILON = Number(new URL(import.meta.url).searchParams.get('epsilon') ?? 1.0e-8);
 
 const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
@@ -6,6 +10,50 @@ const Triangle = (await import(`./triangle.js?epsilon=${EPSILON}`)).default;
 const Polygon = (await import(`./polygon.js?epsilon=${EPSILON}`)).default;
 const Matrix = (await import(`./matrix.js?epsilon=${EPSILON}`)).default;
 const Mesh = (await import(`./mesh.js?epsilon=${EPSILON}`)).default;
+const HalfEdgeMesh = (await import(`./half-edge-mesh.js?epsilon=${EPSILON}`)).default;
+const Ray = (await import(`./ray.js?epsilon=${EPSILON}`)).default;
+const BVH = (await import(`./bvh.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`./plane.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`./transform.js?epsilon=${EPSILON}`)).default;
+const Quaternion = (await import(`./quaternion.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`./exact/vector.js?epsilon=${EPSILON}`)).default;
+const ExactMatrix = (await import(`./exact/matrix.js?epsilon=${EPSILON}`)).default;
+const ExactSegment = (await import(`./exact/segment.js?epsilon=${EPSILON}`)).default;
+const ExactPolygon = (await import(`./exact/polygon.js?epsilon=${EPSILON}`)).default;
+const ExactTriangle = (await import(`./exact/triangle.js?epsilon=${EPSILON}`)).default;
+
+const classes = { 
+	Vector, Segment, Triangle, Polygon, Matrix, Mesh, HalfEdgeMesh, Ray, BVH, Plane, Transform, Quaternion,
+	Rational, ExactVector, ExactMatrix, ExactSegment, ExactPolygon, ExactTriangle
+};
+
+/**
+ * Creates a geometry with its own tolerance settings. The geometry uses the same classes as this module, so 
+ * geometries with different tolerances can be used side by side, and objects can be passed between them. Operations
+ * use the geometry's tolerance when they are performed inside its `run` method:
+ *
+ * ```
+ * const coarse = createGeometry({ epsilon: 1.0e-3 });
+ * const pieces = coarse.run(() => mesh.cut(plane));
+ * ```
+ * Outside of `run`, the tolerance this module was imported with is used.
+ * @param  {Object} [options] The tolerance settings.
+ * @param  {Number} [options.epsilon=EPSILON] The epsilon-tolerance for floating-point comparisons. It must be positive.
+ * @param  {boolean} [options.robust] Whether to use robust predicates for sign decisions. Defaults to the setting 
+ * made with `setRobust`.
+ * @return {Object}         An object with all classes exported by this module, the geometry's `EPSILON`, its 
+ * `ToleranceContext` as `context`, and a function `run(fn)` that runs `fn` with the geometry's tolerance in effect.
+ * @throws {TypeError} If `epsilon` is not a positive number.
+ */
+function createGeometry({ epsilon = EPSILON, robust } = {}) {
+	const context = new ToleranceContext({ epsilon, robust });
+	return {
+		...classes,
+		EPSILON: epsilon,
+		context,
+		run: fn => context.run(fn)
+	};
+}
 
 export {
 	EPSILON,
@@ -14,5 +62,20 @@ export {
 	Triangle,
 	Polygon,
 	Matrix,
-	Mesh
+	Mesh,
+	HalfEdgeMesh,
+	Ray,
+	BVH,
+	Plane,
+	Transform,
+	Quaternion,
+	Rational,
+	ExactVector,
+	ExactMatrix,
+	ExactSegment,
+	ExactPolygon,
+	ExactTriangle,
+	setRobust,
+	ToleranceContext,
+	createGeometry
 }
\ No newline at end of file
@@ -0,0 +1,98 @@
+import VertexMap from '../util/vertex-map.js';
+import triangulate from '../util/triangulate.js';
+import { onToleranceChange } from '../util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Vector = (await import(`../vector.js?epsilon=${EPSILON}`)).default;
+const Polygon = (await import(`../polygon.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../triangle.js?epsilon=${EPSILON}`)).default;
+
+// The name of the group that faces are assigned to if no group or object has been declared
+const DEFAULT_GROUP = 'default';
+
+/**
+ * Parses a Wavefront OBJ file. Only geometry is read: vertex records (`v`) and face records (`f`). 
+ * Texture coordinates, vertex normals, materials etc. are ignored.
+ *
+ * Both object (`o`) and group (`g`) records start a new group of faces. Faces that appear before any
+ * such record are assigned to the group `'default'`. Negative (relative) vertex indices are supported.
+ * @param  {String} text      The contents of the OBJ file.
+ * @param  {Object} [options]
+ * @param  {boolean} [options.triangulate=true] Whether faces with more than three vertices should be triangulated. 
+ * If `false`, they are returned as `Polygon`s.
+ * @return {Object}           An object mapping group names to arrays of faces.
+ */
+export function parse(text, { triangulate: shouldTriangulate = true } = {}) {
+	const vertices = [];
+	const groups = {};
+	let current = DEFAULT_GROUP;
+
+	text.split(/\r?\n/).forEach((line, lineNumber) => {
+		const [ keyword, ...values ] = line.trim().split(/\s+/);
+		switch (keyword) {
+			case 'v': {
+				const [ x, y, z ] = values.slice(0, 3).map(Number);
+				if (values.length < 3 || [ x, y, z ].some(Number.isNaN)) throw new SyntaxError(`Invalid vertex in line ${lineNumber + 1}: ${line}`);
+				vertices.push(new Vector(x, y, z));
+				break;
+			}
+			case 'f': {
+				if (values.length < 3) throw new SyntaxError(`Face with less than three vertices in line ${lineNumber + 1}: ${line}`);
+				const face = values.map(value => {
+					// Vertex references may be of the form v, v/vt, v//vn or v/vt/vn. We only need v.
+					let index = parseInt(value.split('/')[0]);
+					// Negative indices are relative to the end of the vertex list read so far
+					index = index < 0 ? vertices.length + index : index - 1;
+					if (!(index >= 0 && index < vertices.length)) throw new RangeError(`Invalid vertex reference ${value} in line ${lineNumber + 1}`);
+					return vertices[index];
+				});
+
+				groups[current] ??= [];
+				if (face.length === 3) 
+					groups[current].push(new Triangle(face));
+				else if (shouldTriangulate) {
+					const polygon = new Polygon(face);
+					groups[current].push(...triangulate([ polygon ], polygon.normal).map(indices => new Triangle(indices.map(i => polygon[i]))));
+				} else
+					groups[current].push(new Polygon(face));
+				break;
+			}
+			case 'o':
+			case 'g':
+				current = values.join(' ') || DEFAULT_GROUP;
+				break;
+			// Everything else is either not geometry or not supported
+		}
+	});
+	return groups;
+}
+
+/**
+ * Serializes one or more groups of faces to Wavefront OBJ. Each group is written as an object (`o`) record.
+ *
+ * Vertices are written only once and shared between all faces using them. Vertices are considered identical 
+ * if they are equal as determined by `Vector.equals`.
+ *
+ * OBJ face records cannot have holes, so faces with holes are triangulated.
+ * @param  {Object} groups An object mapping group names to arrays of faces.
+ * @return {String}        The OBJ data.
+ */
+export function serialize(groups) {
+	const vertices = new VertexMap(EPSILON);
+	const objects = Object.entries(groups).map(([ name, faces ]) => [
+		`o ${name}`,
+		...faces
+			.flatMap(face => face.holes.length > 0 ? face.triangulate() : [ face ])
+			.map(face => 'f ' + face.map(v => vertices.add(v) + 1).join(' '))
+	]);
+
+	return [
+		...vertices.vertices.map(v => `v ${v.x} ${v.y} ${v.z}`),
+		...objects.flat()
+	].join('\n') + '\n';
+}
@@ -0,0 +1,153 @@
+import { onToleranceChange } from '../util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Vector = (await import(`../vector.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../triangle.js?epsilon=${EPSILON}`)).default;
+
+// Size in bytes of the header and of a single facet record in a binary STL file
+const HEADER_SIZE = 84;
+const FACET_SIZE = 50;
+
+// Helper function that turns any kind of binary input into a Uint8Array
+function toBytes(input) {
+	if (input instanceof ArrayBuffer)
+		return new Uint8Array(input);
+	else
+		return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+}
+
+function parseASCII(text) {
+	const faces = [];
+	let vertices = [];
+	for (let line of text.split(/\r?\n/)) {
+		const [ keyword, ...values ] = line.trim().split(/\s+/);
+		switch (keyword) {
+			case 'vertex': {
+				if (values.length !== 3) throw new SyntaxError(`Expected three coordinates for vertex, but got ${values.length}: ${line}`);
+				const [ x, y, z ] = values.map(Number);
+				if ([ x, y, z ].some(Number.isNaN)) throw new SyntaxError(`Invalid vertex: ${line}`);
+				vertices.push(new Vector(x, y, z));
+				break;
+			}
+			case 'endloop':
+				if (vertices.length !== 3) throw new SyntaxError(`Expected facet with three vertices, but got ${vertices.length}`);
+				faces.push(new Triangle(vertices));
+				vertices = [];
+				break;
+			// Facet normals are recomputed from the vertices, everything else carries no geometric information
+		}
+	}
+	return faces;
+}
+
+function parseBinary(bytes) {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const count = view.getUint32(80, true);
+	const faces = [];
+	for (let i = 0; i < count; i++) {
+		// Skip the facet normal, it is recomputed from the vertices
+		let offset = HEADER_SIZE + i * FACET_SIZE + 12;
+		const vertices = [];
+		for (let j = 0; j < 3; j++) {
+			vertices.push(new Vector(
+				view.getFloat32(offset, true),
+				view.getFloat32(offset + 4, true),
+				view.getFloat32(offset + 8, true)
+			));
+			offset += 12;
+		}
+		faces.push(new Triangle(vertices));
+	}
+	return faces;
+}
+
+/**
+ * Parses an STL file into an array of `Triangle`s. Both the ASCII and the binary variant of the format are supported.
+ *
+ * If `input` is a string, it is parsed as ASCII STL. Otherwise, the format is auto-detected: the input is read as
+ * binary STL if its size matches the facet count given in the binary header, and as ASCII STL if it starts with
+ * the keyword `solid`.
+ *
+ * Facet normals stored in the file are ignored. Note that the vertices of the resulting triangles may be re-ordered
+ * to comply with the winding enforced by `Triangle`.
+ * @param  {String|ArrayBuffer|ArrayBufferView} input The contents of the STL file.
+ * @return {Triangle[]}       The facets of the STL file.
+ */
+export function parse(input) {
+	if (typeof input === 'string') 
+		return parseASCII(input);
+
+	const bytes = toBytes(input);
+	if (bytes.byteLength >= HEADER_SIZE) {
+		const count = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(80, true);
+		if (bytes.byteLength === HEADER_SIZE + count * FACET_SIZE)
+			return parseBinary(bytes);
+	}
+
+	const text = new TextDecoder().decode(bytes);
+	if (/^\s*solid\b/.test(text))
+		return parseASCII(text);
+
+	throw new SyntaxError(`Input is neither valid binary nor ASCII STL`);
+}
+
+/**
+ * Serializes the given faces to STL. Facet normals are written as the unit-length normals of the faces.
+ *
+ * ASCII output writes coordinates with as many digits as are necessary to represent them exactly, so 
+ * ASCII STL round-trips without loss. Binary STL stores coordinates as 32-bit floats, so binary output
+ * is subject to the precision of that format.
+ * @param  {Triangle[]} faces   The faces to serialize. All faces must be triangles.
+ * @param  {Object} [options] 
+ * @param  {boolean} [options.binary=false] Whether to produce binary STL rather than ASCII STL.
+ * @param  {String} [options.name=''] The name of the solid. For binary STL, this is written to the header.
+ * @return {String|Uint8Array}         The STL data: a string for ASCII STL, a `Uint8Array` for binary STL.
+ */
+export function serialize(faces, { binary = false, name = '' } = {}) {
+	faces.forEach(face => {
+		if (face.length !== 3) throw new TypeError(`STL can only hold triangular faces, but got a face with ${face.length} vertices`);
+	});
+	
+	const normals = faces.map(face => {
+		const normal = face.normal;
+		return normal.length < EPSILON ? Vector.ZERO : normal.unit();
+	});
+
+	if (binary) {
+		const bytes = new Uint8Array(HEADER_SIZE + faces.length * FACET_SIZE);
+		const view = new DataView(bytes.buffer);
+		bytes.set(new TextEncoder().encode(name).subarray(0, 80));
+		view.setUint32(80, faces.length, true);
+
+		faces.forEach((face, i) => {
+			let offset = HEADER_SIZE + i * FACET_SIZE;
+			for (let v of [ normals[i], ...face ]) {
+				view.setFloat32(offset, v.x, true);
+				view.setFloat32(offset + 4, v.y, true);
+				view.setFloat32(offset + 8, v.z, true);
+				offset += 12;
+			}
+			// The last two bytes are the "attribute byte count", which is left at 0
+		});
+		return bytes;
+	} else {
+		const format = v => `${v.x.toExponential()} ${v.y.toExponential()} ${v.z.toExponential()}`;
+		const lines = [ `solid ${name}` ];
+		faces.forEach((face, i) => {
+			lines.push(
+				`  facet normal ${format(normals[i])}`,
+				'    outer loop',
+				...face.map(v => `      vertex ${format(v)}`),
+				'    endloop',
+				'  endfacet'
+			);
+		});
+		lines.push(`endsolid ${name}`);
+		return lines.join('\n') + '\n';
+	}
+}
@@ -1,3 +1,19 @@
+import { onToleranceChange } from './util/tolerance.js';
+
+// Unlike most other modules, this one could always be imported without giving an epsilon, and existing code relies 
+// on that. It then uses the library default.
+const IMPORT_EPSILON = Number(new URL(import.meta.url).searchParams.get('epsilon') ?? 1.0e-8);
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+
+// The maximum number of sweeps of the Jacobi eigenvalue algorithm. It usually converges after less than ten.
+const MAX_SWEEPS = 50;
+
+/**
+ * A 3x3 matrix. The entries are stored in row-major order.
+ */
 class Matrix extends Array {
 	constructor(m11, m12, m13, m21, m22, m23, m31, m32, m33) {
 		super(9);
@@ -11,6 +27,22 @@ class Matrix extends Array {
 		this[7] = m32;
 		this[8] = m33;
 	}
+	/*
+		Applying Array operations to a matrix will yield an array, not a matrix
+	 */
+	static get [Symbol.species]() { return Array }
+
+	/**
+	 * Creates the 3x3 identity matrix.
+	 * @return {Matrix} The identity matrix.
+	 */
+	static identity() {
+		return new Matrix(
+			1, 0, 0,
+			0, 1, 0,
+			0, 0, 1
+		);
+	}
 
 	determinant() {
 		return this[0] * this[4] * this[8] 
@@ -21,6 +53,193 @@ class Matrix extends Array {
 			- this[0] * this[5] * this[7];
 	}
 
+	/**
+	 * Computes the transpose of this matrix.
+	 * @return {Matrix} The transposed matrix.
+	 */
+	transpose() {
+		return new Matrix(
+			this[0], this[3], this[6],
+			this[1], this[4], this[7],
+			this[2], this[5], this[8]
+		);
+	}
+
+	/**
+	 * Computes the matrix product `this * other`.
+	 * @param  {Matrix} other The matrix to multiply with.
+	 * @return {Matrix}       The product.
+	 */
+	multiply(other) {
+		const entries = [];
+		for (let row = 0; row < 3; row++)
+			for (let col = 0; col < 3; col++)
+				entries.push(this[3 * row] * other[col] + this[3 * row + 1] * other[3 + col] + this[3 * row + 2] * other[6 + col]);
+		return new Matrix(...entries);
+	}
+
+	/**
+	 * Computes the product `this * v` of this matrix and the (column) vector `v`.
+	 * @param  {Vector} v The vector to multiply with.
+	 * @return {Vector}   The product.
+	 */
+	multiplyVector(v) {
+		return new Vector(
+			this[0] * v.x + this[1] * v.y + this[2] * v.z,
+			this[3] * v.x + this[4] * v.y + this[5] * v.z,
+			this[6] * v.x + this[7] * v.y + this[8] * v.z
+		);
+	}
+
+	/**
+	 * Computes the inverse of this matrix.
+	 * @return {Matrix} The inverse matrix.
+	 * @throws {TypeError} If this matrix is singular, i.e. if its determinant is less than `EPSILON` in absolute value.
+	 */
+	inverse() {
+		const det = this.determinant();
+		if (Math.abs(det) < EPSILON) throw new TypeError(`Matrix is singular`);
+
+		// The inverse is the adjugate divided by the determinant
+		const [ a, b, c, d, e, f, g, h, i ] = this;
+		return new Matrix(
+			(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+			(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+			(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det
+		);
+	}
+
+	/**
+	 * Solves the linear system `this * x = b` for `x`.
+	 * @param  {Vector} b The right-hand side of the system.
+	 * @return {Vector}   The solution `x`.
+	 * @throws {TypeError} If this matrix is singular, i.e. if the system does not have a unique solution.
+	 */
+	solve(b) {
+		// Cramer's rule: the i-th component of the solution is the determinant of this matrix with its i-th column
+		// replaced by b, divided by the determinant of this matrix.
+		const det = this.determinant();
+		if (Math.abs(det) < EPSILON) throw new TypeError(`Matrix is singular`);
+
+		const [ c1, c2, c3 ] = this.columns();
+		return new Vector(
+			Matrix.fromColumns(b, c2, c3).determinant() / det,
+			Matrix.fromColumns(c1, b, c3).determinant() / det,
+			Matrix.fromColumns(c1, c2, b).determinant() / det
+		);
+	}
+
+	/**
+	 * The rows of this matrix.
+	 * @return {Vector[]} The three rows as vectors.
+	 */
+	rows() {
+		return [ 0, 3, 6 ].map(i => new Vector(this[i], this[i + 1], this[i + 2]));
+	}
+
+	/**
+	 * The columns of this matrix.
+	 * @return {Vector[]} The three columns as vectors.
+	 */
+	columns() {
+		return [ 0, 1, 2 ].map(i => new Vector(this[i], this[i + 3], this[i + 6]));
+	}
+
+	/**
+	 * Whether this matrix is symmetric (within `EPSILON`).
+	 * @return {boolean} `true` if this matrix equals its transpose.
+	 */
+	isSymmetric() {
+		return this.equals(this.transpose());
+	}
+
+	/**
+	 * Computes the eigenvalues and eigenvectors of this matrix, which must be symmetric. This is useful for
+	 * analyzing covariance matrices and inertia tensors: the eigenvectors are the principal axes, the eigenvalues
+	 * the variances resp. principal moments along them.
+	 * @return {Object} An object `{ values, vectors }`, where `values` holds the three eigenvalues in descending
+	 * order, and `vectors` holds the corresponding eigenvectors. The eigenvectors are of unit length and mutually
+	 * perpendicular.
+	 * @throws {TypeError} If this matrix is not symmetric.
+	 */
+	eigen() {
+		if (!this.isSymmetric()) throw new TypeError(`Eigen-decomposition is only supported for symmetric matrices`);
+
+		/*
+			This is the cyclic Jacobi eigenvalue algorithm: each step applies a rotation A' = J^T * A * J that
+			zeroes one off-diagonal pair of A. Later rotations can make it non-zero again, but the sum of squares of
+			the off-diagonal entries decreases in every step, so A converges to a diagonal matrix holding the
+			eigenvalues. The product of all rotations holds the eigenvectors in its columns.
+			See William H. Press et al., "Numerical Recipes", 3rd edition, ch. 11.1
+		 */
+		const A = [ 0, 3, 6 ].map(i => this.slice(i, i + 3));
+		const V = [ [ 1, 0, 0 ], [ 0, 1, 0 ], [ 0, 0, 1 ] ];
+		const scale = Math.hypot(...this);
+
+		for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+			const off = Math.hypot(A[0][1], A[0][2], A[1][2]);
+			// Stop when the off-diagonal entries are negligible compared to the matrix as a whole.
+			// This uses machine precision rather than EPSILON, because it is about the accuracy of the result.
+			if (off <= Number.EPSILON * scale) break;
+
+			for (let [ p, q ] of [ [ 0, 1 ], [ 0, 2 ], [ 1, 2 ] ]) {
+				if (A[p][q] === 0) continue;
+				// Choose the rotation angle phi such that A'[p][q] = 0, and compute t = tan(phi) directly.
+				// Taking the smaller root keeps the rotation angle at most PI/4, which is needed for convergence.
+				const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+				const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+				const c = 1 / Math.sqrt(t * t + 1);
+				const s = t * c;
+
+				// A = A * J, V = V * J
+				for (let M of [ A, V ])
+					for (let k = 0; k < 3; k++) {
+						const [ mkp, mkq ] = [ M[k][p], M[k][q] ];
+						M[k][p] = c * mkp - s * mkq;
+						M[k][q] = s * mkp + c * mkq;
+					}
+				// A = J^T * A
+				for (let k = 0; k < 3; k++) {
+					const [ apk, aqk ] = [ A[p][k], A[q][k] ];
+					A[p][k] = c * apk - s * aqk;
+					A[q][k] = s * apk + c * aqk;
+				}
+			}
+		}
+
+		const result = [ 0, 1, 2 ]
+			.map(i => ({ value: A[i][i], vector: new Vector(V[0][i], V[1][i], V[2][i]) }))
+			.sort((e1, e2) => e2.value - e1.value);
+		return {
+			values: result.map(({ value }) => value),
+			vectors: result.map(({ vector }) => vector)
+		};
+	}
+
+	/**
+	 * Whether this matrix equals `other`, i.e. whether all their entries are equal (within `EPSILON`).
+	 * @param  {Matrix} other The other matrix.
+	 * @return {boolean}       `true` if the matrices are equal, `false` otherwise.
+	 */
+	equals(other) {
+		return this.every((entry, i) => Math.abs(entry - other[i]) < EPSILON);
+	}
+
+	/**
+	 * Creates a matrix from its rows.
+	 * @param  {Vector} r1 The first row.
+	 * @param  {Vector} r2 The second row.
+	 * @param  {Vector} r3 The third row.
+	 * @return {Matrix}    The matrix.
+	 */
+	static fromRows(r1, r2, r3) {
+		return new Matrix(
+			r1.x, r1.y, r1.z,
+			r2.x, r2.y, r2.z,
+			r3.x, r3.y, r3.z
+		);
+	}
+
 	static fromColumns(c1, c2, c3) {
 		return new Matrix(
 			c1.x, c2.x, c3.x,
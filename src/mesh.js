@@ -1,11 +1,538 @@
+import VertexMap from './util/vertex-map.js';
+import UnionFind from './util/union-find.js';
+import triangulate from './util/triangulate.js';
+import { onToleranceChange } from './util/tolerance.js';
+
 let url = new URL(import.meta.url);
 if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
-const EPSILON = Number(url.searchParams.get('epsilon'));
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
 
+const Segment = (await import(`./segment.js?epsilon=${EPSILON}`)).default;
 const Triangle = (await import(`./triangle.js?epsilon=${EPSILON}`)).default;
 const Polygon = (await import(`./polygon.js?epsilon=${EPSILON}`)).default;
+const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+const Matrix = (await import(`./matrix.js?epsilon=${EPSILON}`)).default;
+const HalfEdgeMesh = (await import(`./half-edge-mesh.js?epsilon=${EPSILON}`)).default;
+const BVH = (await import(`./bvh.js?epsilon=${EPSILON}`)).default;
+const Ray = (await import(`./ray.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`./plane.js?epsilon=${EPSILON}`)).default;
+const STL = await import(`./io/stl.js?epsilon=${EPSILON}`);
+const OBJ = await import(`./io/obj.js?epsilon=${EPSILON}`);
+
+// Helper function that computes the signed solid angle subtended by the triangle ABC as seen from P.
+// This is the formula by Van Oosterom and Strackee, 1983.
+function solidAngle(A, B, C, P) {
+	const a = A.subtract(P);
+	const b = B.subtract(P);
+	const c = C.subtract(P);
+	const la = a.length;
+	const lb = b.length;
+	const lc = c.length;
+	const numerator = Matrix.fromColumns(a, b, c).determinant();
+	const denominator = la * lb * lc + Vector.dot(a, b) * lc + Vector.dot(b, c) * la + Vector.dot(c, a) * lb;
+	return 2 * Math.atan2(numerator, denominator);
+}
+
+// Helper function that computes the generalized winding number of the given triangles (as arrays of three vertices)
+// around P. For a closed, outward-oriented surface, this is 1 for points inside and 0 for points outside.
+function windingNumber(triangles, P) {
+	return triangles.reduce((sum, [ A, B, C ]) => sum + solidAngle(A, B, C, P), 0) / (4 * Math.PI);
+}
+
+// Helper function that computes the signed volume enclosed by the given triangles (as arrays of three vertices),
+// using the divergence theorem.
+function signedVolume(triangles) {
+	return triangles.reduce((sum, [ A, B, C ]) => sum + Matrix.fromColumns(A, B, C).determinant(), 0) / 6;
+}
+
+// Helper function that fans out a convex face (given as an array of vertices) into triangles (as arrays of three vertices)
+function fan(face) {
+	const result = [];
+	for (let i = 1; i < face.length - 1; i++)
+		result.push([ face[0], face[i], face[i + 1] ]);
+	return result;
+}
+
+/*
+	Helper function that orients the faces of a closed mesh of triangles for volume computations.
+
+	The vertex order of faces is determined by their constructors and is therefore meaningless for this purpose. 
+	Instead, the faces are first oriented consistently using the mesh's topology. Then every shell (connected part 
+	of the mesh) is oriented outward, i.e. so that it encloses positive volume. Shells that are nested inside 
+	an odd number of other shells are cavities and are oriented inward.
+
+	Returns the oriented faces as arrays of three vertices, in the same order as the faces of the mesh.
+ */
+function orientedFaces(mesh) {
+	const halfEdgeMesh = mesh.toHalfEdgeMesh();
+	if (halfEdgeMesh.boundaryEdges().length > 0) throw new Error(`Mesh is not closed`);
+	const orientation = halfEdgeMesh.orientation();
+	if (orientation === null) throw new Error(`Mesh is not orientable`);
+
+	// Find the shells by flood-filling across edges
+	const shellOf = mesh.map(() => -1);
+	const shells = [];
+	mesh.forEach((_, start) => {
+		if (shellOf[start] !== -1) return;
+		const shell = [];
+		const stack = [ start ];
+		shellOf[start] = shells.length;
+		while (stack.length > 0) {
+			const f = stack.pop();
+			shell.push(f);
+			for (let g of halfEdgeMesh.faceNeighbors(f)) {
+				if (shellOf[g] === -1) {
+					shellOf[g] = shells.length;
+					stack.push(g);
+				}
+			}
+		}
+		shells.push(shell);
+	});
+
+	const faces = mesh.map((face, f) => orientation[f] === +1 ? face.slice() : face.slice().reverse());
+	const reverse = shell => shell.forEach(f => faces[f].reverse());
+	for (let shell of shells)
+		if (signedVolume(shell.map(f => faces[f])) < 0) reverse(shell);
+
+	// Turn cavities inside out
+	const triangles = shells.map(shell => shell.map(f => faces[f]));
+	shells.forEach((shell, i) => {
+		const P = faces[shell[0]][0];
+		const depth = triangles.filter((other, j) => j !== i && windingNumber(other, P) > 0.5).length;
+		if (depth % 2 === 1) reverse(shell);
+	});
+	return faces;
+}
+
+// Helper function that orients the faces of a closed mesh like orientedFaces does, and returns them as triangles
+// (arrays of three vertices). Polygonal faces are triangulated first, so that their holes are left out.
+function orientedTriangles(mesh) {
+	return orientedFaces(new Mesh(mesh.flatMap(toTriangles)));
+}
+
+// Helper function that joins segments (given as pairs of vertices) into polylines by connecting segments that share
+// an end point. Returns an array of objects { vertices, closed, segments }. For closed polylines, the first vertex is 
+// not repeated at the end. segments holds the indices of the input segments making up the polyline, in order.
+function chainSegments(segments) {
+	const vertexMap = new VertexMap(EPSILON);
+	let edges = segments.map(([ a, b ]) => [ vertexMap.add(a), vertexMap.add(b) ]);
+	// The indices of the segments that are not degenerate
+	const indices = edges.map((_, e) => e).filter(e => edges[e][0] !== edges[e][1]);
+	edges = indices.map(e => edges[e]);
+
+	// The unused edges incident to every vertex
+	const incident = vertexMap.vertices.map(() => []);
+	edges.forEach(([ i, j ], e) => {
+		incident[i].push(e);
+		incident[j].push(e);
+	});
+	const used = edges.map(() => false);
+
+	// Helper function that walks from vertex start along unused edges as far as possible
+	const walk = start => {
+		const path = [ start ];
+		const taken = [];
+		let current = start;
+		let e;
+		while ((e = incident[current].find(e => !used[e])) !== undefined) {
+			used[e] = true;
+			taken.push(indices[e]);
+			current = edges[e][0] === current ? edges[e][1] : edges[e][0];
+			path.push(current);
+		}
+		return { path, taken };
+	}
+
+	const result = [];
+	// Start with the open polylines, i.e. those starting at a vertex with an odd number of edges
+	const starts = [ 
+		...incident.map((_, i) => i).filter(i => incident[i].length % 2 === 1),
+		...incident.map((_, i) => i)
+	];
+	for (let start of starts) {
+		while (incident[start].some(e => !used[e])) {
+			const { path, taken } = walk(start);
+			const closed = path.length > 2 && path.at(-1) === path[0];
+			if (closed) path.pop();
+			result.push({ vertices: path.map(i => vertexMap.vertices[i]), closed, segments: taken });
+		}
+	}
+	return result;
+}
+
+// Helper function that determines the nesting of closed, planar loops that do not intersect each other. 
+// Returns an array holding, for each loop, an object { depth, parent }, where depth is the number of other loops
+// containing it, and parent is the index of the innermost loop containing it (or -1). Loops with an even depth are
+// outlines, loops with an odd depth are holes.
+function nestLoops(loops, normal) {
+	// Project to 2D by dropping the dominant coordinate of the normal
+	const axis = [...'xyz'].reduce((prev, curr) => Math.abs(normal[curr]) >= Math.abs(normal[prev]) ? curr : prev);
+	const [ dim1, dim2 ] = [...'xyz'].filter(dim => dim !== axis);
+	const projected = loops.map(loop => loop.map(v => ({ x: v[dim1], y: v[dim2] })));
+	const area = ring => Math.abs(ring.reduce((sum, P, i) => {
+		const Q = ring[(i + 1) % ring.length];
+		return sum + P.x * Q.y - Q.x * P.y;
+	}, 0)) / 2;
+	// Even-odd point in polygon test
+	const inside = (P, ring) => ring.reduce((inside, A, i) => {
+		const B = ring[(i + 1) % ring.length];
+		return ((A.y > P.y) !== (B.y > P.y)) && (P.x < A.x + (P.y - A.y) * (B.x - A.x) / (B.y - A.y)) ? !inside : inside;
+	}, false);
+
+	const areas = projected.map(area);
+	return projected.map((ring, i) => {
+		// Since the loops don't intersect, a loop is contained in another if its first vertex is. 
+		const containing = projected
+			.map((_, j) => j)
+			.filter(j => j !== i && areas[j] > areas[i] && inside(ring[0], projected[j]));
+		return {
+			depth: containing.length,
+			parent: containing.reduce((parent, j) => parent === -1 || areas[j] < areas[parent] ? j : parent, -1)
+		};
+	});
+}
+
+// Helper function that leaves out the vertices at which the given ring runs straight on, i.e. those that form a 
+// triangle of zero area with their neighbors. For every remaining vertex that is followed by left out vertices, 
+// an entry { next, removed } is put into straight, holding the next remaining vertex and the left out vertices 
+// in between. Returns the remaining vertices.
+function removeStraightVertices(ring, straight) {
+	const n = ring.length;
+	const keep = ring.map((vertex, k) => {
+		const prev = ring[(k + n - 1) % n];
+		const next = ring[(k + 1) % n];
+		return Vector.cross(vertex.subtract(prev), next.subtract(prev)).length >= EPSILON;
+	});
+	// Leave degenerate rings as they are
+	if (keep.filter(Boolean).length < 3) return ring;
+
+	const first = keep.indexOf(true);
+	let last = ring[first];
+	let removed = [];
+	for (let k = first + 1; k <= first + n; k++) {
+		if (keep[k % n]) {
+			if (removed.length > 0) straight.set(last, { next: ring[k % n], removed });
+			last = ring[k % n];
+			removed = [];
+		} else
+			removed.push(ring[k % n]);
+	}
+	return ring.filter((_, k) => keep[k]);
+}
+
+/*
+	Helper function that creates the faces closing up the holes that the given (closed) loops leave in the plane with
+	the given normal. Loops nested inside other loops are treated as holes.
+
+	Vertices at which a loop runs straight on, such as where the cut plane crossed the diagonal of a rectangular face,
+	would make the triangulation produce triangles of zero area. They are therefore left out for the triangulation,
+	and then put back in to avoid T-junctions: triangles with such vertices on their edges are replaced by a fan of
+	triangles around their centroid.
+ */
+function capLoops(loops, normal) {
+	const nesting = nestLoops(loops, normal);
+	const result = [];
+	nesting.forEach(({ depth }, i) => {
+		if (depth % 2 === 1) return;
+
+		const straight = new Map();
+		const rings = [ loops[i], ...loops.filter((_, j) => nesting[j].parent === i) ]
+			.map(ring => removeStraightVertices(ring, straight));
+		// The left out vertices between A and B, ordered from A to B
+		const between = (A, B) => {
+			if (straight.get(A)?.next === B) return straight.get(A).removed;
+			if (straight.get(B)?.next === A) return straight.get(B).removed.slice().reverse();
+			return [];
+		}
+
+		const vertices = rings.flat();
+		for (let [ a, b, c ] of triangulate(rings, normal)) {
+			const [ A, B, C ] = [ vertices[a], vertices[b], vertices[c] ];
+			const ring = [ A, ...between(A, B), B, ...between(B, C), C, ...between(C, A) ];
+			if (ring.length === 3) {
+				result.push(new Triangle(A, B, C));
+				continue;
+			}
+			const centroid = A.add(B).add(C).scale(1 / 3);
+			ring.forEach((P, k) => result.push(new Triangle(centroid, P, ring[(k + 1) % ring.length])));
+		}
+	});
+	return result;
+}
+
+// Helper function that returns the given face as an array of triangles. Faces that are not triangles are triangulated,
+// leaving their holes uncovered.
+function toTriangles(face) {
+	return face instanceof Triangle ? [ face ] : face.triangulate();
+}
+
+// Helper function that casts ray against the given face like Triangle.rayIntersect does. Faces that are not triangles
+// are triangulated. In that case, the barycentric coordinates refer to the triangle of the triangulation that was hit.
+function faceRayIntersect(face, ray) {
+	for (let triangle of toTriangles(face)) {
+		const hit = triangle.rayIntersect(ray);
+		if (hit !== null) return hit;
+	}
+	return null;
+}
+
+// Helper function that intersects the given faces with the plane given by normal and distance, and joins the 
+// resulting segments into closed loops. Returns an array of objects { polygon, hole }.
+function section(faces, normal, distance) {
+	/*
+		Triangle.section only returns edges lying in the plane if the triangle is above the plane. That way, a
+		solid touching the plane from above yields the outline of its face in the plane, but a solid touching it from 
+		below yields nothing. To treat both cases the same, also take the edges of triangles below the plane (by 
+		sectioning them with the flipped plane), and drop the duplicates this produces where the surface crosses the
+		plane along an edge.
+	 */
+	const vertexMap = new VertexMap(EPSILON);
+	const seen = new Set();
+	const segments = [];
+	for (let face of faces) {
+		for (let triangle of toTriangles(face)) {
+			const segment = triangle.section(normal, distance) ?? triangle.section(normal.scale(-1), -distance);
+			if (segment === null) continue;
+
+			const key = [ segment.a, segment.b ].map(v => vertexMap.add(v)).sort((i, j) => i - j).join(',');
+			if (seen.has(key)) continue;
+			seen.add(key);
+			segments.push([ segment.a, segment.b ]);
+		}
+	}
+	const loops = chainSegments(segments)
+		.filter(polyline => polyline.closed && polyline.vertices.length >= 3)
+		.map(polyline => polyline.vertices);
+	return nestLoops(loops, normal).map(({ depth }, i) => ({
+		polygon: new Polygon(loops[i]),
+		hole: depth % 2 === 1
+	}));
+}
+
+/*
+	Helper function that splits the triangles of a closed mesh where the surface of another closed mesh crosses or 
+	touches them, and classifies the resulting pieces relative to the other mesh.
+
+	Every triangle is cut by the planes of all triangles of the other mesh that cross it. Triangles of the other mesh
+	that are co-planar with it contribute the planes through their edges instead. This produces more pieces than 
+	strictly necessary, but it guarantees that no piece crosses the other mesh's surface, and that pieces of the same
+	triangle meet at common vertices. 
+
+	Every piece is then classified as
+	- 'inside' or 'outside', if it is inside or outside of the other mesh, 
+	- 'same' or 'opposite', if it lies on the surface of the other mesh and faces the same or the opposite way.
+	Triangles that did not touch the other mesh's surface at all are classified together with all untouched
+	triangles connected to them, because these are necessarily all on the same side.
+
+	triangles and others are meshes of triangles, oriented and oriented others hold their outward-oriented vertices 
+	(see orientedFaces), and candidates holds, for every triangle, the indices of the triangles of the other mesh
+	that may intersect it.
+
+	Returns an array of objects { triangle, classification }.
+ */
+function classifyPieces(triangles, oriented, candidates, others, orientedOthers) {
+	const outwardNormal = ([ A, B, C ]) => Vector.cross(B.subtract(A), C.subtract(A)).unit();
+	const normals = oriented.map(outwardNormal);
+	const otherNormals = orientedOthers.map(outwardNormal);
+
+	const touched = triangles.map(() => false);
+	const split = triangles.map((triangle, i) => {
+		const planes = [];
+		const addPlane = plane => {
+			const duplicate = planes.some(({ normal, distance }) => 
+				Vector.dot(normal, plane.normal) > 1 - EPSILON && Math.abs(distance - plane.distance) < EPSILON ||
+				Vector.dot(normal, plane.normal) < -1 + EPSILON && Math.abs(distance + plane.distance) < EPSILON);
+			if (!duplicate) planes.push(plane);
+		}
+		// The co-planar triangles of the other mesh, given by the planes through their edges. The normals of these
+		// planes point to the inside of the triangle.
+		const coplanar = [];
+		for (let j of candidates[i]) {
+			const normal = otherNormals[j];
+			const distance = Vector.dot(normal, orientedOthers[j][0]);
+			if (triangle.every(v => Math.abs(Vector.dot(normal, v) - distance) < EPSILON)) {
+				const edgePlanes = orientedOthers[j].map((A, k) => {
+					const B = orientedOthers[j][(k + 1) % 3];
+					const edgeNormal = Vector.cross(normal, B.subtract(A)).unit();
+					return { normal: edgeNormal, distance: Vector.dot(edgeNormal, A) };
+				});
+				edgePlanes.forEach(addPlane);
+				coplanar.push({ index: j, edgePlanes });
+				touched[i] = true;
+			} else if (triangle.intersect(others[j]) instanceof Segment) {
+				addPlane({ normal, distance });
+				touched[i] = true;
+			}
+		}
+
+		let pieces = [ triangle ];
+		for (let { normal, distance } of planes)
+			pieces = pieces.flatMap(piece => {
+				const { above, below } = piece.cut(normal, distance);
+				// The piece is co-planar with the cut plane
+				if (above === below) return [ piece ];
+				return [ above, below ]
+					.filter(polygon => !polygon.isEmpty())
+					.flatMap(polygon => fan(polygon).map(vertices => new Triangle(vertices)));
+			});
+		// Discard degenerate pieces
+		pieces = pieces.filter(piece => piece.normal.length >= EPSILON);
+		return { pieces, coplanar };
+	});
+
+	const inside = P => windingNumber(orientedOthers, P) > 0.5;
+	const centroid = triangle => triangle[0].add(triangle[1]).add(triangle[2]).scale(1 / 3);
+
+	// Classify the untouched triangles by flood-filling across edges
+	const classifications = triangles.map(() => null);
+	const halfEdgeMesh = triangles.toHalfEdgeMesh();
+	triangles.forEach((triangle, start) => {
+		if (touched[start] || classifications[start] !== null) return;
+		const classification = inside(centroid(triangle)) ? 'inside' : 'outside';
+		const stack = [ start ];
+		classifications[start] = classification;
+		while (stack.length > 0) {
+			const f = stack.pop();
+			for (let g of halfEdgeMesh.faceNeighbors(f)) {
+				if (!touched[g] && classifications[g] === null) {
+					classifications[g] = classification;
+					stack.push(g);
+				}
+			}
+		}
+	});
+
+	return triangles.flatMap((triangle, i) => {
+		if (!touched[i]) return [ { triangle, classification: classifications[i] } ];
+
+		const { pieces, coplanar } = split[i];
+		return pieces.map(piece => {
+			const P = centroid(piece);
+			const match = coplanar.find(({ edgePlanes }) => 
+				edgePlanes.every(({ normal, distance }) => Vector.dot(normal, P) - distance > 0));
+			let classification;
+			if (match)
+				classification = Vector.dot(normals[i], otherNormals[match.index]) > 0 ? 'same' : 'opposite';
+			else
+				classification = inside(P) ? 'inside' : 'outside';
+			return { triangle: piece, classification };
+		});
+	});
+}
+
+// Helper function that removes T-junctions from the given triangles, i.e. vertices of one triangle that lie on
+// an edge of another triangle without being a vertex of it. Triangles with such vertices on their edges are 
+// replaced by a fan of triangles around their centroid.
+function removeTJunctions(triangles) {
+	const vertexMap = new VertexMap(EPSILON);
+	const indexed = triangles
+		.map(triangle => triangle.map(v => vertexMap.add(v)))
+		.filter(([ a, b, c ]) => a !== b && b !== c && c !== a);
+	const vertices = vertexMap.vertices;
+
+	// The vertices ordered by their x coordinate, so that those that may lie on an edge can be found quickly
+	const order = vertices.map((_, i) => i).sort((i, j) => vertices[i].x - vertices[j].x);
+	const lowerBound = x => {
+		let lo = 0;
+		let hi = order.length;
+		while (lo < hi) {
+			const mid = (lo + hi) >> 1;
+			if (vertices[order[mid]].x < x) lo = mid + 1; else hi = mid;
+		}
+		return lo;
+	}
+	// Helper function that returns the vertices lying strictly between a and b, ordered from a to b
+	const between = (a, b) => {
+		const A = vertices[a];
+		const B = vertices[b];
+		const length = B.subtract(A).length;
+		const D = B.subtract(A).scale(1 / length);
+		const result = [];
+		for (let k = lowerBound(Math.min(A.x, B.x) - EPSILON); k < order.length && vertices[order[k]].x <= Math.max(A.x, B.x) + EPSILON; k++) {
+			const p = order[k];
+			if (p === a || p === b) continue;
+			const AP = vertices[p].subtract(A);
+			const t = Vector.dot(AP, D);
+			if (t > EPSILON && t < length - EPSILON && AP.subtract(D.scale(t)).length < EPSILON)
+				result.push({ p, t });
+		}
+		return result.sort((r1, r2) => r1.t - r2.t).map(({ p }) => p);
+	}
+
+	return indexed.flatMap(([ a, b, c ]) => {
+		const ring = [ a, ...between(a, b), b, ...between(b, c), c, ...between(c, a) ];
+		if (ring.length === 3) return [ new Triangle(vertices[a], vertices[b], vertices[c]) ];
+
+		const centroid = vertices[a].add(vertices[b]).add(vertices[c]).scale(1 / 3);
+		return ring.map((p, k) => new Triangle(centroid, vertices[p], vertices[ring[(k + 1) % ring.length]]));
+	});
+}
+
+// Helper function that checks whether the rings of vertex indices r1 and r2 have the same cyclic order. If reverse
+// is true, it checks whether r2 has the reversed cyclic order of r1 instead.
+function sameCycle(r1, r2, reverse = false) {
+	if (r1.length !== r2.length) return false;
+	const n = r2.length;
+	const offset = r2.indexOf(r1[0]);
+	return offset > -1 && r1.every((index, i) => index === r2[(offset + (reverse ? n - i : i)) % n]);
+}
+
+// Helper function that checks whether the vertex order of the given face tells which way it faces. The constructors
+// wind faces counter-clockwise in the xy-plane, so for (nearly) vertical faces, the vertex order may depend on
+// rounding errors in the vertices.
+function hasDefinedWinding(face) {
+	return Math.abs(face.normal.z) >= EPSILON;
+}
+
+// The directions in which to cast rays for point containment tests. These are chosen to be unlikely to be parallel
+// to any faces of typical meshes.
+const PROBE_DIRECTIONS = [
+	[ 0.5773, 0.5774, 0.5775 ],
+	[ -0.2673, 0.8018, -0.5345 ],
+	[ 0.8729, -0.2182, 0.4364 ],
+	[ -0.6963, -0.5222, 0.4924 ],
+	[ 0.1231, -0.4924, -0.8616 ]
+];
+
+// Which pieces of the first and second operand to keep for each boolean operation (see classifyPieces)
+const OPERATIONS = {
+	union: { first: [ 'outside', 'same' ], second: [ 'outside' ] },
+	intersection: { first: [ 'inside', 'same' ], second: [ 'inside' ] },
+	difference: { first: [ 'outside', 'opposite' ], second: [ 'inside' ] }
+};
+
+// Helper function that performs the boolean operation given by operation (one of 'union', 'intersection' and 
+// 'difference') on the closed meshes mesh1 and mesh2. 
+function csg(mesh1, mesh2, operation) {
+	const triangles1 = new Mesh(mesh1.flatMap(toTriangles));
+	const triangles2 = new Mesh(mesh2.flatMap(toTriangles));
+	const oriented1 = orientedFaces(triangles1);
+	const oriented2 = orientedFaces(triangles2);
+
+	const candidates1 = triangles1.map(() => []);
+	const candidates2 = triangles2.map(() => []);
+	for (let [ i, j ] of triangles1.overlappingFaces(triangles2)) {
+		candidates1[i].push(j);
+		candidates2[j].push(i);
+	}
+
+	const { first, second } = OPERATIONS[operation];
+	const pieces = [
+		...classifyPieces(triangles1, oriented1, candidates1, triangles2, oriented2)
+			.filter(({ classification }) => first.includes(classification)),
+		...classifyPieces(triangles2, oriented2, candidates2, triangles1, oriented1)
+			.filter(({ classification }) => second.includes(classification))
+	];
+	return new Mesh(removeTJunctions(pieces.map(({ triangle }) => triangle)));
+}
 
 class Mesh extends Array {
+	// The cached bounding volume hierarchy, if one has been built
+	#bvh = null;
+
 	constructor(faces) {
 		if (Array.isArray(faces) && !(faces instanceof Triangle) && !(faces instanceof Polygon)) {
 			super(faces.length);
@@ -21,103 +548,822 @@ class Mesh extends Array {
 	static get [Symbol.species]() { return Array }
 
 	/**
-	 * Cuts this mesh along the plane perpendicular to `dimension` at `offset`.
-	 * @param  {Vector} normal The normal vector of the cut plane.
-	 * @param  {Number} distance    The distance from origin of the cut plane.
+	 * Builds a bounding volume hierarchy over the faces of this mesh and caches it. Subsequent ray, plane, box and 
+	 * mesh-vs-mesh queries on this mesh use the hierarchy to skip faces that cannot be involved.
+	 *
+	 * Building the hierarchy takes time, so this only pays off if the mesh is queried repeatedly. The hierarchy is 
+	 * not updated when faces are added to or removed from the mesh. Call `buildBVH` again after changing the mesh.
+	 * @return {BVH} The bounding volume hierarchy.
+	 */
+	buildBVH() {
+		return this.#bvh = new BVH(this);
+	}
+
+	/**
+	 * The bounding volume hierarchy cached by `buildBVH`, or `null` if none has been built.
+	 * @type {BVH}
+	 */
+	get bvh() {
+		return this.#bvh;
+	}
+
+	// Helper method that returns the indices of the faces that may satisfy the given query, in ascending order.
+	// If no bounding volume hierarchy has been built, these are all faces.
+	#candidates(query) {
+		return this.#bvh ? 
+			query(this.#bvh).sort((i, j) => i - j) : 
+			this.map((_, i) => i);
+	}
+
+	/**
+	 * Creates a mesh from an STL file. Both ASCII and binary STL are supported, and the format is auto-detected.
+	 * 
+	 * See `parse` in `io/stl.js` for details.
+	 * @param  {String|ArrayBuffer|ArrayBufferView} input The contents of the STL file.
+	 * @return {Mesh}       A mesh made up of the facets of the STL file.
+	 */
+	static fromSTL(input) {
+		return new Mesh(STL.parse(input));
+	}
+
+	/**
+	 * Serializes this mesh to STL. All faces of the mesh must be triangles.
+	 *
+	 * See `serialize` in `io/stl.js` for details.
+	 * @param  {Object} [options] 
+	 * @param  {boolean} [options.binary=false] Whether to produce binary STL rather than ASCII STL.
+	 * @param  {String} [options.name=''] The name of the solid.
+	 * @return {String|Uint8Array}         The STL data: a string for ASCII STL, a `Uint8Array` for binary STL.
+	 */
+	toSTL(options) {
+		return STL.serialize(this, options);
+	}
+
+	/**
+	 * Creates a mesh from the faces of a half-edge mesh.
+	 * @param  {HalfEdgeMesh} halfEdgeMesh The half-edge mesh to convert.
+	 * @return {Mesh}              A mesh with the same faces as `halfEdgeMesh`.
+	 */
+	static fromHalfEdgeMesh(halfEdgeMesh) {
+		return new Mesh(halfEdgeMesh.toFaces());
+	}
+
+	/**
+	 * Creates an indexed half-edge representation of this mesh, which allows efficient adjacency queries.
+	 * @return {HalfEdgeMesh} The half-edge representation of this mesh.
+	 */
+	toHalfEdgeMesh() {
+		return new HalfEdgeMesh(this);
+	}
+
+	/**
+	 * Creates meshes from a Wavefront OBJ file. Every object (`o`) or group (`g`) in the file becomes a separate mesh.
+	 * Faces that are not part of any object or group are put in a mesh called `'default'`.
+	 *
+	 * See `parse` in `io/obj.js` for details.
+	 * @param  {String} text      The contents of the OBJ file.
+	 * @param  {Object} [options]
+	 * @param  {boolean} [options.triangulate=true] Whether faces with more than three vertices should be triangulated.
+	 * If `false`, they are kept as `Polygon`s.
+	 * @return {Object}           An object mapping object and group names to meshes.
+	 */
+	static fromOBJ(text, options) {
+		return Object.fromEntries(
+			Object.entries(OBJ.parse(text, options)).map(([ name, faces ]) => [ name, new Mesh(faces) ])
+		);
+	}
+
+	/**
+	 * Serializes several named meshes into a single Wavefront OBJ file. Each mesh is written as an object (`o`).
+	 * Vertices are shared between all faces of all meshes.
+	 * @param  {Object} meshes An object mapping names to meshes.
+	 * @return {String}        The OBJ data.
+	 */
+	static toOBJ(meshes) {
+		return OBJ.serialize(meshes);
+	}
+
+	/**
+	 * Serializes this mesh to Wavefront OBJ. Vertices that are equal (as determined by `Vector.equals`) 
+	 * are written only once and shared between the faces using them.
+	 * @param  {Object} [options]
+	 * @param  {String} [options.name='default'] The object name to give the mesh in the file.
+	 * @return {String}         The OBJ data.
+	 */
+	toOBJ({ name = 'default' } = {}) {
+		return OBJ.serialize({ [name]: this });
+	}
+
+	/**
+	 * Cuts this mesh along the plane given by `normal` and `distance`. Alternatively, the cut plane can be passed as
+	 * a `Plane`, in which case the options follow it directly: `mesh.cut(plane, options)`.
+	 *
+	 * If `options.cap` is `true`, the holes left by the cut are closed: the edges along which the mesh was cut are
+	 * joined into closed loops, which are triangulated and added to both `above` and `below`. Loops nested inside 
+	 * other loops are treated as holes in the cap. If this mesh is a closed solid, both halves will then be closed 
+	 * solids, too.
+	 * @param  {Vector|Plane} normal The normal vector of the cut plane, or the cut plane itself.
+	 * @param  {Number} [distance]    The distance from origin of the cut plane. This is omitted if `normal` is a 
+	 * `Plane`.
+	 * @param  {Object} [options]
+	 * @param  {boolean} [options.cap=false] Whether to close the holes left by the cut.
 	 * @return {Object}		An object of two meshes (`above` and `below`) that combined equal this mesh, but do
 	 * not intersect with the cut plane (other than touching). Note that the meshes are not guaranteed
 	 * to be contiguous even if the original mesh was. The `above` mesh is comprised of all
 	 * faces on the greater-or-equal side of the cutplane, the `below` mesh that with the less-than-or-equal ones.
 	 * Note that `above` or `below` may be empty meshes.
 	 */
-	cut(normal, distance) {
+	cut(normal, distance, options) {
+		if (normal instanceof Plane)
+			[ normal, distance, options ] = [ normal.normal, normal.distance, distance ];
+		const { cap = false } = options ?? {};
+
 		let above = [];
 		let below = [];
-		let cutResults = this.map(face => face.cut(normal, distance));
+		// Faces that are not candidates lie entirely on one side of the plane, so cutting them would leave them whole.
+		const candidates = new Set(this.#candidates(bvh => bvh.queryPlane(normal, distance)));
+		let cutResults = this.map((face, index) => candidates.has(index) ? 
+			face.cut(normal, distance) : 
+			Vector.dot(normal, face[0]) > distance ? 
+				{ above: face, below: new Polygon() } : 
+				{ above: new Polygon(), below: face });
 			
+		// Triangles are cut into a single polygon on each side, general polygons into arrays of pieces
+		const pieces = result => result instanceof Polygon ? [ result ] : result;
 		for (let cutResult of cutResults) {
-			if (!cutResult.above.isEmpty()) 
-				above.push(cutResult.above);
-			if (!cutResult.below.isEmpty())
-				below.push(cutResult.below);
+			above.push(...pieces(cutResult.above).filter(piece => !piece.isEmpty()));
+			below.push(...pieces(cutResult.below).filter(piece => !piece.isEmpty()));
+		}
+
+		if (cap) {
+			// The holes left by the cut are bounded by those boundary edges of each half that lie on the cut plane.
+			const onPlane = v => Math.abs(Vector.dot(normal, v) - distance) < EPSILON;
+			const caps = half => {
+				const halfEdgeMesh = new HalfEdgeMesh(half);
+				const edges = halfEdgeMesh.boundaryEdges()
+					.map(edge => edge.map(i => halfEdgeMesh.vertices[i]))
+					.filter(edge => edge.every(onPlane));
+				const loops = chainSegments(edges)
+					.filter(polyline => polyline.closed)
+					.map(polyline => polyline.vertices);
+				return capLoops(loops, normal);
+			}
+			above = above.concat(caps(above));
+			below = below.concat(caps(below));
 		}
+
 		return {
 			above: new Mesh(above),
 			below: new Mesh(below)
 		};
 	}
 
+	/**
+	 * Intersects this mesh with the plane given by `normal` and `distance` (or with a `Plane`). The result is the 
+	 * cross-section of the mesh as a set of closed loops, each of which is given as an object `{ polygon, hole }`: 
+	 * `polygon` is a `Polygon` with the loop's vertices in order, and `hole` is `true` if the loop is nested inside an odd number of other loops,
+	 * i.e. if it bounds a hole of the cross-section, and `false` if it is an outline.
+	 *
+	 * If this mesh is not closed, the intersection may also contain open polylines. These are not part of the result.
+	 * Where faces of the mesh lie in the plane, such as the top and bottom faces of a box sectioned at its ends, the
+	 * outlines of these faces are part of the cross-section.
+	 * @param  {Vector|Plane} normal   The normal vector of the plane, or the plane itself.
+	 * @param  {Number} [distance] The distance from origin of the plane. This is ignored if `normal` is a `Plane`.
+	 * @return {Object[]}          The loops of the cross-section as described above.
+	 */
+	section(normal, distance) {
+		if (normal instanceof Plane) 
+			({ normal, distance } = normal);
+		return section(this.#candidates(bvh => bvh.queryPlane(normal, distance)).map(i => this[i]), normal, distance);
+	}
+
+	/**
+	 * Intersects this mesh with a series of evenly spaced, parallel planes, starting at `start` and advancing by
+	 * `step` up to (and including) `end`. 
+	 * 
+	 * This is more efficient than repeatedly calling `section`, because only the faces that can actually intersect 
+	 * a given plane are considered for it.
+	 * @param  {Vector} normal The normal vector of the planes.
+	 * @param  {Number} start  The distance from origin of the first plane.
+	 * @param  {Number} end    The distance from origin of the last plane.
+	 * @param  {Number} step   The distance between two consecutive planes. Must be positive.
+	 * @return {Object[]}        An array of objects `{ distance, loops }`, one for each plane, where `loops` is the
+	 * cross-section at `distance` as returned by `section`.
+	 */
+	sections(normal, start, end, step) {
+		if (!(step > 0)) throw new RangeError(`Step must be positive, but was ${step}`);
+
+		// The extent of every face along the normal
+		const extents = this.map(face => {
+			const distances = face.map(v => Vector.dot(normal, v));
+			return { face, min: Math.min(...distances), max: Math.max(...distances) };
+		}).sort((e1, e2) => e1.min - e2.min);
+
+		const result = [];
+		// The faces that have been reached by the sweep so far and not yet been left behind
+		let active = [];
+		let next = 0;
+		for (let i = 0; start + i * step <= end + EPSILON; i++) {
+			const distance = start + i * step;
+			while (next < extents.length && extents[next].min <= distance + EPSILON)
+				active.push(extents[next++]);
+			active = active.filter(extent => extent.max >= distance - EPSILON);
+			result.push({ distance, loops: section(active.map(extent => extent.face), normal, distance) });
+		}
+		return result;
+	}
+
 	/**
 	 * Checks this mesh for intersection with the ray. The ray intersects the mesh if it intersects at least
 	 * one face of the mesh.
-	 * @param  {Object} ray [description]
+	 *
+	 * This is an "any hit" query: it stops at the first face found to be hit. Use `raycast` to find the closest hit.
+	 * @param  {Ray} ray The ray to check.
 	 * @return {boolean}     `true` if `ray` intersects with this mesh, `false` otherwise.
 	 */
 	rayIntersect(ray) {
-		this.some(face => face.rayIntersect(ray));
+		return this.#candidates(bvh => bvh.queryRay(ray)).some(i => faceRayIntersect(this[i], ray) !== null);
+	}
+
+	/**
+	 * Casts `ray` against this mesh and returns the closest hit.
+	 *
+	 * The result is the hit record returned by `Triangle.rayIntersect` for the closest face that was hit,
+	 * amended by a property `index` holding the index of that face in this mesh. Faces that are not triangles, such
+	 * as the caps created by `cut`, are triangulated for this, so their hit records' barycentric coordinates refer 
+	 * to the triangle of the triangulation that was hit.
+	 * @param  {Ray} ray The ray to cast.
+	 * @return {Object|null}     The hit record of the closest hit, or `null` if the ray does not hit this mesh.
+	 */
+	raycast(ray) {
+		let closest = null;
+		this.#candidates(bvh => bvh.queryRay(ray)).forEach(index => {
+			const hit = faceRayIntersect(this[index], ray);
+			if (hit !== null && (closest === null || hit.distance < closest.distance))
+				closest = { ...hit, index };
+		});
+		return closest;
+	}
+
+	/**
+	 * Casts `ray` against this mesh and returns all hits, ordered by ascending distance from the ray's origin.
+	 *
+	 * Each hit is a hit record as returned by `Triangle.rayIntersect`, amended by a property `index` holding the
+	 * index of the face that was hit. Faces that are not triangles are treated as described for `raycast`, and are
+	 * reported at most once. Note that if the ray passes through an edge or a vertex, all faces sharing
+	 * that edge or vertex will be reported.
+	 * @param  {Ray} ray The ray to cast.
+	 * @return {Object[]}     An array of hit records. This will be empty if the ray does not hit this mesh.
+	 */
+	raycastAll(ray) {
+		const hits = [];
+		this.#candidates(bvh => bvh.queryRay(ray)).forEach(index => {
+			const hit = faceRayIntersect(this[index], ray);
+			if (hit !== null)
+				hits.push({ ...hit, index });
+		});
+		return hits.sort((hit1, hit2) => hit1.distance - hit2.distance);
+	}
+
+	/**
+	 * Finds the point on the surface of this mesh that is closest to `point`.
+	 *
+	 * If a bounding volume hierarchy has been built (see `buildBVH`), it is used to skip faces that are too far away.
+	 * @param  {Vector} point The point for which to find the closest point.
+	 * @return {Vector|null}       The point on this mesh closest to `point`, or `null` if this mesh is empty.
+	 */
+	closestPoint(point) {
+		// Helper function that finds the closest point to point on face f
+		const closest = f => toTriangles(this[f])
+			.map(triangle => triangle.closestPoint(point))
+			.reduce((P, Q) => Q.subtract(point).length < P.subtract(point).length ? Q : P);
+
+		let index = -1;
+		if (this.#bvh)
+			index = this.#bvh.queryNearest(point, f => closest(f).subtract(point).length)?.index ?? -1;
+		else {
+			let min = Infinity;
+			this.forEach((_, f) => {
+				const distance = closest(f).subtract(point).length;
+				if (distance < min) {
+					min = distance;
+					index = f;
+				}
+			});
+		}
+		return index === -1 ? null : closest(index);
 	}
 
 	/**
-	 * Splits this mesh into contiguous sub meshes.
-	 * @return {Mesh[]} An array of contiguous meshes that combined equal this mesh.
+	 * Computes the distance of `point` from the surface of this mesh.
+	 * @param  {Vector} point The point whose distance to compute.
+	 * @return {Number}       The distance between `point` and the point on this mesh closest to it, or `Infinity` if 
+	 * this mesh is empty.
 	 */
-	split() {
-		/* 
-			This algorithm works somewhat like a flood fill.
-			It starts by selecting an arbitrary face of the mesh, and then consecutively
-			adding all other faces that share at least one vertex with an already selected face.
+	distanceTo(point) {
+		const closest = this.closestPoint(point);
+		return closest === null ? Infinity : closest.subtract(point).length;
+	}
 
-			When no such faces exist any more, but not all faces of the mesh are accounted for,
-			it creates a new submesh and repeats the algorithm, starting with one of the remaining
-			faces.
+	/**
+	 * Checks whether `point` is inside the solid bounded by this mesh. Points on the surface of the mesh are 
+	 * considered to be inside. This mesh must be closed, otherwise the result is meaningless.
+	 *
+	 * This casts a ray from `point` and counts how often it crosses the surface: the point is inside if that number
+	 * is odd. If the ray passes through an edge or a vertex of the mesh, where this count is unreliable, it is cast
+	 * again in a different direction. If that happens for all directions tried, the generalized winding number of the 
+	 * mesh around the point is used instead, which is robust but slower.
+	 *
+	 * If a bounding volume hierarchy has been built (see `buildBVH`), it is used to speed up the ray casts.
+	 * @param  {Vector} point The point to check.
+	 * @return {boolean}       `true` if `point` is inside or on this mesh, `false` otherwise.
+	 */
+	contains(point) {
+		for (let direction of PROBE_DIRECTIONS) {
+			const hits = this.raycastAll(new Ray(point, new Vector(...direction)));
+			if (hits.length > 0 && hits[0].distance < EPSILON) return true;
+			if (hits.every(hit => Math.min(...hit.barycentric) > EPSILON))
+				return hits.length % 2 === 1;
+		}
+		return windingNumber(orientedTriangles(this), point) > 0.5;
+	}
+
+	/**
+	 * Computes the signed distance of `point` from the surface of this mesh. The distance is negative for points inside
+	 * the mesh and positive for points outside of it. This mesh must be closed.
+	 * @param  {Vector} point The point whose distance to compute.
+	 * @return {Number}       The signed distance of `point`.
+	 */
+	signedDistance(point) {
+		const distance = this.distanceTo(point);
+		return this.contains(point) ? -distance : distance;
+	}
+
+	/**
+	 * Finds the faces of this mesh whose bounding boxes overlap `box`.
+	 * @param  {Object} box The box to check, as an object with properties `xmin`, `xmax`, `ymin`, `ymax`, `zmin` 
+	 * and `zmax` like the one returned by `getBoundingBox`.
+	 * @return {Number[]}     The indices of the faces, in ascending order.
+	 */
+	facesInBox(box) {
+		return this.#candidates(bvh => bvh.queryBox(box)).filter(i => {
+			const faceBox = this[i].getBoundingBox();
+			return [ 'x', 'y', 'z' ].every(dim => 
+				faceBox[`${dim}min`] <= box[`${dim}max`] + EPSILON && box[`${dim}min`] <= faceBox[`${dim}max`] + EPSILON);
+		});
+	}
+
+	/**
+	 * Finds all pairs of faces of this mesh and `other` whose bounding boxes overlap. Only these pairs of faces 
+	 * can possibly intersect.
+	 *
+	 * This uses the bounding volume hierarchies of both meshes. Where one has not been built, a temporary one 
+	 * is used.
+	 * @param  {Mesh} other The other mesh.
+	 * @return {Number[][]}       An array of pairs `[ i, j ]`, where `i` is the index of a face of this mesh
+	 * and `j` is the index of a face of `other`, sorted by `i` and then by `j`.
+	 */
+	overlappingFaces(other) {
+		const bvh1 = this.bvh ?? new BVH(this);
+		const bvh2 = other.bvh ?? new BVH(other);
+		return bvh1.queryOverlaps(bvh2).sort(([ i1, j1 ], [ i2, j2 ]) => i1 - i2 || j1 - j2);
+	}
+
+	/**
+	 * Intersects this mesh with `other`. The result is the set of curves along which the surfaces of the two meshes 
+	 * cross or touch, as polylines. 
+	 *
+	 * Every polyline is given as an object `{ vertices, closed, faces }`. `vertices` are the vertices of the polyline 
+	 * in order, and `closed` is `true` if the polyline is a closed loop. In that case, the first vertex is not repeated 
+	 * at the end. `faces` holds, for each segment of the polyline, the pair `[ i, j ]` of the index `i` of the face of 
+	 * this mesh and the index `j` of the face of `other` whose intersection is that segment. (The segment from 
+	 * `vertices[k]` to `vertices[k + 1]` is the `k`-th segment.) If a segment runs along an edge shared by several faces,
+	 * only the first pair of faces producing it is given.
+	 *
+	 * Only faces whose bounding boxes overlap are tested against each other (see `overlappingFaces`). Faces that merely 
+	 * touch in a point, and faces that are co-planar, do not contribute to the result.
+	 * @param  {Mesh} other The mesh to intersect this mesh with.
+	 * @return {Object[]}       The polylines of the intersection as described above. This is an empty array if the 
+	 * meshes do not intersect.
+	 */
+	intersect(other) {
+		const vertexMap = new VertexMap(EPSILON);
+		// Segments that have already been found, identified by the indices of their end points
+		const found = new Set();
+		const segments = [];
+		const pairs = [];
+		for (let [ i, j ] of this.overlappingFaces(other)) {
+			for (let triangle1 of toTriangles(this[i]))
+				for (let triangle2 of toTriangles(other[j])) {
+					const intersection = triangle1.intersect(triangle2);
+					if (!(intersection instanceof Segment)) continue;
+
+					const ends = [ vertexMap.add(intersection.a), vertexMap.add(intersection.b) ].sort((a, b) => a - b);
+					if (ends[0] === ends[1] || found.has(`${ends}`)) continue;
+					found.add(`${ends}`);
+					segments.push([ intersection.a, intersection.b ]);
+					pairs.push([ i, j ]);
+				}
+		}
+
+		return chainSegments(segments).map(({ vertices, closed, segments }) => ({
+			vertices,
+			closed,
+			faces: segments.map(k => pairs[k])
+		}));
+	}
+
+	/**
+	 * Computes the union of this mesh and `other`, i.e. the solid made up of all points that are inside of this mesh
+	 * or inside of `other`. Both meshes must be closed.
+	 *
+	 * The faces of both meshes are split where the other mesh's surface crosses them, and the pieces are kept or 
+	 * discarded depending on whether they are inside or outside of the other mesh. Faces that lie on the surface of 
+	 * both meshes are kept only once. The result is triangulated such that it is closed, too.
+	 * @param  {Mesh} other The other mesh.
+	 * @return {Mesh}       The union of the two meshes.
+	 * @throws {Error} If either of the meshes is not closed or not orientable.
+	 */
+	union(other) {
+		return csg(this, other, 'union');
+	}
 
-			It does this until all faces of the original mesh have been assigned to submeshes.
+	/**
+	 * Computes the intersection of this mesh and `other`, i.e. the solid made up of all points that are inside of 
+	 * both this mesh and `other`. Both meshes must be closed.
+	 *
+	 * See `union` for details. Note that this is different from `intersect`, which computes the curves along which the
+	 * surfaces of two meshes intersect.
+	 * @param  {Mesh} other The other mesh.
+	 * @return {Mesh}       The intersection of the two meshes. This is an empty mesh if the meshes do not overlap.
+	 * @throws {Error} If either of the meshes is not closed or not orientable.
+	 */
+	intersection(other) {
+		return csg(this, other, 'intersection');
+	}
+
+	/**
+	 * Computes the difference of this mesh and `other`, i.e. the solid made up of all points that are inside of this 
+	 * mesh, but not inside of `other`. Both meshes must be closed.
+	 *
+	 * See `union` for details.
+	 * @param  {Mesh} other The mesh to subtract from this mesh.
+	 * @return {Mesh}       The difference of the two meshes.
+	 * @throws {Error} If either of the meshes is not closed or not orientable.
+	 */
+	difference(other) {
+		return csg(this, other, 'difference');
+	}
+
+	/**
+	 * Splits this mesh into contiguous sub meshes, i.e. into its connected components.
+	 *
+	 * By default, two faces are connected if they share a vertex. With `connectivity: 'edge'`, they are only
+	 * connected if they share an edge, so parts of the mesh that touch only in single vertices are separated. 
+	 * Note that faces meeting in a T-junction do not share an edge in this sense.
+	 *
+	 * Vertices are identified by `Vector.equals`.
+	 * @param  {Object} [options]
+	 * @param  {String} [options.connectivity='vertex'] Either `'vertex'` or `'edge'`, see above.
+	 * @return {Mesh[]} An array of contiguous meshes that combined equal this mesh. The sub meshes are ordered by
+	 * their first face in this mesh, and keep the order of their faces.
+	 * @throws {TypeError} If `connectivity` is neither `'vertex'` nor `'edge'`.
+	 */
+	split({ connectivity = 'vertex' } = {}) {
+		if (connectivity !== 'vertex' && connectivity !== 'edge') 
+			throw new TypeError(`Connectivity must be 'vertex' or 'edge', but was ${connectivity}`);
+
+		/*
+			Index the vertices using a spatial hash, and remember the first face using each vertex (or edge).
+			Every further face using it is merged into that face's component.
 		 */
-		
-		// The faces of the original mesh that are not yet assigned to a submesh
-		let remaining = this.slice(); // Shallow copy
-		// The faces that were selected in the previous step
-		let selected = [];
-		// The resulting array of submeshes
-		const result = [];
-		// The current submesh
-		let current;
-		while (remaining.length > 0) {
-			// If no pieces are currently selected, we have found a new submesh.
-			if (selected.length === 0) {
-				// Start a new submesh
-				current = [];
-				// Add it to the result
-				result.push(current);
-				// Select an arbitrary unprocessed face to start the algorithm. We just take the first.
-				selected = [ remaining[0] ];
+		const vertexMap = new VertexMap(EPSILON);
+		const components = new UnionFind(this.length);
+		const owners = new Map();
+		const connect = (key, f) => {
+			if (owners.has(key)) 
+				components.union(owners.get(key), f);
+			else
+				owners.set(key, f);
+		}
+		this.forEach((face, f) => {
+			for (let ring of face.rings) {
+				const indices = ring.map(v => vertexMap.add(v));
+				indices.forEach((i, k) => {
+					if (connectivity === 'vertex') 
+						connect(i, f);
+					else {
+						const j = indices[(k + 1) % indices.length];
+						connect(i < j ? `${i},${j}` : `${j},${i}`, f);
+					}
+				});
 			}
-			// Add the selected faces to the current submesh
-			current.splice(current.length, 0 , ...selected);
-			// Remove the selected faces from those that are still in need of processing
-			remaining = remaining.filter(face => !selected.includes(face));
-			// From the remaining unprocessed faces, select those share at least one vertex with some 
-			// face selected in the last step.
-			selected = remaining.filter(
-				remainingFace => selected.some(selectedFace => 
-					remainingFace.some(vr => 
-					selectedFace.some(vs => vr.equals(vs)))
-				)
-			);
+		});
+
+		return components.sets().map(component => new Mesh(component.map(f => this[f])));
+	}
+
+	/**
+	 * Whether or not this mesh is contiguous, i.e. whether it consists of a single connected component. An empty
+	 * mesh is considered contiguous.
+	 *
+	 * See `split` for the options.
+	 * @param  {Object} [options]
+	 * @param  {String} [options.connectivity='vertex'] Either `'vertex'` or `'edge'`.
+	 * @return {Boolean} `true` if this mesh is contiguous, `false` otherwise.
+	 */
+	isContiguous(options) {
+		return this.split(options).length <= 1;
+	}
+
+	/**
+	 * Checks whether this mesh is a closed, consistently oriented 2-manifold, and reports any problems found.
+	 *
+	 * The result is an object with the following properties:
+	 * - `boundaryEdges`: The edges that are used by only one face, as `Segment`s. 
+	 * - `nonManifoldEdges`: The edges that are used by more than two faces, as objects `{ edge, faces }`, where `edge`
+	 * is a `Segment` and `faces` are the indices of the faces using it.
+	 * - `nonManifoldVertices`: The vertices whose incident faces do not form a single fan connected by edges, e.g.
+	 * where two otherwise separate parts of the mesh touch in a single point.
+	 * - `degenerateFaces`: The indices of the faces with zero area.
+	 * - `inconsistentEdges`: The edges between two neighboring faces that are not oriented consistently, i.e. that
+	 * run along the edge in the same direction. These are objects `{ edge, faces }` as above.
+	 * - `closed`: Whether the mesh has no boundary edges.
+	 * - `manifold`: Whether the mesh has no non-manifold edges and vertices.
+	 * - `orientable`: Whether the faces of the mesh can be re-ordered so that all neighboring faces are oriented
+	 * consistently.
+	 * - `valid`: Whether the mesh is a closed, orientable 2-manifold without degenerate faces.
+	 *
+	 * Note that the vertex order of `Triangle`s and `Polygon`s is determined by their constructors, so it usually
+	 * is not consistent across a closed mesh. That is why `valid` requires the mesh to be `orientable` rather than
+	 * to have no `inconsistentEdges`. Operations that depend on orientation, such as computing volumes, orient
+	 * the faces themselves.
+	 *
+	 * Vertices are identified by `Vector.equals`.
+	 * @return {Object} The validation result as described above.
+	 */
+	validate() {
+		const halfEdgeMesh = this.toHalfEdgeMesh();
+		const { vertices, halfEdges } = halfEdgeMesh;
+		const segment = ([ i, j ]) => new Segment(vertices[i], vertices[j]);
+
+		const boundaryEdges = halfEdgeMesh.boundaryEdges().map(segment);
+		const nonManifoldEdges = [];
+		const inconsistentEdges = [];
+		for (let edge of halfEdgeMesh.edges()) {
+			const edgeHalfEdges = halfEdgeMesh.edgeHalfEdges(...edge);
+			const faces = edgeHalfEdges.map(h => halfEdges[h].face);
+			if (edgeHalfEdges.length > 2)
+				nonManifoldEdges.push({ edge: segment(edge), faces });
+			// Two consistently oriented faces traverse their common edge in opposite directions
+			else if (edgeHalfEdges.length === 2 && halfEdges[edgeHalfEdges[0]].origin === halfEdges[edgeHalfEdges[1]].origin)
+				inconsistentEdges.push({ edge: segment(edge), faces });
 		}
 
-		return result.map(submesh => new Mesh(submesh));
+		// A vertex is non-manifold if its incident faces fall apart into several groups when only connecting faces
+		// across (manifold) edges incident to the vertex.
+		const nonManifoldVertices = vertices.filter((vertex, v) => {
+			const faces = halfEdgeMesh.vertexFaces(v);
+			if (faces.length === 0) return false;
+
+			const reached = new Set([ faces[0] ]);
+			const stack = [ faces[0] ];
+			while (stack.length > 0) {
+				const f = stack.pop();
+				for (let h of halfEdgeMesh.faceHalfEdges(f)) {
+					const edge = [ halfEdges[h].origin, halfEdgeMesh.destination(h) ];
+					if (!edge.includes(v)) continue;
+					const neighbors = halfEdgeMesh.edgeFaces(...edge);
+					if (neighbors.length !== 2) continue;
+					for (let g of neighbors) 
+						if (!reached.has(g)) {
+							reached.add(g);
+							stack.push(g);
+						}
+				}
+			}
+			return reached.size < faces.length;
+		});
+
+		const degenerateFaces = [];
+		this.forEach((face, index) => {
+			if (face.length < 3 || face.normal.length < EPSILON) 
+				degenerateFaces.push(index);
+		});
+
+		const closed = boundaryEdges.length === 0;
+		const manifold = nonManifoldEdges.length === 0 && nonManifoldVertices.length === 0;
+		const orientable = halfEdgeMesh.orientation() !== null;
+		return {
+			boundaryEdges,
+			nonManifoldEdges,
+			nonManifoldVertices,
+			degenerateFaces,
+			inconsistentEdges,
+			closed,
+			manifold,
+			orientable,
+			valid: closed && manifold && orientable && degenerateFaces.length === 0
+		};
 	}
 
 	/**
-	 * Whether or not this mesh is contiguous. 
+	 * Welds this mesh, i.e. merges vertices that are within `tolerance` of each other in every coordinate, and cleans
+	 * up the faces afterwards. Vertices are merged using a spatial hash, so this is fast even for large meshes.
+	 * Vertices are visited in the order of the faces of this mesh. Every vertex is replaced by the earliest visited 
+	 * vertex that is within `tolerance` of it and has not itself been replaced. Edges that collapse because their end 
+	 * points were merged are removed from the faces.
+	 *
+	 * Faces are removed from the result if they are
+	 * - degenerate, i.e. they have fewer than three vertices left or zero area,
+	 * - duplicates of an earlier face, i.e. they have the same vertices (and holes) in the same or in reversed cyclic
+	 *   order, or
+	 * - flipped duplicates of an earlier face, i.e. they have the same vertices (and holes) in reversed cyclic order,
+	 *   and neither face is (nearly) vertical.
+	 *
+	 * The result is an object with the following properties:
+	 * - `mesh`: The welded `Mesh`.
+	 * - `mergedVertices`: The number of distinct vertices that were merged into others.
+	 * - `degenerateFaces`: The indices of the removed degenerate faces.
+	 * - `duplicateFaces`: The indices of the removed duplicate faces.
+	 * - `flippedFaces`: The indices of the removed flipped duplicate faces.
+	 *
+	 * Indices refer to the faces of this mesh. Note that the vertex order of `Triangle`s and `Polygon`s is determined
+	 * by their constructors, so duplicates with flipped orientation are rare unless the faces were re-ordered. 
+	 * The constructors cannot reliably determine the vertex order of vertical faces, so these are always reported
+	 * as duplicates.
+	 * @param  {Number} [tolerance=EPSILON] The tolerance within which vertices are merged.
+	 * @return {Object}           The welded mesh and a report of the changes, as described above.
+	 * @throws {TypeError} If `tolerance` is not positive.
+	 */
+	weld(tolerance = EPSILON) {
+		if (!(tolerance > 0)) throw new TypeError(`Tolerance must be positive, but was ${tolerance}`);
+
+		const vertexMap = new VertexMap(tolerance);
+		const distinct = new Set();
+		// The rings of every face as vertex indices, without the edges that collapse when merging their end points
+		const indexed = this.map(face => face.rings.map(ring => ring
+			.map(v => {
+				distinct.add(`${v.x},${v.y},${v.z}`);
+				return vertexMap.add(v);
+			})
+			.filter((index, i, indices) => index !== indices[(i + 1) % indices.length])
+		));
+		const vertices = vertexMap.vertices;
+
+		const faces = [];
+		const degenerateFaces = [];
+		const duplicateFaces = [];
+		const flippedFaces = [];
+		// The kept faces' rings, grouped by the sorted indices of their vertices
+		const kept = new Map();
+		indexed.forEach(([ outline, ...holes ], index) => {
+			holes = holes.filter(hole => hole.length >= 3);
+			const face = outline.length < 3 ? null :
+				outline.length === 3 && holes.length === 0 ?
+					new Triangle(...outline.map(i => vertices[i])) :
+					new Polygon(outline.map(i => vertices[i]), holes.map(hole => hole.map(i => vertices[i])));
+			if (face === null || face.normal.length < EPSILON) {
+				degenerateFaces.push(index);
+				return;
+			}
+
+			const rings = [ outline, ...holes ];
+			const key = rings.map(ring => ring.slice().sort((i, j) => i - j).join(',')).sort().join('|');
+			const candidates = kept.get(key) ?? [];
+			// Find the same face first, regardless of orientation. Only then decide whether it is flipped.
+			const matches = (other, reverse) => rings.length === other.rings.length && 
+				rings.every(ring => other.rings.some(otherRing => sameCycle(ring, otherRing, reverse)));
+			const match = candidates.find(other => matches(other, false) || matches(other, true));
+			if (match === undefined) {
+				kept.set(key, [ ...candidates, { rings, face } ]);
+				faces.push(face);
+			} else if (!matches(match, false) && hasDefinedWinding(face) && hasDefinedWinding(match.face))
+				flippedFaces.push(index);
+			else
+				duplicateFaces.push(index);
+		});
+
+		return {
+			mesh: new Mesh(faces),
+			mergedVertices: distinct.size - vertices.length,
+			degenerateFaces,
+			duplicateFaces,
+			flippedFaces
+		};
+	}
+
+	/**
+	 * The total surface area of this mesh, i.e. the sum of the areas of all its faces. 
+	 * @return {Number} The surface area of this mesh.
+	 */
+	surfaceArea() {
+		return this.reduce((area, face) => area + face.normal.length / 2, 0);
+	}
+
+	/**
+	 * The volume enclosed by this mesh. The mesh must be closed and orientable. 
 	 * 
-	 * A mesh is contiguous if for any two vertices v1 and v2 of the mesh, there is a sequence of edges
-	 * connecting v1 and v2.
-	 * @return {Boolean} `true` if this mesh is contiguous, `false` otherwise.
+	 * If the mesh consists of several shells, their volumes are added up, except for shells that are inside
+	 * other shells: these are treated as cavities and their volume is subtracted.
+	 * @return {Number} The volume enclosed by this mesh.
+	 * @throws {Error} If the mesh is not closed or not orientable.
+	 */
+	volume() {
+		return signedVolume(orientedTriangles(this));
+	}
+
+	/**
+	 * Computes the mass properties of the solid enclosed by this mesh, assuming uniform density. The mesh must be
+	 * closed and orientable. Shells inside other shells are treated as cavities, as in `volume()`.
+	 *
+	 * The result is an object with the following properties:
+	 * - `volume`: The volume of the solid.
+	 * - `area`: The surface area of the mesh.
+	 * - `mass`: The mass of the solid, i.e. `density * volume`.
+	 * - `centroid`: The center of mass of the solid, as a `Vector`.
+	 * - `inertia`: The inertia tensor of the solid with respect to its center of mass, as a `Matrix`.
+	 * @param  {Object} [options]
+	 * @param  {Number} [options.density=1] The density of the solid.
+	 * @return {Object}         The mass properties as described above.
+	 * @throws {Error} If the mesh is not closed or not orientable.
+	 */
+	massProperties({ density = 1 } = {}) {
+		/*
+			This method implements the algorithm by David Eberly, "Polyhedral Mass Properties (Revisited)", 2002
+			https://www.geometrictools.com/Documentation/PolyhedralMassProperties.pdf
+			
+			It uses the divergence theorem to reduce the volume integrals of 1, x, y, z, x², y², z², xy, yz and zx
+			to sums over the triangles of the mesh.
+		 */
+		// Helper function that computes the subexpressions f1, f2, f3, g0, g1, g2 for the coordinates w0, w1, w2
+		function subexpressions(w0, w1, w2) {
+			const temp0 = w0 + w1;
+			const f1 = temp0 + w2;
+			const temp1 = w0 * w0;
+			const temp2 = temp1 + w1 * temp0;
+			const f2 = temp2 + w2 * f1;
+			const f3 = w0 * temp1 + w1 * temp2 + w2 * f2;
+			return { 
+				f1, f2, f3, 
+				g0: f2 + w0 * (f1 + w0), 
+				g1: f2 + w1 * (f1 + w1), 
+				g2: f2 + w2 * (f1 + w2) 
+			};
+		}
+
+		const integrals = new Array(10).fill(0);
+		for (let [ P0, P1, P2 ] of orientedTriangles(this)) {
+			const d = Vector.cross(P1.subtract(P0), P2.subtract(P0));
+			const x = subexpressions(P0.x, P1.x, P2.x);
+			const y = subexpressions(P0.y, P1.y, P2.y);
+			const z = subexpressions(P0.z, P1.z, P2.z);
+
+			integrals[0] += d.x * x.f1;
+			integrals[1] += d.x * x.f2;
+			integrals[2] += d.y * y.f2;
+			integrals[3] += d.z * z.f2;
+			integrals[4] += d.x * x.f3;
+			integrals[5] += d.y * y.f3;
+			integrals[6] += d.z * z.f3;
+			integrals[7] += d.x * (P0.y * x.g0 + P1.y * x.g1 + P2.y * x.g2);
+			integrals[8] += d.y * (P0.z * y.g0 + P1.z * y.g1 + P2.z * y.g2);
+			integrals[9] += d.z * (P0.x * z.g0 + P1.x * z.g1 + P2.x * z.g2);
+		}
+		[ 1/6, 1/24, 1/24, 1/24, 1/60, 1/60, 1/60, 1/120, 1/120, 1/120 ].forEach((factor, i) => integrals[i] *= factor);
+
+		const volume = integrals[0];
+		const centroid = new Vector(integrals[1] / volume, integrals[2] / volume, integrals[3] / volume);
+
+		// Inertia tensor relative to the center of mass, for unit density
+		const { x, y, z } = centroid;
+		const Ixx = integrals[5] + integrals[6] - volume * (y * y + z * z);
+		const Iyy = integrals[4] + integrals[6] - volume * (z * z + x * x);
+		const Izz = integrals[4] + integrals[5] - volume * (x * x + y * y);
+		const Ixy = -(integrals[7] - volume * x * y);
+		const Iyz = -(integrals[8] - volume * y * z);
+		const Ixz = -(integrals[9] - volume * z * x);
+
+		return {
+			volume,
+			area: this.surfaceArea(),
+			mass: density * volume,
+			centroid,
+			inertia: new Matrix(
+				density * Ixx, density * Ixy, density * Ixz,
+				density * Ixy, density * Iyy, density * Iyz,
+				density * Ixz, density * Iyz, density * Izz
+			)
+		};
+	}
+
+	/**
+	 * Applies the transform `t` to all faces of this mesh. 
+	 * @param  {Transform} t The transform to apply.
+	 * @return {Mesh}   The transformed mesh.
 	 */
-	isContiguous() {
-		return this.split().length > 1;
+	transform(t) {
+		return new Mesh(this.map(face => face.transform(t)));
 	}
 
 	/**
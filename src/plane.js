@@ -0,0 +1,197 @@
+import { onToleranceChange } from './util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+const Matrix = (await import(`./matrix.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * A plane in three-dimensional space, given by the equation `normal * X = distance`.
+ *
+ * The normal is always of unit length, so `distance` is the (signed) distance of the plane from the origin. The side
+ * of the plane the normal points to is called "above" the plane, the other side "below" it.
+ */
+class Plane {
+	/**
+	 * The unit normal vector of the plane.
+	 * @type {Vector}
+	 */
+	normal;
+	/**
+	 * The signed distance of the plane from the origin.
+	 * @type {Number}
+	 */
+	distance;
+
+	/**
+	 * Creates the plane consisting of all points `X` for which `normal * X = distance`.
+	 * @param  {Vector} normal   The normal vector of the plane. This does not need to be of unit length, but it must
+	 * not be the zero vector. If it is not of unit length, it will be normalized, and `distance` will be scaled
+	 * accordingly.
+	 * @param  {Number} distance The distance from origin of the plane, in units of the length of `normal`.
+	 */
+	constructor(normal, distance) {
+		const length = normal.length;
+		if (length < EPSILON) throw new TypeError(`The normal of a plane must not be the zero vector`);
+
+		this.normal = normal.scale(1 / length);
+		this.distance = distance / length;
+	}
+
+	/**
+	 * Creates the plane through the three points `a`, `b` and `c`. The normal of the plane will point to the side
+	 * from which `a`, `b` and `c` appear in counter-clockwise order.
+	 * @param  {Vector} a The first point.
+	 * @param  {Vector} b The second point.
+	 * @param  {Vector} c The third point.
+	 * @return {Plane}   The plane through the three points.
+	 * @throws {TypeError} If the points are collinear.
+	 */
+	static fromPoints(a, b, c) {
+		const normal = Vector.cross(b.subtract(a), c.subtract(a));
+		if (normal.length < EPSILON) throw new TypeError(`Cannot create a plane from collinear points`);
+		return Plane.fromPointAndNormal(a, normal);
+	}
+
+	/**
+	 * Creates the plane through `point` that is perpendicular to `normal`.
+	 * @param  {Vector} point  A point on the plane.
+	 * @param  {Vector} normal The normal vector of the plane. This does not need to be of unit length.
+	 * @return {Plane}        The plane.
+	 */
+	static fromPointAndNormal(point, normal) {
+		return new Plane(normal, Vector.dot(normal, point));
+	}
+
+	/**
+	 * Creates the plane that `triangle` lies in. The plane's normal is that of the triangle.
+	 * @param  {Triangle} triangle The triangle.
+	 * @return {Plane}          The plane of the triangle.
+	 */
+	static fromTriangle(triangle) {
+		return Plane.fromPointAndNormal(triangle[0], triangle.normal);
+	}
+
+	/**
+	 * Computes the signed distance of `point` from this plane. It is positive for points above the plane, and
+	 * negative for points below it.
+	 * @param  {Vector} point The point.
+	 * @return {Number}       The signed distance of `point`.
+	 */
+	signedDistance(point) {
+		return Vector.dot(this.normal, point) - this.distance;
+	}
+
+	/**
+	 * Projects `point` onto this plane.
+	 * @param  {Vector} point The point to project.
+	 * @return {Vector}       The point on this plane closest to `point`.
+	 */
+	project(point) {
+		return point.subtract(this.normal.scale(this.signedDistance(point)));
+	}
+
+	/**
+	 * Determines on which side of this plane `point` is.
+	 * @param  {Vector} point The point to classify.
+	 * @return {Number}       `+1` if `point` is above this plane, `-1` if it is below, and `0` if it is on the plane
+	 * (within `EPSILON`).
+	 */
+	classify(point) {
+		const d = this.signedDistance(point);
+		return Math.abs(d) < EPSILON ? 0 : Math.sign(d);
+	}
+
+	/**
+	 * Reverses this plane, i.e. returns the plane consisting of the same points, but with the normal pointing
+	 * in the opposite direction.
+	 * @return {Plane} The flipped plane.
+	 */
+	flip() {
+		return new Plane(this.normal.scale(-1), -this.distance);
+	}
+
+	/**
+	 * Intersects this plane with the (infinite) line through `a` and `b`.
+	 * @param  {Vector} a A point on the line.
+	 * @param  {Vector} b Another point on the line.
+	 * @return {Vector|null}   The intersection point, or `null` if the line is parallel to this plane
+	 * (including the case that it lies in the plane).
+	 */
+	intersectLine(a, b) {
+		const denominator = Vector.dot(this.normal, b.subtract(a));
+		if (Math.abs(denominator) < EPSILON) return null;
+		const t = -this.signedDistance(a) / denominator;
+		return a.add(b.subtract(a).scale(t));
+	}
+
+	/**
+	 * Intersects this plane with `segment`.
+	 * @param  {Segment} segment The segment to intersect with.
+	 * @return {Vector|Segment|null}         The intersection point if the segment crosses or touches this plane,
+	 * `segment` itself if it lies in the plane, and `null` otherwise.
+	 */
+	intersectSegment(segment) {
+		const da = this.classify(segment.a);
+		const db = this.classify(segment.b);
+		if (da === 0 && db === 0) return segment;
+		if (da === 0) return segment.a;
+		if (db === 0) return segment.b;
+		if (da === db) return null;
+		return this.intersectLine(segment.a, segment.b);
+	}
+
+	/**
+	 * Intersects this plane with `other`.
+	 * @param  {Plane} other The other plane.
+	 * @return {Object|null}       The line of intersection as an object `{ point, direction }`, where `point` is
+	 * a point on the line and `direction` is a unit vector along it, or `null` if the planes are parallel.
+	 */
+	intersectPlane(other) {
+		const direction = Vector.cross(this.normal, other.normal);
+		if (direction.length < EPSILON) return null;
+		// Use the plane through the origin perpendicular to both planes as the third plane
+		const point = Plane.intersect(this, other, new Plane(direction, 0));
+		return { point, direction: direction.unit() };
+	}
+
+	/**
+	 * Computes the point in which the three planes `p1`, `p2` and `p3` intersect.
+	 * @param  {Plane} p1 The first plane.
+	 * @param  {Plane} p2 The second plane.
+	 * @param  {Plane} p3 The third plane.
+	 * @return {Vector|null}    The intersection point, or `null` if the planes do not intersect in a single point
+	 * (i.e. if at least two of them are parallel, or if they all share a common line).
+	 */
+	static intersect(p1, p2, p3) {
+		/*
+			This is based on "Intersection of Three Planes", Ron Goldman as seen in
+			Andrew Glassner, "Graphics Gems", p. 305:
+			The intersection of three planes N1 * X = d1, N2 * X = d2, N3 * X = d3 with unit normals is
+					O = (d1 * (N2 x N3) + d2 * (N3 x N1) + d3 * (N1 x N2)) / det(N1 N2 N3)
+		 */
+		const det = Matrix.fromColumns(p1.normal, p2.normal, p3.normal).determinant();
+		if (Math.abs(det) < EPSILON) return null;
+
+		return Vector.cross(p2.normal, p3.normal).scale(p1.distance)
+			.add(Vector.cross(p3.normal, p1.normal).scale(p2.distance))
+			.add(Vector.cross(p1.normal, p2.normal).scale(p3.distance))
+			.scale(1 / det);
+	}
+
+	/**
+	 * Whether this plane equals `other`. Two planes are equal if their normals and distances are equal
+	 * (within `EPSILON`). Note that this means a plane does not equal its flipped counterpart.
+	 * @param  {Plane} other The other plane.
+	 * @return {boolean}       `true` if the planes are equal, `false` otherwise.
+	 */
+	equals(other) {
+		return this.normal.equals(other.normal) && Math.abs(this.distance - other.distance) < EPSILON;
+	}
+}
+
+export default Plane;
\ No newline at end of file
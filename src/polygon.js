@@ -1,16 +1,36 @@
 import pc from 'polybooljs';
 import winding from './util/winding.js';
+import triangulate from './util/triangulate.js';
+import VertexMap from './util/vertex-map.js';
+import { orient2d } from './util/predicates.js';
+import { onToleranceChange } from './util/tolerance.js';
 
 let url = new URL(import.meta.url);
 if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
-const EPSILON = Number(url.searchParams.get('epsilon'));
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
 
 const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
 const Segment = (await import(`./segment.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`./plane.js?epsilon=${EPSILON}`)).default;
 
 // Helper function that works like Math.sign, but returns 0 if |x| < EPSILON rather than x === 0
 const sign = x => Math.abs(x) < EPSILON ? 0 : Math.sign(x);
 
+// Triangle extends Polygon, so this module cannot import it without creating a circular import. Instead, 
+// triangle.js hands the class to this module when it is loaded.
+let Triangle;
+
+/**
+ * Makes the `Triangle` class available to polygons, e.g. for `Polygon.triangulate`. This is called by `triangle.js`
+ * and should not be called otherwise.
+ * @param  {Function} cls The `Triangle` class.
+ */
+export function registerTriangle(cls) {
+	Triangle = cls;
+}
+
 function oper(poly1, poly2, mode) {
 	const eq = (P, Q) => Math.abs(P.x - Q.x) < EPSILON && Math.abs(P.y - Q.y) < EPSILON;
 
@@ -27,8 +47,9 @@ function oper(poly1, poly2, mode) {
 		throw new Error(`Cannot perform ${mode} on polygons that are not co-planar`);
 	}
 
-let p1 = [poly1.map(vertex => [ vertex[dim1], vertex[dim2] ])];
-let p2 = [poly2.map(vertex => [ vertex[dim1], vertex[dim2] ])];
+	// Holes are simply further regions: polybooljs uses the even-odd rule to determine what is inside.
+	let p1 = poly1.rings.map(ring => ring.map(vertex => [ vertex[dim1], vertex[dim2] ]));
+	let p2 = poly2.rings.map(ring => ring.map(vertex => [ vertex[dim1], vertex[dim2] ]));
 	let result = pc[mode]({
 		regions: p1, 
 		inverted: false
@@ -39,6 +60,8 @@ let p2 = [poly2.map(vertex => [ vertex[dim1], vertex[dim2] ])];
 	// Transform coordinates back from array form to { x, y } form and remove duplicate last vertex
 	result = pc.polygonToGeoJSON(result);
 	result = result.type === 'Polygon' ? [result.coordinates] : result.coordinates;
+	// An empty result is returned as a polygon without any rings
+	result = result.filter(poly => poly.length > 0);
 	result = result.map(poly => poly.map(ring => {
 		ring = ring.map(([ x, y ]) => ({ x, y }))
 		// If the first and the last vertex are equal, remove the last vertex
@@ -46,170 +69,12 @@ let p2 = [poly2.map(vertex => [ vertex[dim1], vertex[dim2] ])];
 			ring.pop();
 
 		return ring;
-	})).flat();
+	}));
 
 	// result is now an array of polygons, 
-	// with each polygon being an array of linear rings, 
+	// with each polygon being an array of linear rings (the first of which is the outline, and any further ones are holes), 
 	// with each linear ring being an implicitly-closed sequence of { x, y } vertices
 
-	// For any polygon that has a hole, lift the hole to be its own polygon. This allows for easier
-	// processing in the next step, when polygons with holes are broken up into parts.
-	// for (let i = result.length - 1; i >= 0; i--) {
-	// 	const poly = result[i];
-	// 	if (poly.length > 2)
-	// 		throw new Error(`Expected a polygon with at most one hole, but got ${poly.length - 1} holes`);
-	// 	else if (poly.length === 2) {
-	// 		result.push(poly.pop());
-	// 	}
-	// 	// Flatten the polygon from an array of linear rings to an array of vertices
-	// 	result[i] = poly[0];
-	// }
-	
-
-	if (result.length > 2 && result.filter(poly => winding(poly, EPSILON) === +1).length > 1)
-		throw new Error(`Expected a polygon with at most one hole, but got ${result.length - 1} holes`);
-
-
-	if (result.length > 1 && winding(result[1], EPSILON) === +1) {
-		const exterior = result[0];
-		const hole = result[1];
-
-		/*		
-			Unfortunately, our data structure is not designed for polygons with holes.
-			So instead, we will bisect the result polygon in such a way that is guaranteed to create
-			crossing intersections with the hole.
-			
-			Specifically, we will calculate the y-coordinate that is halfway between the hole's
-			lowest and highest point. (Actually, any value strictly greater than the lowest and strictly less
-			that the highest would work.) 
-
-			Our bisection line is a horizontal line with that y-coordinate. This is guaranteed to have at least
-			two crossing intersections with the hole. Because the hole is contained in the 
-			polygon, it follows that it has at least two crossing intersections with the
-			polygon as well.
-
-			We now find the left-most intersection C1 and the right-most intersection C2 between the 
-			hole and the bisection line. We then find S1 as the closest intersection to the left of C1 between
-			the polygon and the bisection line, and likewise we find S2 as the closest intersection to the right
-			of C2. (Note that these are guaranteed to exist since the hole is contained entirely within the
-			polygon.)
-			
-			We now construct the result polygons: One is formed by the edges between S1 and S2 travelling along
-			the top portion of the polygon, connecting S2 to C2, travelling along the top portion between C2 and
-			C1, and connecting C1 to S1.
-			Similarly, the other is formed by travelling along the bottom portion between S2 and S1, connecting
-			S1 and C1, travelling along the bottom portion of the hole to C2, and connecting C2 and S2.
-		*/
-	
-		// Find the bisection line
-		let y = (Math.min(...hole.map(v => v.y)) + Math.max(...hole.map(v => v.y))) / 2;
-
-		// The left-most and right-most intersections of the hole with the bisection line
-		let C1;
-		let C2;
-		// The indices of the starting points of the edges that C1 and C2 are on
-		let indexC1;
-		let indexC2;
-		for (let i = 0; i < hole.length; i++) {
-			let Q1 = hole[i];
-			let Q2 = hole[(i + 1) % hole.length];			
-			if (Q1.y <= y && Q2.y > y) {
-				// The GeoJSON spec guarantees hole to be wound clockwise,
-				// so if Q1.y <= y < Q2.y, that is guaruanteed to be a candidate for the left-most intersection C1.
-				let alpha = (y - Q1.y) / (Q2.y - Q1.y);
-				let x = Q1.x + alpha * (Q2.x - Q1.x);
-
-				if (!C1 || x < C1.x)  {
-					C1 = { x, y };
-					indexC1 = i;
-				}
-			} else if (Q1.y >= y && Q2.y < y) {
-				// For the same reasons as above, this can only be a candidate for the right-most intersection C2. 
-				let alpha = (y - Q1.y) / (Q2.y - Q1.y);
-				let x = Q1.x + alpha * (Q2.x - Q1.x);
-
-				if (!C2 || x > C2.x) {
-					C2 = { x, y };
-					indexC2 = i;
-				}
-			}
-		}
-		
-		// Find the intersection S1 that is closest to the left of C1, and S2 that is closest to the right of C2.
-		
-		let S1;
-		let S2;
-		let indexS1;
-		let indexS2;
-		for (let i = 0; i < exterior.length; i++) {
-			let P1 = exterior[i];
-			let P2 = exterior[(i + 1) % exterior.length];
-			if (P1.y <= y && P2.y > y) {
-				// Because the exterior ring is wound counter-clockwise, this can only be a candidate for the
-				// right intersection S2.
-				let alpha = (y - P1.y) / (P2.y - P1.y);
-				let x = P1.x + alpha * (P2.x - P1.x);
-				if (!S2 || Math.abs(x - C2.x) < Math.abs(S2.x - C2.x)) {
-					S2 = { x, y };
-					indexS2 = i;
-				} 
-			} else if (P1.y >= y && P2.y < y) {
-				// For the same reasons, this can only be a candidate for the left intersection S1.
-				let alpha = (y - P1.y) / (P2.y - P1.y);
-				let x = P1.x + alpha * (P2.x - P1.x);
-				if (!S1 || Math.abs(x - C1.x) < Math.abs(S1.x - C1.x)) {
-					S1 = { x, y };
-					indexS1 = i;
-				}
-			}
-		}
-
-		// Make sure that S1 comes after S2 on the exterior, and C2 comes after C1 on the hole
-		if (indexS1 < indexS2)
-			indexS1 += exterior.length;
-		if (indexC2 < indexC1)
-			indexC2 += hole.length;
-
-		let top = [];
-		let bottom = [];
-
-		// Trace the exterior and add points to the correct result polygon.
-		// We will start at the edge AFTER S2 and move around the polygon,
-		// adding points to the top result polygon until we reach S1, and 
-		// to the pottom polygon after.
-		for (let i = indexS2 + 1; i < indexS2 + 1 + exterior.length; i++) {
-			if (i <= indexS1) 
-				top.push(exterior[i % exterior.length]);
-			else
-				bottom.push(exterior[i % exterior.length]);
-		}
-		if (!eq(S1, top.at(-1)))
-			top.push(S1);
-		if (!eq(C1, top.at(-1)))
-			top.push(C1);
-		if (!eq(S2, bottom.at(-1)))
-			bottom.push(S2);
-		if (!eq(C2, bottom.at(-1)))
-			bottom.push(C2);
-		// Trace the hole and add points to the correct result polygon
-		for (let i = indexC1 + 1; i < indexC1 + 1 + hole.length; i++) {
-			if (i <= indexC2)
-				top.push(hole[i % hole.length]);
-			else
-				bottom.push(hole[i % hole.length]);
-		}
-		if (!eq(C2, top.at(-1)))
-			top.push(C2);
-		if (!eq(S2, top.at(-1)))
-			top.push(S2);
-		if (!eq(C1, bottom.at(-1)))
-			bottom.push(C1);
-		if (!eq(S1, bottom.at(-1)))
-			bottom.push(S1);
-
-		result = [ top, bottom ];
-	}
-
 	// Make sure that result polygons have no vertex-on-edge or vertex-on-vertex degeneracies.
 	// For the most part, polybooljs already does a good job at this, but sometimes not.
 	// See https://github.com/velipso/polybooljs/issues/40
@@ -242,63 +107,137 @@ let p2 = [poly2.map(vertex => [ vertex[dim1], vertex[dim2] ])];
 	// 	}		
 	// }
 
-	result = result.map(poly => 
-		poly.map(({ x, y }) => new Vector({
+	result = result.map(poly => poly.map(ring =>
+		ring.map(({ x, y }) => new Vector({
 			[dim1]: x,
 			[dim2]: y,
 			[axis]: -(normal[dim1] * x + normal[dim2] * y + d) / normal[axis]
-		})
+		}))
 	));
 
 	return result;
 }
 
+// Helper function that computes the normal of the given ring of vertices with Newell's method for computing the 
+// plane equation. See e.g. http://cs.haifa.ac.il/~gordon/plane.pdf
+// The length of the normal is twice the area enclosed by the ring.
+function newell(ring) {
+	let x = 0;
+	let y = 0;
+	let z = 0;
+
+	for (let i = 0; i < ring.length; i++) {
+		let u = ring[i];
+		let v = ring[(i + 1) % ring.length];
+		x += (u.y - v.y) * (u.z + v.z);
+		y += (u.z - v.z) * (u.x + v.x);
+		z += (u.x - v.x) * (u.y + v.y);
+	}
+	return new Vector(x, y, z);
+}
+
+// Helper function that checks whether the rings a and b have the same vertices in the same cyclic order
+function ringEquals(a, b) {
+	if (b.length === 0)
+		return a.length === 0;
+
+	let idx = a.findIndex(v => v.equals(b[0]));
+	if (idx === -1)
+		return false;
+
+	let vertices = a.slice(idx).concat(a.slice(0, idx));
+	return vertices.length === b.length && vertices.every((v, i) => v.equals(b[i]));
+}
+
+/**
+ * A planar polygon. The polygon's vertices are its outline, and they are the elements of the polygon. 
+ *
+ * Polygons can have any number of holes. Each hole is a ring of vertices inside the outline, and is wound 
+ * opposite to the outline.
+ */
 class Polygon extends Array {
+	/**
+	 * The holes of this polygon, each given as an array of vertices. This is an empty array for polygons 
+	 * without holes.
+	 * @type {Vector[][]}
+	 */
+	holes = [];
+
+	/**
+	 * Creates a new polygon. It can be called with the vertices of the outline as individual arguments, with 
+	 * an array of the vertices of the outline, or with an array of the vertices of the outline and an array of holes.
+	 * 
+	 * The outline is wound counter-clockwise. Holes are wound opposite to the outline.
+	 * @param  {Vector[]} [vertices] The vertices of the outline.
+	 * @param  {Vector[][]} [holes]    The holes of the polygon, each given as an array of vertices.
+	 */
 	constructor() {
 		let vertices = (arguments.length === 1 && Array.isArray(arguments[0])) ? arguments[0] : Array.from(arguments);
+		let holes = [];
+		if (arguments.length === 2 && Array.isArray(arguments[0]) && Array.isArray(arguments[1]))
+			[ vertices, holes ] = arguments;
+
 		super(vertices.length);
 		// Ensure counter-clockwise winding
 		if (winding(vertices, EPSILON) === +1) 
 			vertices = vertices.slice().reverse(); // shallow copy because reverse operates in-place
 
 		Object.assign(this, vertices);
+
+		// Ensure holes are wound opposite to the outline, i.e. their normals point the other way
+		const normal = newell(vertices);
+		this.holes = holes.map(hole => Vector.dot(newell(hole), normal) > 0 ? hole.slice().reverse() : hole.slice());
+	}
+
+	/**
+	 * All rings of this polygon: the outline first, followed by the holes.
+	 * @type {Vector[][]}
+	 */
+	get rings() {
+		return [ Array.from(this), ...this.holes ];
 	}
 
 	/** 
 	 * The normal of the polygon. If the polygon is not planar, it will return the normal of a "best fit" plane
 	 * to the polygon's vertices. If the polygon has less than three vertices, the normal is undefined.
+	 *
+	 * The length of the normal is twice the polygon's area. Holes are taken into account, i.e. their area is 
+	 * subtracted.
 	 */
 	get normal() {
 		if (this.length < 3) return undefined;
 
-		/*
-			This computes the polygon's normal with Newell's method for computing the plane equation.			
-			See e.g. http://cs.haifa.ac.il/~gordon/plane.pdf
-		 */
-		let x = 0;
-		let y = 0;
-		let z = 0;
-
-		for (let i = 0; i < this.length; i++) {
-			let u = this[i];
-			let v = this[(i + 1) % this.length];
-			x += (u.y - v.y) * (u.z + v.z);
-			y += (u.z - v.z) * (u.x + v.x);
-			z += (u.x - v.x) * (u.y + v.y);
-		}
-		return new Vector(x, y, z);
+		// Holes are wound opposite to the outline, so their normals point the other way and reduce the area
+		return this.rings.map(newell).reduce((N, M) => N.add(M));
 	}
 
+	/**
+	 * Whether this polygon equals `other`. Two polygons are equal if their outlines have the same vertices in the 
+	 * same cyclic order, and the same is true for each of their holes. Holes may be given in any order.
+	 * @param  {Polygon} other The other polygon.
+	 * @return {boolean}       `true` if the polygons are equal, `false` otherwise.
+	 */
 	equals(other) {
-		if (other.length === 0) 
-			return this.length === 0;
+		const holes = other.holes ?? [];
+		return ringEquals(this, other)
+			&& this.holes.length === holes.length
+			&& this.holes.every(hole => holes.some(otherHole => ringEquals(hole, otherHole)));
+	}
 
-		let idx = this.findIndex(v => v.equals(other[0]));
-		if (idx === -1) 
-			return false;
+	/**
+	 * Splits this polygon into triangles. Holes are left out.
+	 *
+	 * Triangulation is performed using `earcut` after projecting the polygon onto the coordinate plane that is most 
+	 * nearly parallel to it. The triangles use the polygon's original vertices, so they lie in the polygon's plane.
+	 * @return {Triangle[]} The triangles covering this polygon. This is empty if the polygon has less than three
+	 * vertices.
+	 */
+	triangulate() {
+		if (this.length < 3) return [];
 
-		let vertices = this.slice(idx).concat(this.slice(0, idx));
-		return vertices.length === other.length && vertices.every((v, i) => v.equals(other[i]));
+		const rings = this.rings;
+		const vertices = rings.flat();
+		return triangulate(rings, this.normal).map(indices => new Triangle(indices.map(i => vertices[i])));
 	}
 
 	/**
@@ -318,42 +257,45 @@ class Polygon extends Array {
 		for (let i = 3; i < this.length; i++) {
 			if (Math.abs(Vector.dot(N, this[i]) - d) > EPSILON) return false;
 		}
-
-		return true;
+		// ... and so do the vertices of the holes
+		return this.holes.every(hole => hole.every(vertex => Math.abs(Vector.dot(N, vertex) - d) <= EPSILON));
 	}
 
 	/**
 	 * Returns whether this polygon is convex, i.e. whether all of its internal 
 	 * angles are smaller than 180 degrees. 
 	 * 
-	 * The polygon must be planar, although this is not checked by this method!
+	 * The polygon must be planar, although this is not checked by this method! Polygons with holes are never convex.
 	 * @return {Boolean} `true` iff this polygon is convex.
 	 */
 	isConvex() {
+		if (this.holes.length > 0) return false;
+
 		/*
 			A polygon is convex if every edge is a dividing edge, i.e. if for every edge,
-			all other vertices are on the same side of the edge.
+			all other vertices are on the same side of the edge. Vertices that are collinear
+			with the edge do not count against this.
+
+			To decide on which side of an edge a vertex is, project the polygon onto the coordinate
+			plane it is most parallel to. This preserves convexity, and allows to use orient2d.
 		 */
+		const normal = this.normal;
+		const axis = [...'xyz'].reduce((prev, curr) => Math.abs(normal[curr]) >= Math.abs(normal[prev]) ? curr : prev);
+		const [ dim1, dim2 ] = [...'xyz'].filter(dim => dim !== axis);
+		const points = Array.from(this, vertex => ({ x: vertex[dim1], y: vertex[dim2] }));
 
-		for (let i = 0; i < this.length; i++) {
-			let a = this[i];
-			let b = this[(i + 1) % this.length];
+		let side = 0;
+		for (let i = 0; i < points.length; i++) {
+			let a = points[i];
+			let b = points[(i + 1) % points.length];
 
-			// The normal of this polygon
-			let normal = Vector.cross(this[1].subtract(this[0]), this[2].subtract(this[0]));
-			// The normal of the plane spanned by the polygon's normal and the edge AB
-			let N = Vector.cross(normal, b.subtract(a));
-			let d = Vector.dot(N, a);
-			
-			let side;
-			for (let j = 0; j < this.length; j++) {
-				if (j === i || j === i + 1) continue;
-
-				let dist = Vector.dot(N, this[j]) - d;
-				if (Math.abs(dist) < EPSILON) dist = 0;
-				
-				side ||= Math.sign(dist); // Don't want ??= here, because if by any chance the first point is collinear with AB, we'd be requiring all other points to be as well
-				if (Math.sign(dist) !== side) return false;
+			for (let j = 0; j < points.length; j++) {
+				if (j === i || j === (i + 1) % points.length) continue;
+
+				const orientation = orient2d(a, b, points[j], EPSILON);
+				if (orientation === 0) continue;
+				side ||= orientation;
+				if (orientation !== side) return false;
 			}
 		}
 		return true;
@@ -365,31 +307,120 @@ class Polygon extends Array {
 	 * @return {Polygon[]}       An array of result polygons.
 	 */
 	intersect(other) {
-		return oper(this, other, 'intersect').map(poly => new Polygon(poly));
+		return oper(this, other, 'intersect').map(([ outline, ...holes ]) => new Polygon(outline, holes));
 	}
 
 	/**
 	 * Subtracts another polygon from this polygon. The two must be co-planar, or an error will be thrown. 
 	 *
-	 * If the result would have a hole, it will be split into two.
+	 * The result polygons can have holes, e.g. if `other` lies inside this polygon.
 	 * @param  {Polygon} other The polygon to subtract.
 	 * @return {Polygon[]}       An array of result polygons.
 	 */
 	subtract(other) {
-		return oper(this, other, 'difference').map(poly => new Polygon(poly));
+		return oper(this, other, 'difference').map(([ outline, ...holes ]) => new Polygon(outline, holes));
 	}
 
 	/**
 	 * Creates the union of two polygons. The two must be co-planar, or an error will be thrown. 
 	 *
-	 * If the result would have a hole, it will be split into two.
+	 * The result polygons can have holes, e.g. if the two polygons enclose an area together.
 	 * @param  {Polygon} other The polygon to unite with.
 	 * @return {Polygon[]}       An array of result polygons.
 	 */
 	add(other) {
-		return oper(this, other, 'union').map(poly => new Polygon(poly));
+		return oper(this, other, 'union').map(([ outline, ...holes ]) => new Polygon(outline, holes));
+	}
+
+	/**
+	 * Cuts this polygon along the plane given by `normal` and `offset`, i.e. the plane of all points `X` with 
+	 * `normal * X = offset`. Alternatively, the cut plane can be passed as a `Plane`. Unlike `Triangle.cut`, this 
+	 * works for polygons that are not convex or have holes, so there can be several pieces on each side of the plane. 
+	 *
+	 * Pieces keep the vertices of this polygon, and where an edge crosses the cut plane, its intersection point with
+	 * the plane is added. Pieces with three vertices and no holes are returned as `Triangle`s.
+	 *
+	 * If the polygon does not intersect with the cut plane, one of `above` or `below` will be empty.
+	 * If the polygon is co-planar with the cut plane, it will be returned in both `above` and `below`.
+	 *
+	 * Note that this returns arrays of pieces, while `Triangle.cut` returns a single `Polygon` on each side. Code that
+	 * cuts both triangles and general polygons, such as `Mesh.cut`, needs to handle both shapes of results.
+	 * @param  {Vector|Plane} normal The normal vector of the cut plane, or the cut plane itself.
+	 * @param  {Number} [offset]    The offset of the cut plane. This is ignored if `normal` is a `Plane`.
+	 * @return {Object}           An object containing two arrays of `Polygon`s making up the results of the cut: 
+	 * those on the greater-than-or-equal side of the cut plane (`above`), and those on the less-than-or-equal side 
+	 * (`below`).
+	 */
+	cut(normal, offset) {
+		const plane = normal instanceof Plane ? normal : new Plane(normal, offset);
+		const rings = this.rings;
+		const sides = rings.flat().map(vertex => plane.classify(vertex));
+		if (sides.every(side => side === 0))
+			return { above: [ this ], below: [ this ] };
+		else if (sides.every(side => side >= 0))
+			return { above: [ this ], below: [] };
+		else if (sides.every(side => side <= 0))
+			return { above: [], below: [ this ] };
+
+		/*
+			The polygon crosses the cut plane. Cutting it is the same as intersecting it with (resp. subtracting from it)
+			the half of its own plane that is above the cut plane, which the boolean operations can do for any polygon.
+			
+			The half-plane is approximated by a rectangle that is large enough to contain the part of the polygon above
+			the cut plane. One of its edges lies on the line where the polygon's plane and the cut plane intersect. 
+			The unit vector u points along that line, and v is perpendicular to it, within the polygon's plane, and 
+			points above the cut plane.
+		 */
+		const N = this.normal;
+		const u = Vector.cross(N, plane.normal).unit();
+		const v = Vector.cross(u, N).unit();
+		// A point on the line, found by moving from one of the vertices along v until the cut plane is reached
+		const origin = this[0].subtract(v.scale(plane.signedDistance(this[0]) / Vector.dot(v, plane.normal)));
+		const size = 2 * Math.max(...rings.flat().map(vertex => vertex.subtract(origin).length)) + 1;
+		const halfPlane = new Polygon(
+			origin.subtract(u.scale(size)),
+			origin.add(u.scale(size)),
+			origin.add(u.scale(size)).add(v.scale(size)),
+			origin.subtract(u.scale(size)).add(v.scale(size))
+		);
+
+		/*
+			The boolean operations compute the result's vertices in two dimensions and lift them back into the 
+			polygon's plane, which introduces small errors. Snap the result's vertices back to the exact vertices 
+			of this polygon and the exact intersection points of its edges with the cut plane, so that above and below
+			share their vertices with each other and with neighboring faces.
+		 */
+		const exact = new VertexMap(EPSILON);
+		for (let ring of rings) 
+			ring.forEach((vertex, i) => {
+				exact.add(vertex);
+				const next = ring[(i + 1) % ring.length];
+				if (plane.classify(vertex) * plane.classify(next) < 0)
+					exact.add(plane.intersectLine(vertex, next));
+			});
+		const snap = vertex => exact.vertices[exact.indexOf(vertex)] ?? vertex;
+		const pieces = polygons => polygons.map(polygon => {
+			const [ outline, ...holes ] = polygon.rings.map(ring => ring.map(snap));
+			return outline.length === 3 && holes.length === 0 ? 
+				new Triangle(outline) : 
+				new Polygon(outline, holes);
+		});
+
+		return {
+			above: pieces(this.intersect(halfPlane)),
+			below: pieces(this.subtract(halfPlane))
+		};
 	}
 
+	/**
+	 * Whether `point` lies inside this polygon. Points on the boundary of the polygon, including the boundaries of its
+	 * holes, are considered to be inside. Points in holes are not.
+	 *
+	 * The test is performed in 2D after projecting onto the coordinate plane that is most nearly parallel to the polygon,
+	 * so `point` is assumed to lie in the polygon's plane.
+	 * @param  {Vector} point The point to test.
+	 * @return {boolean}       `true` if this polygon contains `point`, `false` otherwise.
+	 */
 	contains(point) {
 		// Basically implements the winding number check by Dan Summer, 2001.
 		// (https://web.archive.org/web/20210504233957/http://geomalgorithms.com/a03-_inclusion.html)
@@ -401,40 +432,94 @@ class Polygon extends Array {
 		const isLeft = (P, Q, R) => (Q.x - P.x) * (R.y - P.y) - (Q.y - P.y) * (R.x - P.x);
 		
 		// Reduce to 2D
-		const axis = [...'xyz'].reduce((prev, curr) => Math.abs(this.normal[curr]) >= Math.abs(this.normal[prev]) ? curr : prev);
+		const normal = this.normal;
+		const axis = [...'xyz'].reduce((prev, curr) => Math.abs(normal[curr]) >= Math.abs(normal[prev]) ? curr : prev);
 		const [ dim1, dim2 ] = [...'xyz'].filter(dim => dim !== axis);
-		const poly = this.map(v => ({ [dim1]: v[dim1], [dim2]: v[dim2] }));
-
-		// Iterate through all edges and check them against a horizontal ray	
-		let wn = poly.reduce((wn, vertex, index) => {
-			let a = vertex;
-			let b = this[(index + 1) % this.length];
+		const P = { x: point[dim1], y: point[dim2] };
+		const edges = this.rings.flatMap(ring => ring.map((vertex, index) => [ 
+			{ x: vertex[dim1], y: vertex[dim2] }, 
+			{ x: ring[(index + 1) % ring.length][dim1], y: ring[(index + 1) % ring.length][dim2] }
+		]));
+
+		// Points on the boundary are contained
+		const onEdge = ([ a, b ]) => {
+			const length = Math.hypot(b.x - a.x, b.y - a.y);
+			return Math.abs(isLeft(a, b, P)) <= EPSILON * length
+				&& Math.min(a.x, b.x) - EPSILON <= P.x && P.x <= Math.max(a.x, b.x) + EPSILON
+				&& Math.min(a.y, b.y) - EPSILON <= P.y && P.y <= Math.max(a.y, b.y) + EPSILON;
+		}
+		if (edges.some(onEdge)) return true;
 
-			if (a.y <= point.y) { // edge starts below  the point
-				if (b.y > point.y // edge ends above the point => it is an upward crossing
-					&& isLeft(a, b, point) >= 0) // point is left of the edge, or on it
+		// Iterate through all edges of all rings and check them against a horizontal ray	
+		let wn = edges.reduce((wn, [ a, b ]) => {
+			if (a.y <= P.y) { // edge starts below  the point
+				if (b.y > P.y // edge ends above the point => it is an upward crossing
+					&& isLeft(a, b, P) > 0) // point is left of the edge
 						return wn + 1; // Ray intersects an upward edge
 			} else // edge starts above the point
-				if (b.y <= point.y // edge ends below the point => it is a downward crossing
-					&& isLeft(a, b, point) <= 0) // point is right of the edge, or on it
+				if (b.y <= P.y // edge ends below the point => it is a downward crossing
+					&& isLeft(a, b, P) < 0) // point is right of the edge
 						return wn - 1; // Ray intersects a downward edge
 			return wn;
 		}, 0);
 
 		// Here we differ from Summer, who considers any point with a non-zero winding number to be "inside".
 		// We will however comply with the even-odd rule, meaning a point is inside if it has an odd winding number.
-		return (wn % 2) === 1;
+		// Since holes are wound opposite to the outline, points inside holes have an even winding number.
+		return Math.abs(wn % 2) === 1;
 	}
 
 	isEmpty() { 
 		return this.length === 0;
 	}
 
+	/**
+	 * Returns the axis-aligned bounding box of this polygon. 
+	 * @return {Object} An object with properties `xmin`, `xmax`, `ymin`, `ymax`, `zmin` and `zmax`.
+	 */
+	getBoundingBox() {
+		let X = this.map(v => v.x);
+		let Y = this.map(v => v.y);
+		let Z = this.map(v => v.z);
+		return {
+			xmin: Math.min(...X),
+			xmax: Math.max(...X),
+			ymin: Math.min(...Y),
+			ymax: Math.max(...Y),
+			zmin: Math.min(...Z),
+			zmax: Math.max(...Z)
+		}
+	}
+
+	/**
+	 * Applies the transform `t` to this polygon. The result is of the same class as this polygon, i.e. transforming 
+	 * a `Triangle` yields a `Triangle`.
+	 *
+	 * The constructor enforces counter-clockwise winding on the result as usual, even if `t` mirrors the geometry.
+	 * @param  {Transform} t The transform to apply.
+	 * @return {Polygon}   The transformed polygon.
+	 */
+	transform(t) {
+		const vertices = Array.from(this, v => t.transformPoint(v));
+		if (this.holes.length === 0)
+			return new this.constructor(vertices);
+
+		// The constructor makes sure the holes are wound opposite to the outline, so they need not be reversed here
+		const holes = this.holes.map(hole => hole.map(v => t.transformPoint(v)));
+		return new this.constructor(vertices, holes);
+	}
+
+	/**
+	 * The edges of this polygon, including the edges of its holes.
+	 * @type {Segment[]}
+	 */
 	get edges() {
 		const result = [];
-		for (let i = 0; i < this.length - 1; i++)
-			result.push(new Segment(this[i], this[i+1]));
-		result.push(new Segment(this[this.length - 1], this[0]));
+		for (let ring of this.rings) {
+			for (let i = 0; i < ring.length - 1; i++)
+				result.push(new Segment(ring[i], ring[i+1]));
+			result.push(new Segment(ring[ring.length - 1], ring[0]));
+		}
 		return result;
 	}
 }
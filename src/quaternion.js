@@ -0,0 +1,265 @@
+import { onToleranceChange } from './util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+const Matrix = (await import(`./matrix.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * A quaternion `w + xi + yj + zk`. Unit quaternions represent rotations of three-dimensional space.
+ *
+ * Every rotation is represented by two unit quaternions, `q` and `-q`. Methods that interpret a quaternion as a
+ * rotation normalize it first, so any non-zero quaternion can be used as a rotation.
+ */
+class Quaternion {
+	/**
+	 * The identity quaternion, which represents the rotation by 0.
+	 * @static
+	 * @type {Quaternion}
+	 */
+	static IDENTITY = new Quaternion(1, 0, 0, 0);
+
+	w;
+	x;
+	y;
+	z;
+
+	/**
+	 * Creates a new quaternion.
+	 * @param  {Number} w The real part of the quaternion.
+	 * @param  {Number} x The coefficient of `i`.
+	 * @param  {Number} y The coefficient of `j`.
+	 * @param  {Number} z The coefficient of `k`.
+	 */
+	constructor(w, x, y, z) {
+		this.w = w;
+		this.x = x;
+		this.y = y;
+		this.z = z;
+	}
+
+	/**
+	 * Creates the unit quaternion that rotates by `angle` around the axis through the origin in the direction of
+	 * `axis`. Rotation is counter-clockwise when looking down the axis towards the origin.
+	 * @param  {Vector} axis  The rotation axis. This does not need to be of unit length, but it must not be the zero
+	 * vector.
+	 * @param  {Number} angle The rotation angle in radians.
+	 * @return {Quaternion}       The rotation.
+	 */
+	static fromAxisAngle(axis, angle) {
+		if (axis.length < EPSILON) throw new TypeError(`The rotation axis must not be the zero vector`);
+
+		const { x, y, z } = axis.unit().scale(Math.sin(angle / 2));
+		return new Quaternion(Math.cos(angle / 2), x, y, z);
+	}
+
+	/**
+	 * Creates the unit quaternion for the given Euler angles. It rotates around the x-axis by `x` first, then around
+	 * the y-axis by `y`, and finally around the z-axis by `z`. All axes are fixed. This is the same convention
+	 * as that of `Transform.euler`.
+	 * @param  {Number} x The rotation angle around the x-axis in radians.
+	 * @param  {Number} y The rotation angle around the y-axis in radians.
+	 * @param  {Number} z The rotation angle around the z-axis in radians.
+	 * @return {Quaternion}   The rotation.
+	 */
+	static fromEuler(x, y, z) {
+		return Quaternion.fromAxisAngle(new Vector(0, 0, 1), z)
+			.multiply(Quaternion.fromAxisAngle(new Vector(0, 1, 0), y))
+			.multiply(Quaternion.fromAxisAngle(new Vector(1, 0, 0), x));
+	}
+
+	/**
+	 * Creates the unit quaternion for the rotation matrix `matrix`.
+	 * @param  {Matrix} matrix The rotation matrix. It must be orthogonal and have determinant 1.
+	 * @return {Quaternion}        The rotation.
+	 */
+	static fromMatrix(matrix) {
+		/*
+			The quaternion's components can be read off from the trace and the (anti-)symmetric parts of the matrix,
+			but each formula divides by one of the components. To avoid dividing by a small number, compute the largest
+			component from the diagonal first, and derive the others from it (Shepperd's method).
+		 */
+		const [ m11, m12, m13, m21, m22, m23, m31, m32, m33 ] = matrix;
+		const trace = m11 + m22 + m33;
+		let result;
+		if (trace > 0) {
+			const s = 2 * Math.sqrt(1 + trace);
+			result = new Quaternion(s / 4, (m32 - m23) / s, (m13 - m31) / s, (m21 - m12) / s);
+		} else if (m11 >= m22 && m11 >= m33) {
+			const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+			result = new Quaternion((m32 - m23) / s, s / 4, (m12 + m21) / s, (m13 + m31) / s);
+		} else if (m22 >= m33) {
+			const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+			result = new Quaternion((m13 - m31) / s, (m12 + m21) / s, s / 4, (m23 + m32) / s);
+		} else {
+			const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+			result = new Quaternion((m21 - m12) / s, (m13 + m31) / s, (m23 + m32) / s, s / 4);
+		}
+		return result.unit();
+	}
+
+	get length() {
+		return Math.sqrt(this.w**2 + this.x**2 + this.y**2 + this.z**2);
+	}
+
+	scale(factor) {
+		return new Quaternion(factor * this.w, factor * this.x, factor * this.y, factor * this.z);
+	}
+
+	/**
+	 * Normalizes this quaternion.
+	 * @return {Quaternion} The quaternion of unit length pointing in the same direction as this one.
+	 */
+	unit() {
+		return this.scale(1 / this.length);
+	}
+
+	/**
+	 * Computes the conjugate of this quaternion. For unit quaternions, this is the inverse rotation.
+	 * @return {Quaternion} The conjugate `w - xi - yj - zk`.
+	 */
+	conjugate() {
+		return new Quaternion(this.w, -this.x, -this.y, -this.z);
+	}
+
+	/**
+	 * Computes the (Hamilton) product of this quaternion and `other`. As rotations, the product first rotates by
+	 * `other`, then by this quaternion.
+	 * @param  {Quaternion} other The quaternion to multiply with.
+	 * @return {Quaternion}       The product `this * other`.
+	 */
+	multiply(other) {
+		const { w: w1, x: x1, y: y1, z: z1 } = this;
+		const { w: w2, x: x2, y: y2, z: z2 } = other;
+		return new Quaternion(
+			w1 * w2 - x1 * x2 - y1 * y2 - z1 * z2,
+			w1 * x2 + x1 * w2 + y1 * z2 - z1 * y2,
+			w1 * y2 - x1 * z2 + y1 * w2 + z1 * x2,
+			w1 * z2 + x1 * y2 - y1 * x2 + z1 * w2
+		);
+	}
+
+	/**
+	 * Rotates `vector` by the rotation this quaternion represents.
+	 * @param  {Vector} vector The vector to rotate.
+	 * @return {Vector}        The rotated vector.
+	 */
+	rotate(vector) {
+		// This is q * v * q^-1 with the products expanded:
+		// v' = v + w * t + u x t, where u is the vector part of q and t = 2 * (u x v)
+		const { w, x, y, z } = this.unit();
+		const u = new Vector(x, y, z);
+		const t = Vector.cross(u, vector).scale(2);
+		return vector.add(t.scale(w)).add(Vector.cross(u, t));
+	}
+
+	/**
+	 * Spherically interpolates between the rotations represented by this quaternion and `other`, i.e. rotates at
+	 * constant angular velocity along the shortest path from one to the other.
+	 * @param  {Quaternion} other The rotation to interpolate towards.
+	 * @param  {Number} t     The interpolation parameter. `0` gives this rotation, `1` gives `other`.
+	 * @return {Quaternion}       The interpolated rotation as a unit quaternion.
+	 */
+	slerp(other, t) {
+		const q1 = this.unit();
+		let q2 = other.unit();
+		let cos = Quaternion.dot(q1, q2);
+		// q2 and -q2 are the same rotation. Pick the one that is closer to q1 to take the shorter path.
+		if (cos < 0) {
+			q2 = q2.scale(-1);
+			cos = -cos;
+		}
+
+		let s1;
+		let s2;
+		if (cos > 1 - EPSILON) {
+			// The rotations are (almost) the same, so sin(theta) below would be (almost) zero. Interpolate linearly instead.
+			s1 = 1 - t;
+			s2 = t;
+		} else {
+			const theta = Math.acos(cos);
+			s1 = Math.sin((1 - t) * theta) / Math.sin(theta);
+			s2 = Math.sin(t * theta) / Math.sin(theta);
+		}
+		return new Quaternion(
+			s1 * q1.w + s2 * q2.w,
+			s1 * q1.x + s2 * q2.x,
+			s1 * q1.y + s2 * q2.y,
+			s1 * q1.z + s2 * q2.z
+		).unit();
+	}
+
+	/**
+	 * Converts this quaternion to axis-angle form.
+	 * @return {Object} An object `{ axis, angle }`, where `axis` is a unit vector and `angle` is in the range
+	 * `[0, PI]`. If this quaternion represents the rotation by 0, the axis is arbitrarily chosen to be the x-axis.
+	 */
+	toAxisAngle() {
+		let q = this.unit();
+		// Use the representative with w >= 0 so the angle is at most PI
+		if (q.w < 0) q = q.scale(-1);
+
+		const s = Math.sqrt(q.x**2 + q.y**2 + q.z**2);
+		if (s < EPSILON) return { axis: new Vector(1, 0, 0), angle: 0 };
+		return {
+			axis: new Vector(q.x / s, q.y / s, q.z / s),
+			angle: 2 * Math.atan2(s, q.w)
+		};
+	}
+
+	/**
+	 * Converts this quaternion to Euler angles, using the same convention as `Quaternion.fromEuler`.
+	 * @return {Object} An object `{ x, y, z }` with the rotation angles around the axes. `y` is in the range
+	 * `[-PI/2, PI/2]`, `x` and `z` are in the range `[-PI, PI]`. If `y` is `-PI/2` or `PI/2`, rotations around the x-
+	 * and the z-axis cannot be told apart (gimbal lock). In that case, `x` is chosen to be `0`.
+	 */
+	toEuler() {
+		const [ m11, m12, , m21, m22, , m31, m32, m33 ] = this.toMatrix();
+		// The matrix is Rz * Ry * Rx, whose last row is (-sin y, cos y * sin x, cos y * cos x)
+		const y = Math.asin(Math.max(-1, Math.min(1, -m31)));
+		if (Math.abs(Math.cos(y)) < EPSILON)
+			// With x = 0, the matrix is Rz * Ry, whose middle column is (-sin z, cos z, 0)
+			return { x: 0, y, z: Math.atan2(-m12, m22) };
+		return {
+			x: Math.atan2(m32, m33),
+			y,
+			z: Math.atan2(m21, m11)
+		};
+	}
+
+	/**
+	 * Converts this quaternion to a rotation matrix.
+	 * @return {Matrix} The matrix that rotates vectors the same way as this quaternion.
+	 */
+	toMatrix() {
+		const { w, x, y, z } = this.unit();
+		return new Matrix(
+			1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+			2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+			2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+		);
+	}
+
+	/**
+	 * Whether this quaternion equals `other`, i.e. whether all their components are equal (within `EPSILON`).
+	 * Note that `q` and `-q` are not equal, even though they represent the same rotation.
+	 * @param  {Quaternion} other The other quaternion.
+	 * @return {boolean}       `true` if the quaternions are equal, `false` otherwise.
+	 */
+	equals(other) {
+		return Math.abs(this.w - other.w) < EPSILON
+			&& Math.abs(this.x - other.x) < EPSILON
+			&& Math.abs(this.y - other.y) < EPSILON
+			&& Math.abs(this.z - other.z) < EPSILON;
+	}
+
+	static dot(q1, q2) {
+		return q1.w * q2.w + q1.x * q2.x + q1.y * q2.y + q1.z * q2.z;
+	}
+}
+
+export default Quaternion;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import { onToleranceChange } from './util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+/**
+ * A half-line starting at `origin` and extending infinitely in `direction`.
+ *
+ * The direction is normalized on construction, so that the parameter `t` of a point `origin + t * direction`
+ * on the ray is the same as that point's distance from the origin.
+ */
+class Ray {
+	origin;
+	direction;
+
+	/**
+	 * Creates a new ray.
+	 * @param  {Vector} origin    The starting point of the ray.
+	 * @param  {Vector} direction The direction of the ray. This does not need to be of unit length, but it must
+	 * not be the zero vector.
+	 */
+	constructor(origin, direction) {
+		if (direction.length < EPSILON) throw new TypeError(`The direction of a ray must not be the zero vector`);
+
+		this.origin = origin;
+		this.direction = direction.unit();
+	}
+
+	/**
+	 * Returns the point on this ray at distance `t` from the ray's origin.
+	 * @param  {Number} t The distance along the ray.
+	 * @return {Vector}   The point `origin + t * direction`.
+	 */
+	at(t) {
+		return this.origin.add(this.direction.scale(t));
+	}
+}
+
+export default Ray;
\ No newline at end of file
@@ -1,10 +1,14 @@
+import { onToleranceChange } from './util/tolerance.js';
+
 let url = new URL(import.meta.url);
 if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
-const EPSILON = Number(url.searchParams.get('epsilon'));
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
 
 const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
 const Matrix = (await import (`./matrix.js?epsilon=${EPSILON}`)).default;
-const lineIntersect = (await import(`./util/line-intersect.js?epsilon=${EPSILON}`)).default;
+const { default: lineIntersect, closestApproach } = await import(`./util/line-intersect.js?epsilon=${EPSILON}`);
 
 class Segment {
 	a;
@@ -23,6 +27,15 @@ class Segment {
 		return (this.a.equals(other.a) && this.b.equals(other.b)) || (this.a.equals(other.b) && this.b.equals(other.a));
 	}
 	
+	/**
+	 * Applies the transform `t` to this segment.
+	 * @param  {Transform} t The transform to apply.
+	 * @return {Segment}   The transformed segment.
+	 */
+	transform(t) {
+		return new Segment(t.transformPoint(this.a), t.transformPoint(this.b));
+	}
+
 	/**
 	 * Calculates the intersection of this segment with another segment. 
 	 * If the segments intersect, returns the intersection point, otherwise returns `null`.
@@ -74,6 +87,60 @@ class Segment {
 			return null;
 	}	
 
+	/**
+	 * Finds the point on this segment that is closest to `point`.
+	 * @param  {Vector} point The point for which to find the closest point.
+	 * @return {Vector}       The point on this segment closest to `point`.
+	 */
+	closestPoint(point) {
+		return this.a.add(this.direction().scale(this.#parameterOf(point)));
+	}
+
+	/**
+	 * Computes the distance of `point` from this segment.
+	 * @param  {Vector} point The point whose distance to compute.
+	 * @return {Number}       The distance between `point` and the point on this segment closest to it.
+	 */
+	distanceTo(point) {
+		return this.closestPoint(point).subtract(point).length;
+	}
+
+	/**
+	 * Finds the points on this segment and `other` that are closest to each other.
+	 *
+	 * If the segments are parallel, there may be infinitely many such pairs of points. One of them is returned.
+	 * @param  {Segment} other The other segment.
+	 * @return {Object}       An object `{ distance, points }`, where `points` is an array holding the point on this 
+	 * segment and the point on `other`, and `distance` is the distance between them.
+	 */
+	closestPoints(other) {
+		/*
+			This follows the approach in Christer Ericson, "Real-Time Collision Detection", Morgan Kaufmann 2005, 
+			pp. 148-151: The parameter on this segment of the closest points of approach of the two lines is clamped 
+			to the segment. The parameter on the other segment of the point closest to the resulting point is then 
+			clamped to the other segment, and finally the parameter on this segment is re-computed for that point.
+		 */
+		const approach = closestApproach(this.a, this.b, other.a, other.b);
+		// If the segments are parallel, any point will do for a start
+		let s = approach === null ? 0 : Math.min(Math.max(approach.t1, 0), 1);
+		const Q = other.closestPoint(this.a.add(this.direction().scale(s)));
+		const P = this.closestPoint(Q);
+		return {
+			distance: Q.subtract(P).length,
+			points: [ P, Q ]
+		}
+	}
+
+	// Helper method that returns the parameter t of the point this.a + t * this.direction() closest to point,
+	// clamped to the segment
+	#parameterOf(point) {
+		const direction = this.direction();
+		const lengthSquared = Vector.dot(direction, direction);
+		// The segment is degenerate
+		if (lengthSquared < EPSILON * EPSILON) return 0;
+		return Math.min(Math.max(Vector.dot(point.subtract(this.a), direction) / lengthSquared, 0), 1);
+	}
+
 	/**
 	 * Determines whether this segment and `other` are collinear, that is, if `this` and `other` lie
 	 * on the same line.
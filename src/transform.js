@@ -0,0 +1,247 @@
+import { onToleranceChange } from './util/tolerance.js';
+
+let url = new URL(import.meta.url);
+if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
+
+const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
+const Matrix = (await import(`./matrix.js?epsilon=${EPSILON}`)).default;
+
+/**
+ * An affine transformation of three-dimensional space, represented as a 4x4 matrix in homogeneous coordinates.
+ * The entries are stored in row-major order, and the last row is always `0 0 0 1`.
+ *
+ * All methods return new transforms rather than modifying this one. Transforms can be applied to shapes using 
+ * the shapes' `transform` methods.
+ */
+class Transform extends Array {
+	/**
+	 * Creates a new transform from the first three rows of its matrix. (The last row is always `0 0 0 1`.)
+	 * The upper left 3x3 part is the linear part of the transform, the last column is the translation.
+	 */
+	constructor(m11, m12, m13, m14, m21, m22, m23, m24, m31, m32, m33, m34) {
+		super(16);
+		Object.assign(this, [
+			m11, m12, m13, m14,
+			m21, m22, m23, m24,
+			m31, m32, m33, m34,
+			0, 0, 0, 1
+		]);
+	}
+	/*
+		Applying Array operations to a transform will yield an array, not a transform
+	 */
+	static get [Symbol.species]() { return Array }
+
+	/**
+	 * The identity transform, which leaves everything unchanged.
+	 * @static
+	 * @type {Transform}
+	 */
+	static IDENTITY = new Transform(
+		1, 0, 0, 0,
+		0, 1, 0, 0,
+		0, 0, 1, 0
+	);
+
+	/**
+	 * Creates a transform that moves everything by `offset`.
+	 * @param  {Vector} offset The translation vector.
+	 * @return {Transform}        The translation.
+	 */
+	static translation(offset) {
+		return new Transform(
+			1, 0, 0, offset.x,
+			0, 1, 0, offset.y,
+			0, 0, 1, offset.z
+		);
+	}
+
+	/**
+	 * Creates a transform that rotates everything by `angle` around the axis through the origin in the direction
+	 * of `axis`. Rotation is counter-clockwise when looking down the axis towards the origin.
+	 * @param  {Vector} axis  The rotation axis. This does not need to be of unit length, but it must not be the zero
+	 * vector.
+	 * @param  {Number} angle The rotation angle in radians.
+	 * @return {Transform}       The rotation.
+	 */
+	static rotation(axis, angle) {
+		if (axis.length < EPSILON) throw new TypeError(`The rotation axis must not be the zero vector`);
+
+		// This is Rodrigues' rotation formula in matrix form
+		const { x, y, z } = axis.unit();
+		const c = Math.cos(angle);
+		const s = Math.sin(angle);
+		const t = 1 - c;
+		return new Transform(
+			t * x * x + c, t * x * y - s * z, t * x * z + s * y, 0,
+			t * x * y + s * z, t * y * y + c, t * y * z - s * x, 0,
+			t * x * z - s * y, t * y * z + s * x, t * z * z + c, 0
+		);
+	}
+
+	/**
+	 * Creates a transform from Euler angles. It rotates everything around the x-axis by `x` first, then around
+	 * the y-axis by `y`, and finally around the z-axis by `z`. All axes are fixed (i.e., they do not rotate along).
+	 * @param  {Number} x The rotation angle around the x-axis in radians.
+	 * @param  {Number} y The rotation angle around the y-axis in radians.
+	 * @param  {Number} z The rotation angle around the z-axis in radians.
+	 * @return {Transform}   The rotation.
+	 */
+	static euler(x, y, z) {
+		return Transform.rotation(new Vector(0, 0, 1), z)
+			.multiply(Transform.rotation(new Vector(0, 1, 0), y))
+			.multiply(Transform.rotation(new Vector(1, 0, 0), x));
+	}
+
+	/**
+	 * Creates a transform that scales everything by the given factors along the coordinate axes, with the origin
+	 * as the fixed point. If only one factor is given, scaling is uniform. Negative factors mirror the geometry.
+	 * @param  {Number} sx The scaling factor along the x-axis.
+	 * @param  {Number} [sy=sx] The scaling factor along the y-axis.
+	 * @param  {Number} [sz=sx] The scaling factor along the z-axis.
+	 * @return {Transform}    The scaling.
+	 */
+	static scaling(sx, sy = sx, sz = sx) {
+		return new Transform(
+			sx, 0, 0, 0,
+			0, sy, 0, 0,
+			0, 0, sz, 0
+		);
+	}
+
+	/**
+	 * Composes this transform with `other`. The result is the transform that first applies `other`, then this
+	 * transform, i.e. the matrix product `this * other`.
+	 * @param  {Transform} other The transform to apply first.
+	 * @return {Transform}       The composed transform.
+	 */
+	multiply(other) {
+		const entries = [];
+		for (let row = 0; row < 3; row++)
+			for (let col = 0; col < 4; col++) {
+				let sum = 0;
+				for (let k = 0; k < 4; k++)
+					sum += this[4 * row + k] * other[4 * k + col];
+				entries.push(sum);
+			}
+		return new Transform(...entries);
+	}
+
+	/**
+	 * Composes this transform with `other` such that this transform is applied first, and `other` second. This is
+	 * the same as `other.multiply(this)`, but allows chaining transforms in the order in which they are applied.
+	 * (It is not called `then`, because that would make every transform a thenable.)
+	 * @param  {Transform} other The transform to apply second.
+	 * @return {Transform}       The composed transform.
+	 */
+	andThen(other) {
+		return other.multiply(this);
+	}
+
+	/**
+	 * The linear part of this transform as a 3x3 `Matrix`.
+	 * @return {Matrix} The upper left 3x3 part of this transform's matrix.
+	 */
+	linear() {
+		return new Matrix(
+			this[0], this[1], this[2],
+			this[4], this[5], this[6],
+			this[8], this[9], this[10]
+		);
+	}
+
+	/**
+	 * The determinant of this transform. Its absolute value is the factor by which volumes change, its sign tells
+	 * whether the transform mirrors the geometry.
+	 * @return {Number} The determinant.
+	 */
+	determinant() {
+		return this.linear().determinant();
+	}
+
+	/**
+	 * Whether this transform mirrors the geometry, i.e. changes the handedness of the coordinate system.
+	 * Transformed polygons need to have their vertex order reversed in this case to keep facing the same way.
+	 * @return {boolean} `true` if the determinant of this transform is negative.
+	 */
+	isMirroring() {
+		return this.determinant() < 0;
+	}
+
+	/**
+	 * Computes the inverse of this transform.
+	 * @return {Transform} The transform that undoes this transform.
+	 * @throws {TypeError} If this transform is not invertible, i.e. if it collapses space onto a plane, a line or
+	 * a point.
+	 */
+	inverse() {
+		if (Math.abs(this.determinant()) < EPSILON) throw new TypeError(`Transform is not invertible`);
+
+		const inv = this.linear().inverse();
+		// The inverse translation is -inv * translation
+		const translation = inv.multiplyVector(new Vector(this[3], this[7], this[11])).scale(-1);
+		return new Transform(
+			inv[0], inv[1], inv[2], translation.x,
+			inv[3], inv[4], inv[5], translation.y,
+			inv[6], inv[7], inv[8], translation.z
+		);
+	}
+
+	/**
+	 * Applies this transform to the point `point`.
+	 * @param  {Vector} point The point to transform.
+	 * @return {Vector}       The transformed point.
+	 */
+	transformPoint(point) {
+		return new Vector(
+			this[0] * point.x + this[1] * point.y + this[2] * point.z + this[3],
+			this[4] * point.x + this[5] * point.y + this[6] * point.z + this[7],
+			this[8] * point.x + this[9] * point.y + this[10] * point.z + this[11]
+		);
+	}
+
+	/**
+	 * Applies this transform to the direction `direction`. Unlike points, directions are not affected by the
+	 * translation part of the transform.
+	 * @param  {Vector} direction The direction to transform.
+	 * @return {Vector}           The transformed direction.
+	 */
+	transformDirection(direction) {
+		return new Vector(
+			this[0] * direction.x + this[1] * direction.y + this[2] * direction.z,
+			this[4] * direction.x + this[5] * direction.y + this[6] * direction.z,
+			this[8] * direction.x + this[9] * direction.y + this[10] * direction.z
+		);
+	}
+
+	/**
+	 * Applies this transform to the surface normal `normal`, such that it stays perpendicular to the transformed
+	 * surface. This uses the inverse transpose of the linear part of this transform. The result is not normalized.
+	 * @param  {Vector} normal The normal to transform.
+	 * @return {Vector}        The transformed normal.
+	 * @throws {TypeError} If this transform is not invertible.
+	 */
+	transformNormal(normal) {
+		const inverse = this.inverse();
+		// Multiply with the transpose of the inverse
+		return new Vector(
+			inverse[0] * normal.x + inverse[4] * normal.y + inverse[8] * normal.z,
+			inverse[1] * normal.x + inverse[5] * normal.y + inverse[9] * normal.z,
+			inverse[2] * normal.x + inverse[6] * normal.y + inverse[10] * normal.z
+		);
+	}
+
+	/**
+	 * Whether this transform equals `other`, i.e. whether all their entries are equal (within `EPSILON`).
+	 * @param  {Transform} other The other transform.
+	 * @return {boolean}       `true` if the transforms are equal, `false` otherwise.
+	 */
+	equals(other) {
+		return this.every((entry, i) => Math.abs(entry - other[i]) < EPSILON);
+	}
+}
+
+export default Transform;
\ No newline at end of file
@@ -1,11 +1,24 @@
+import { onToleranceChange } from './util/tolerance.js';
+
 let url = new URL(import.meta.url);
 if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
-const EPSILON = Number(url.searchParams.get('epsilon'));
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
 
 const Vector = (await import(`./vector.js?epsilon=${EPSILON}`)).default;
 const Segment = (await import(`./segment.js?epsilon=${EPSILON}`)).default;
-const Polygon = (await import(`./polygon.js?epsilon=${EPSILON}`)).default;
+const { default: Polygon, registerTriangle } = await import(`./polygon.js?epsilon=${EPSILON}`);
 const Matrix = (await import(`./matrix.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`./plane.js?epsilon=${EPSILON}`)).default;
+
+// Helper function that calculates the intersection point of the line given by P1 and P2 with the
+// plane given by normal and offset
+// It is assumed that the line is not parallel to the plane
+function linePlaneIntersect(normal, offset, P1, P2) {
+	let a = (offset - Vector.dot(normal, P1)) / (Vector.dot(normal, P2) - Vector.dot(normal, P1));
+	return P1.add(P2.subtract(P1).scale(a));
+}
 
 /**
  * A special `Polygon` with three vertices. This is the main building block of meshes.
@@ -81,41 +94,41 @@ class Triangle extends Polygon {
 	}
 
 	/**
-	 * Cuts this triangle along the plane perpendicular to `dimension` at `offset`. The result is an object containing
+	 * Cuts this triangle along the plane given by `normal` and `offset`, i.e. the plane of all points `X` with 
+	 * `normal * X = offset`. Alternatively, the cut plane can be passed as a `Plane`. The result is an object containing
 	 * a polygon for all vertices above-or-on the cut plane and below-or-on the cut plane, respectively. For edges crossing
 	 * the cut plane, the edge's intersection point with the cut plane is added. 
 	 *
 	 * If the triangle does not intersect with the cut plane, one of `above` or `below` will be an empty polygon.
 	 * If the triangle is co-planar with the cut plane, it will be returned in both `above` and `below`.
-	 * @param  {String} dimension One of `'x'`, `'y'` or `'z'`.
-	 * @param  {Number} offset    The offset at which to cut.
+	 *
+	 * Note that unlike `Polygon.cut`, which returns arrays of pieces, this returns a single `Polygon` on each side: 
+	 * a cut triangle can never fall apart into several pieces on the same side of the cut plane.
+	 * @param  {Vector|Plane} normal The normal vector of the cut plane, or the cut plane itself.
+	 * @param  {Number} [offset]    The offset of the cut plane. This is ignored if `normal` is a `Plane`.
 	 * @return {Object}           An object containing two `Polygon`s making up the results of the cut: those
 	 * one the greater-than-or-equal side of the cut plane (`above`), and those on the less-than-or-equal side (`below`). 
 	 */
 	cut(normal, offset) {
-		// Helper function that calculates the intersection point of the line given by P1 and P2 with the
-		// plane given by normal and offset
-		// It is assumed that the line is not parallel to the plane
-		function linePlaneIntersect(normal, offset, P1, P2) {
-			let a = (offset - Vector.dot(normal, P1)) / (Vector.dot(normal, P2) - Vector.dot(normal, P1));
-			return P1.add(P2.subtract(P1).scale(a));
-		}
+		const plane = normal instanceof Plane ? normal : new Plane(normal, offset);
+		({ normal, distance: offset } = plane);
 
-		// Calculate the signed distances of this triangle from the cut plane
-		const distances = this.map(vertex => Vector.dot(normal, vertex) - offset);
-		if (distances.every(d => Math.abs(d) < EPSILON)) {
+		// Determine on which side of the cut plane each vertex is. 
+		// This uses the same classification as Polygon.cut, so that triangles and polygons sharing a vertex agree on it.
+		const sides = this.map(vertex => plane.classify(vertex));
+		if (sides.every(side => side === 0)) {
 			// The triangle is co-planar with the cut plane. 
 			// Assign it to both above and below.
 			return { above: this, below: this };
-		} else if (distances.every(d => d > -EPSILON)) {
+		} else if (sides.every(side => side >= 0)) {
 			// The triangle is completely on the greater-or-equal side of the cut plane. 
 			// Assign it to above and an empty polygon to below.
 			return { above: this, below: new Polygon() };				
-		} else if (distances.every(d => d < EPSILON)) {
+		} else if (sides.every(side => side <= 0)) {
 			// The triangle is completely on the less-than-or-equal side of the cut plane.
 			// Assign it to below and an empty polygon to above.
 			return { above: new Polygon(), below: this };				
-		} else if (distances.some(d => d > -EPSILON) && distances.some(d => d < EPSILON)) {
+		} else {
 			// The triangle crosses the cut plane. 
 
 			// Initialize the lists that will hold vertices above and below the cut plane, resp.
@@ -123,10 +136,10 @@ class Triangle extends Polygon {
 			let above = [];
 			let below = [];
 			let on = null;
-			distances.forEach((d, index) => {
-				if (Math.abs(d) < EPSILON)
+			sides.forEach((side, index) => {
+				if (side === 0)
 					on = this[index];
-				else if (d > EPSILON)
+				else if (side > 0)
 					above.push(this[index]);
 				else 
 					below.push(this[index]);
@@ -162,6 +175,53 @@ class Triangle extends Polygon {
 		}
 	}
 
+	/**
+	 * Intersects this triangle with the plane given by `normal` and `offset` (or with a `Plane`) and returns the line 
+	 * segment along which the plane crosses the triangle. The end points of the segment are the same points at which `cut` 
+	 * would split the triangle's edges.
+	 *
+	 * If the triangle merely touches the plane in a single vertex, or if it is co-planar with the plane, the result
+	 * is `null`. If one of the triangle's edges lies in the plane, that edge is returned if the remaining vertex is
+	 * on the greater-than side of the plane, and `null` otherwise. This way, for two neighboring triangles sharing 
+	 * an edge in the plane, the edge is only reported once.
+	 * @param  {Vector|Plane} normal The normal vector of the plane, or the plane itself.
+	 * @param  {Number} [offset] The offset of the plane. This is ignored if `normal` is a `Plane`.
+	 * @return {Segment|null}        The segment along which the plane intersects this triangle, or `null`.
+	 */
+	section(normal, offset) {
+		const plane = normal instanceof Plane ? normal : new Plane(normal, offset);
+		({ normal, distance: offset } = plane);
+
+		const sides = this.map(vertex => plane.classify(vertex));
+		const on = [];
+		const above = [];
+		const below = [];
+		sides.forEach((side, index) => {
+			if (side === 0)
+				on.push(this[index]);
+			else if (side > 0)
+				above.push(this[index]);
+			else
+				below.push(this[index]);
+		});
+
+		switch (on.length) {
+			// Co-planar triangles and triangles touching the plane in a single vertex do not yield a segment
+			case 3: return null;
+			case 2: return above.length === 1 ? new Segment(on[0], on[1]) : null;
+			case 1: return above.length === 1 && below.length === 1 ? 
+				new Segment(on[0], linePlaneIntersect(normal, offset, below[0], above[0])) :
+				null;
+			default: {
+				if (above.length === 0 || below.length === 0) return null;
+				// Compute the intersection points in the same way as cut() does
+				const triangular = above.length === 1 ? above : below;
+				const trapezoidal = above.length === 2 ? above : below;
+				return new Segment(...trapezoidal.map(vertex => linePlaneIntersect(normal, offset, vertex, triangular[0])));
+			}
+		}
+	}
+
 	/**
 	 * Checks whether `point` is inside the boundaries of this triangle.
 	 * @param  {Vector} point The point to check.
@@ -200,6 +260,107 @@ class Triangle extends Polygon {
 		return Math.abs(this.normal.length - u.length - v.length - w.length) < EPSILON;
 	}
 
+	/**
+	 * Finds the point of this triangle (including its interior) that is closest to `point`.
+	 * @param  {Vector} point The point for which to find the closest point.
+	 * @return {Vector}       The point of this triangle closest to `point`. 
+	 */
+	closestPoint(point) {
+		/*
+			This method implements the algorithm presented by Christer Ericson, "Real-Time Collision Detection", 
+			Morgan Kaufmann 2005, pp. 141-142.
+
+			It determines which of the triangle's Voronoi regions (three vertex regions, three edge regions and the 
+			face region) the point is in, and projects the point onto the corresponding feature.
+		 */
+		const [ A, B, C ] = this;
+		const AB = B.subtract(A);
+		const AC = C.subtract(A);
+
+		// Check if the point is in the vertex region outside A
+		const AP = point.subtract(A);
+		const d1 = Vector.dot(AB, AP);
+		const d2 = Vector.dot(AC, AP);
+		if (d1 <= 0 && d2 <= 0) return A;
+
+		// Check if the point is in the vertex region outside B
+		const BP = point.subtract(B);
+		const d3 = Vector.dot(AB, BP);
+		const d4 = Vector.dot(AC, BP);
+		if (d3 >= 0 && d4 <= d3) return B;
+
+		// Check if the point is in the edge region of AB, and if so, project it onto AB
+		const vc = d1 * d4 - d3 * d2;
+		if (vc <= 0 && d1 >= 0 && d3 <= 0) 
+			return A.add(AB.scale(d1 / (d1 - d3)));
+
+		// Check if the point is in the vertex region outside C
+		const CP = point.subtract(C);
+		const d5 = Vector.dot(AB, CP);
+		const d6 = Vector.dot(AC, CP);
+		if (d6 >= 0 && d5 <= d6) return C;
+
+		// Check if the point is in the edge region of AC, and if so, project it onto AC
+		const vb = d5 * d2 - d1 * d6;
+		if (vb <= 0 && d2 >= 0 && d6 <= 0)
+			return A.add(AC.scale(d2 / (d2 - d6)));
+
+		// Check if the point is in the edge region of BC, and if so, project it onto BC
+		const va = d3 * d6 - d5 * d4;
+		if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0)
+			return B.add(C.subtract(B).scale((d4 - d3) / ((d4 - d3) + (d5 - d6))));
+
+		// The point is inside the face region. Compute the closest point from its barycentric coordinates.
+		const denominator = 1 / (va + vb + vc);
+		return A.add(AB.scale(vb * denominator)).add(AC.scale(vc * denominator));
+	}
+
+	/**
+	 * Computes the distance of `point` from this triangle.
+	 * @param  {Vector} point The point whose distance to compute.
+	 * @return {Number}       The distance between `point` and the point of this triangle closest to it.
+	 */
+	distanceTo(point) {
+		return this.closestPoint(point).subtract(point).length;
+	}
+
+	/**
+	 * Finds the points on this triangle and `other` that are closest to each other. 
+	 *
+	 * If the triangles intersect, the distance is `0` and both points are the same point of the intersection. 
+	 * Otherwise, there may be infinitely many pairs of closest points (e.g. if the triangles are parallel). 
+	 * One of them is returned.
+	 * @param  {Vector[]} other The other triangle. This may be a `Triangle`, but must at least be an array containing
+	 * three vertices.
+	 * @return {Object}       An object `{ distance, points }`, where `points` is an array holding the point on this 
+	 * triangle and the point on `other`, and `distance` is the distance between them.
+	 */
+	closestPoints(other) {
+		other = other instanceof Triangle ? other : new Triangle(...other);
+
+		const intersection = this.intersect(other);
+		if (intersection !== null) {
+			const P = intersection instanceof Vector ? intersection :
+				intersection instanceof Segment ? intersection.a :
+				intersection[0];
+			return { distance: 0, points: [ P, P ] };
+		}
+
+		/*
+			If the triangles do not intersect, the closest points are either a vertex of one triangle and a point 
+			of the other triangle, or a point on an edge of each triangle.
+			See Christer Ericson, "Real-Time Collision Detection", Morgan Kaufmann 2005, p. 155.
+		 */
+		const candidates = [
+			...this.map(P => [ P, other.closestPoint(P) ]),
+			...other.map(Q => [ this.closestPoint(Q), Q ]),
+			...this.edges.flatMap(edge1 => other.edges.map(edge2 => edge1.closestPoints(edge2).points))
+		];
+		return candidates
+			.map(([ P, Q ]) => ({ distance: Q.subtract(P).length, points: [ P, Q ] }))
+			.reduce((closest, candidate) => candidate.distance < closest.distance ? candidate : closest);
+	}
+
 	/**
 	 * Intersects this triangle with the other triangle and returns the intersection shape. This may be
 	 *
@@ -324,7 +485,7 @@ class Triangle extends Polygon {
 		} else {
 			// In this situation, two vertices lie to either side of L while one lies on it
 			// If A is on the line, arbitrarily choose it and B to be on the same side
-			if (dist1[0] === 0) {
+			if (sign(dist1[0]) === 0) {
 				paired11 = 0; paired12 = 1; lone1 = 2;
 			} else {
 				// Otherwise, either B or C must be on the line, so choose them to be paired and A to be lone
@@ -354,7 +515,7 @@ class Triangle extends Polygon {
 		} else if (sign(dist2[1]) === sign(dist2[2])) {
 			paired21 = 1; paired22 = 2; lone2 = 0;
 		} else {
-			if (dist2[0] === 0) {
+			if (sign(dist2[0]) === 0) {
 				paired21 = 0; paired22 = 1; lone2 = 2;
 			} else {
 				paired21 = 1; paired22 = 2; lone2 = 0;
@@ -367,9 +528,10 @@ class Triangle extends Polygon {
 		];
 
 		// Check if the intervals overlap
-		// For ease of comparison, sort them, since this makes no difference for their overlap
-		interval1.sort();
-		interval2.sort();
+		// For ease of comparison, sort them, since this makes no difference for their overlap. (They need to be sorted 
+		// numerically, the default sort order would compare them as strings.)
+		interval1.sort((t1, t2) => t1 - t2);
+		interval2.sort((t1, t2) => t1 - t2);
 
 		let overlap = [
 			Math.max(interval1[0], interval2[0]),
@@ -389,21 +551,53 @@ class Triangle extends Polygon {
 	}
 
 	/**
-	 * Returns a bounding box for this triangle. 
-	 * @return {[type]} [description]
+	 * Casts `ray` against this triangle. Both sides of the triangle are considered, i.e. there is no
+	 * back-face culling.
+	 *
+	 * If the ray hits the triangle, the result is an object with the following properties:
+	 * - `distance`: The distance from the ray's origin to the hit point.
+	 * - `point`: The hit point.
+	 * - `barycentric`: The barycentric coordinates of the hit point, as an array `[ w0, w1, w2 ]` of
+	 * weights for the triangle's vertices such that `point = w0 * this[0] + w1 * this[1] + w2 * this[2]`.
+	 *
+	 * If the ray lies in the triangle's plane, it is not considered to hit the triangle.
+	 * @param  {Ray} ray The ray to cast.
+	 * @return {Object|null}     The hit record as described above, or `null` if the ray misses this triangle.
 	 */
-	getBoundingBox() {
-		let X = this.map(v => v.x);
-		let Y = this.map(v => v.y);
-		let Z = this.map(v => v.z);
+	rayIntersect(ray) {
+		/*
+			Ray-triangle intersection test with the algorithm presented by Tomas Möller and Ben Trumbore 1997
+			https://www.graphics.cornell.edu/pubs/1997/MT97.pdf
+
+			The hit point is expressed both as O + tD (on the ray) and as V0 + u(V1 - V0) + v(V2 - V0) (on the
+			triangle). The resulting linear system for (t, u, v) is solved by Cramer's rule.
+		 */
+		const E1 = this[1].subtract(this[0]);
+		const E2 = this[2].subtract(this[0]);
+
+		const P = Vector.cross(ray.direction, E2);
+		const det = Vector.dot(E1, P);
+		// If the determinant is near zero, the ray lies in the triangle's plane or is parallel to it. The determinant
+		// scales with the lengths of the edges (the ray's direction is a unit vector), so compare it relative to them.
+		if (Math.abs(det) < EPSILON * E1.length * E2.length) return null;
+
+		const T = ray.origin.subtract(this[0]);
+		const u = Vector.dot(T, P) / det;
+		if (u < -EPSILON || u > 1 + EPSILON) return null;
+
+		const Q = Vector.cross(T, E1);
+		const v = Vector.dot(ray.direction, Q) / det;
+		if (v < -EPSILON || u + v > 1 + EPSILON) return null;
+
+		const t = Vector.dot(E2, Q) / det;
+		// The intersection is behind the ray's origin
+		if (t < -EPSILON) return null;
+
 		return {
-			xmin: Math.min(...X),
-			xmax: Math.max(...X),
-			ymin: Math.min(...Y),
-			ymax: Math.max(...Y),
-			zmin: Math.min(...Z),
-			zmax: Math.max(...Z)
-		}
+			distance: Math.max(t, 0),
+			point: ray.at(Math.max(t, 0)),
+			barycentric: [ 1 - u - v, u, v ]
+		};
 	}
 
 	/**
@@ -428,6 +622,12 @@ class Triangle extends Polygon {
 	 */
 	isPlanar() { return true; }
 	isConvex() { return true; }
+	/*
+		Triangles are already triangulated.
+	 */
+	triangulate() { return [ this ]; }
 }
 
+registerTriangle(Triangle);
+
 export default Triangle;
\ No newline at end of file
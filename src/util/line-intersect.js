@@ -1,42 +1,76 @@
+import { onToleranceChange } from './tolerance.js';
+
 let url = new URL(import.meta.url);
 if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon`);
-const EPSILON = Number(url.searchParams.get('epsilon'));
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
 
 const Vector = (await import(`../vector.js?epsilon=${EPSILON}`)).default;
 const Matrix = (await import(`../matrix.js?epsilon=${EPSILON}`)).default;
 
-function lineIntersect(a1, b1, a2, b2) {
+// Helper function that computes the squared length of the vector v
+// This is computationally cheaper because it doesn't require to find the square root.
+function lengthSquared(v) {
+	return v.x**2 + v.y**2 + v.z**2;
+}
+
+/**
+ * Computes the closest points of approach of the line through `a1` and `b1` and the line through `a2` and `b2`.
+ * These are the points `a1 + t1 * (b1 - a1)` and `a2 + t2 * (b2 - a2)`. 
+ * @param  {Vector} a1 A point on the first line.
+ * @param  {Vector} b1 Another point on the first line.
+ * @param  {Vector} a2 A point on the second line.
+ * @param  {Vector} b2 Another point on the second line.
+ * @return {Object|null}    An object `{ t1, t2 }` with the parameters of the closest points of approach, or `null`
+ * if the lines are parallel.
+ */
+export function closestApproach(a1, b1, a2, b2) {
 	/*
 		This function implements the algorithm by Ron Goldman, Univerity of Waterloo, 
 		as found in Andrew Glassner, "Graphics Gems", p. 304
 	 */
-	
-	// Helper function that computes the squared length of the vector v
-	// This is computationally cheaper because it doesn't require to find the square root.
-	function lengthSquared(v) {
-		return v.x**2 + v.y**2 + v.z**2;
-	}
-
 	let direction1 = b1.subtract(a1);
 	let direction2 = b2.subtract(a2);
 
 	let cross = Vector.cross(direction1, direction2);
 	let crossLengthSquared = lengthSquared(cross);
-	if (crossLengthSquared < EPSILON) { // mathematically equivalent to cross.length === 0 but computationally cheaper
+	// |d1 x d2|^2 = |d1|^2 |d2|^2 sin^2(angle), so compare it relative to the lengths of the directions. Otherwise, 
+	// short lines would always be considered parallel.
+	if (crossLengthSquared < EPSILON * lengthSquared(direction1) * lengthSquared(direction2))
+		return null;
+
+	return {
+		t1: Matrix.fromColumns(a2.subtract(a1), direction2, cross).determinant() / crossLengthSquared,
+		t2: Matrix.fromColumns(a2.subtract(a1), direction1, cross).determinant() / crossLengthSquared
+	};
+}
+
+/**
+ * Intersects the line through `a1` and `b1` with the line through `a2` and `b2`. The lines intersect if their closest
+ * points of approach are equal within `EPSILON`.
+ * @param  {Vector} a1 A point on the first line.
+ * @param  {Vector} b1 Another point on the first line.
+ * @param  {Vector} a2 A point on the second line.
+ * @param  {Vector} b2 Another point on the second line.
+ * @return {Vector|Object|null} The intersection point, an object `{ a, b }` holding the first line if the lines are 
+ * collinear, or `null` if they do not intersect.
+ */
+function lineIntersect(a1, b1, a2, b2) {
+	let direction1 = b1.subtract(a1);
+	let direction2 = b2.subtract(a2);
+
+	const approach = closestApproach(a1, b1, a2, b2);
+	if (approach === null) {
 		// Lines are parallel
-		// Are they also co-linear?
-		let t = (a2.x - a1.x) / direction1.x;
-		if (Math.abs(a2.y - a1.y - t * direction1.y) < EPSILON && Math.abs(a2.z - a1.z - t * direction1.z) < EPSILON) {
-			return { a: a1, b: b1 };
-		} else 
-			return null;
+		// Are they also co-linear? They are if a2 is on the first line, i.e. if its distance from it is zero.
+		const distance = Vector.cross(a2.subtract(a1), direction1).length / direction1.length;
+		return distance < EPSILON ? { a: a1, b: b1 } : null;
 	}
-	let t1 = Matrix.fromColumns(a2.subtract(a1), direction2, cross).determinant() / crossLengthSquared;
-	let t2 = Matrix.fromColumns(a2.subtract(a1), direction1, cross).determinant() / crossLengthSquared;
 
 	// p1 and p2 are the closest points of approach. If they are equal, the segments intersect
-	let p1 = a1.add(direction1.scale(t1));
-	let p2 = a2.add(direction2.scale(t2));
+	let p1 = a1.add(direction1.scale(approach.t1));
+	let p2 = a2.add(direction2.scale(approach.t2));
 	if (p1.equals(p2)) 
 		return p1;
 	else
@@ -0,0 +1,253 @@
+import { onToleranceChange, currentContext } from './tolerance.js';
+
+/*
+	Adaptive precision geometric predicates, following Jonathan Richard Shewchuk, "Adaptive Precision Floating-Point
+	Arithmetic and Fast Robust Geometric Predicates", Discrete & Computational Geometry 18 (1997), pp. 305-363.
+
+	Every predicate computes the sign of a determinant. It is first evaluated in ordinary floating point arithmetic,
+	together with a bound on the rounding error of that evaluation. If the result is further away from zero than the
+	error bound, its sign is certainly correct. Only if it is not (which is rare, and happens mostly for (nearly)
+	degenerate inputs) is the determinant evaluated again, this time exactly.
+
+	Unlike Shewchuk, who uses floating point expansions for the exact evaluation, we convert the coordinates into dyadic
+	rationals m * 2^e with a BigInt mantissa m. Every finite double can be represented this way, and sums, differences
+	and products of dyadic rationals are again dyadic rationals, so they can be computed without any error. This is
+	slower than expansion arithmetic, but much simpler, and it is only needed for the few inputs the filter cannot
+	decide.
+
+	All predicates accept an optional `epsilon`. It is only used if robust predicates have been switched off, either
+	with `setRobust(false)` or by the tolerance context in effect. In that case, the predicates do not fall back to 
+	exact arithmetic, but return 0 if the floating point result is less than `epsilon` in absolute value.
+ */
+
+// The machine epsilon as defined by Shewchuk: the largest power of two such that 1 + EPS === 1 in floating point
+const EPS = 2 ** -53;
+// Error bounds for the floating point evaluation of the determinants, relative to their permanents
+const ORIENT2D_ERRBOUND = (3 + 16 * EPS) * EPS;
+const ORIENT3D_ERRBOUND = (7 + 56 * EPS) * EPS;
+const INCIRCLE_ERRBOUND = (10 + 96 * EPS) * EPS;
+
+let defaultRobust = true;
+let robust = defaultRobust;
+onToleranceChange(context => robust = context?.robust ?? defaultRobust);
+
+/**
+ * Switches between robust predicates and plain floating point predicates with an `epsilon` tolerance. Robust
+ * predicates are the default. Tolerance contexts can override this setting.
+ * @param  {boolean} value `true` to use robust predicates, `false` to fall back to epsilon comparisons.
+ */
+export function setRobust(value) {
+	defaultRobust = Boolean(value);
+	robust = currentContext()?.robust ?? defaultRobust;
+}
+
+/**
+ * Whether robust predicates are being used.
+ * @return {boolean} `true` if robust predicates are being used, `false` if epsilon comparisons are.
+ */
+export function isRobust() {
+	return robust;
+}
+
+const view = new DataView(new ArrayBuffer(8));
+
+// Helper function that converts the finite double x into the dyadic rational { m, e } with value m * 2^e
+function exact(x) {
+	view.setFloat64(0, x);
+	const high = view.getUint32(0);
+	const exponent = (high >>> 20) & 0x7ff;
+	let m = BigInt(high & 0xfffff) << 32n | BigInt(view.getUint32(4));
+	// Normalized numbers have an implicit leading 1 bit, subnormal numbers (exponent 0) do not
+	if (exponent > 0) m |= 1n << 52n;
+	if (high >>> 31) m = -m;
+	return { m, e: Math.max(exponent, 1) - 1075 };
+}
+
+// Helper functions for exact arithmetic on dyadic rationals
+function sum(...terms) {
+	const e = Math.min(...terms.map(term => term.e));
+	return { m: terms.reduce((m, term) => m + (term.m << BigInt(term.e - e)), 0n), e };
+}
+
+function product(...factors) {
+	return {
+		m: factors.reduce((m, factor) => m * factor.m, 1n),
+		e: factors.reduce((e, factor) => e + factor.e, 0)
+	};
+}
+
+function negate(term) {
+	return { m: -term.m, e: term.e };
+}
+
+// The exact difference of the doubles x and y
+function difference(x, y) {
+	return sum(exact(x), negate(exact(y)));
+}
+
+function signum(term) {
+	return term.m > 0n ? +1 : term.m < 0n ? -1 : 0;
+}
+
+// Helper function that decides the sign of a determinant, given its floating point approximation and the error bound
+// of that approximation. `evaluate` computes the determinant exactly and is only called if the approximation is not
+// conclusive.
+function decide(approximation, errbound, evaluate, epsilon = 0) {
+	if (!robust)
+		return approximation === 0 || Math.abs(approximation) < epsilon ? 0 : Math.sign(approximation);
+
+	if (Math.abs(approximation) > errbound) return Math.sign(approximation);
+	return signum(evaluate());
+}
+
+/**
+ * Determines the orientation of the points `a`, `b` and `c` in the plane. Only the `x` and `y` coordinates of the
+ * points are used.
+ * @param  {Vector} a The first point.
+ * @param  {Vector} b The second point.
+ * @param  {Vector} c The third point.
+ * @param  {Number} [epsilon] The tolerance to use if robust predicates are switched off.
+ * @return {Number}   `+1` if `a`, `b` and `c` are in counter-clockwise order, `-1` if they are in clockwise order,
+ * and `0` if they are collinear.
+ */
+export function orient2d(a, b, c, epsilon) {
+	const left = (a.x - c.x) * (b.y - c.y);
+	const right = (a.y - c.y) * (b.x - c.x);
+
+	return decide(left - right, ORIENT2D_ERRBOUND * (Math.abs(left) + Math.abs(right)), () => sum(
+		product(difference(a.x, c.x), difference(b.y, c.y)),
+		negate(product(difference(a.y, c.y), difference(b.x, c.x)))
+	), epsilon);
+}
+
+/**
+ * Determines on which side of the plane through `a`, `b` and `c` the point `d` is.
+ * @param  {Vector} a The first point on the plane.
+ * @param  {Vector} b The second point on the plane.
+ * @param  {Vector} c The third point on the plane.
+ * @param  {Vector} d The point to classify.
+ * @param  {Number} [epsilon] The tolerance to use if robust predicates are switched off.
+ * @return {Number}   `+1` if `d` is on the side from which `a`, `b` and `c` appear in counter-clockwise order (i.e.
+ * the side the normal `(b - a) x (c - a)` points to), `-1` if it is on the other side, and `0` if the four points are
+ * co-planar.
+ */
+export function orient3d(a, b, c, d, epsilon) {
+	/*
+		Shewchuk's orient3d computes the determinant of the rows a - d, b - d, c - d, which is positive if d is on the
+		side from which a, b and c appear in clockwise order. We negate it to get our convention.
+	 */
+	const [ adx, ady, adz ] = [ a.x - d.x, a.y - d.y, a.z - d.z ];
+	const [ bdx, bdy, bdz ] = [ b.x - d.x, b.y - d.y, b.z - d.z ];
+	const [ cdx, cdy, cdz ] = [ c.x - d.x, c.y - d.y, c.z - d.z ];
+
+	const bdxcdy = bdx * cdy, cdxbdy = cdx * bdy;
+	const cdxady = cdx * ady, adxcdy = adx * cdy;
+	const adxbdy = adx * bdy, bdxady = bdx * ady;
+
+	const det = adz * (bdxcdy - cdxbdy) + bdz * (cdxady - adxcdy) + cdz * (adxbdy - bdxady);
+	const permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * Math.abs(adz)
+		+ (Math.abs(cdxady) + Math.abs(adxcdy)) * Math.abs(bdz)
+		+ (Math.abs(adxbdy) + Math.abs(bdxady)) * Math.abs(cdz);
+
+	return decide(-det, ORIENT3D_ERRBOUND * permanent, () => {
+		const [ ax, ay, az ] = [ difference(a.x, d.x), difference(a.y, d.y), difference(a.z, d.z) ];
+		const [ bx, by, bz ] = [ difference(b.x, d.x), difference(b.y, d.y), difference(b.z, d.z) ];
+		const [ cx, cy, cz ] = [ difference(c.x, d.x), difference(c.y, d.y), difference(c.z, d.z) ];
+		return negate(sum(
+			product(az, sum(product(bx, cy), negate(product(cx, by)))),
+			product(bz, sum(product(cx, ay), negate(product(ax, cy)))),
+			product(cz, sum(product(ax, by), negate(product(bx, ay))))
+		));
+	}, epsilon);
+}
+
+/**
+ * Determines whether the point `d` is inside the circle through `a`, `b` and `c`. Only the `x` and `y` coordinates
+ * of the points are used. `a`, `b` and `c` must be in counter-clockwise order, or the sign of the result is reversed.
+ * @param  {Vector} a The first point on the circle.
+ * @param  {Vector} b The second point on the circle.
+ * @param  {Vector} c The third point on the circle.
+ * @param  {Vector} d The point to classify.
+ * @param  {Number} [epsilon] The tolerance to use if robust predicates are switched off.
+ * @return {Number}   `+1` if `d` is inside the circle, `-1` if it is outside, and `0` if it is on the circle.
+ */
+export function incircle(a, b, c, d, epsilon) {
+	const [ adx, ady ] = [ a.x - d.x, a.y - d.y ];
+	const [ bdx, bdy ] = [ b.x - d.x, b.y - d.y ];
+	const [ cdx, cdy ] = [ c.x - d.x, c.y - d.y ];
+
+	const bdxcdy = bdx * cdy, cdxbdy = cdx * bdy, alift = adx * adx + ady * ady;
+	const cdxady = cdx * ady, adxcdy = adx * cdy, blift = bdx * bdx + bdy * bdy;
+	const adxbdy = adx * bdy, bdxady = bdx * ady, clift = cdx * cdx + cdy * cdy;
+
+	const det = alift * (bdxcdy - cdxbdy) + blift * (cdxady - adxcdy) + clift * (adxbdy - bdxady);
+	const permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * alift
+		+ (Math.abs(cdxady) + Math.abs(adxcdy)) * blift
+		+ (Math.abs(adxbdy) + Math.abs(bdxady)) * clift;
+
+	return decide(det, INCIRCLE_ERRBOUND * permanent, () => {
+		const [ ax, ay ] = [ difference(a.x, d.x), difference(a.y, d.y) ];
+		const [ bx, by ] = [ difference(b.x, d.x), difference(b.y, d.y) ];
+		const [ cx, cy ] = [ difference(c.x, d.x), difference(c.y, d.y) ];
+		const lift = (x, y) => sum(product(x, x), product(y, y));
+		return sum(
+			product(lift(ax, ay), sum(product(bx, cy), negate(product(cx, by)))),
+			product(lift(bx, by), sum(product(cx, ay), negate(product(ax, cy)))),
+			product(lift(cx, cy), sum(product(ax, by), negate(product(bx, ay))))
+		);
+	}, epsilon);
+}
+
+/**
+ * Determines on which side of the plane `normal * X = offset` the point `point` is. Unlike `orient3d`, this takes
+ * the plane in normal form.
+ * @param  {Vector} normal The normal of the plane. This does not need to be of unit length.
+ * @param  {Number} offset The offset of the plane.
+ * @param  {Vector} point  The point to classify.
+ * @param  {Number} [epsilon] The tolerance to use if robust predicates are switched off.
+ * @return {Number}        `+1` if `point` is on the side the normal points to, `-1` if it is on the other side, and `0`
+ * if it is on the plane.
+ */
+export function planeSide(normal, offset, point, epsilon) {
+	const x = normal.x * point.x, y = normal.y * point.y, z = normal.z * point.z;
+	// Three products and three additions, each with a relative rounding error of at most EPS, make for an error of
+	// less than 6 * EPS relative to the permanent
+	const permanent = Math.abs(x) + Math.abs(y) + Math.abs(z) + Math.abs(offset);
+
+	return decide(x + y + z - offset, 6 * EPS * permanent, () => sum(
+		product(exact(normal.x), exact(point.x)),
+		product(exact(normal.y), exact(point.y)),
+		product(exact(normal.z), exact(point.z)),
+		negate(exact(offset))
+	), epsilon);
+}
+
+/**
+ * Determines the orientation of the polygon with the given vertices in the plane, i.e. the sign of its (signed) area.
+ * Only the `x` and `y` coordinates of the vertices are used.
+ * @param  {Vector[]} vertices The vertices of the polygon.
+ * @param  {Number} [epsilon] The tolerance to use if robust predicates are switched off.
+ * @return {Number}   `+1` if the polygon is wound counter-clockwise, `-1` if it is wound clockwise, and `0` if its
+ * area is zero.
+ */
+export function orientPolygon(vertices, epsilon) {
+	// Twice the signed area is the sum of the terms x_i * y_(i+1) - x_(i+1) * y_i (shoelace formula)
+	let area = 0;
+	let permanent = 0;
+	for (let i = 0; i < vertices.length; i++) {
+		const v1 = vertices[i];
+		const v2 = vertices[(i + 1) % vertices.length];
+		const left = v1.x * v2.y;
+		const right = v2.x * v1.y;
+		area += left - right;
+		permanent += Math.abs(left) + Math.abs(right);
+	}
+	// Each of the 2n products and 2n - 1 additions contributes a relative error of at most EPS,
+	// and computing the permanent itself is subject to the same error
+	const errbound = (4 * vertices.length + 4) * EPS * permanent;
+
+	return decide(area, errbound, () => sum(...vertices.flatMap((v1, i) => {
+		const v2 = vertices[(i + 1) % vertices.length];
+		return [ product(exact(v1.x), exact(v2.y)), negate(product(exact(v2.x), exact(v1.y))) ];
+	})), epsilon);
+}
\ No newline at end of file
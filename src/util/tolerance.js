@@ -0,0 +1,93 @@
+/*
+	Tolerance contexts allow different parts of an application to work with different tolerances while sharing the
+	same classes.
+
+	Every module is still imported with an `epsilon` in its URL, which is the tolerance it uses by default. But instead
+	of keeping that value fixed, modules register a listener with onToleranceChange. While a context is running, all
+	listeners are told to use the context's tolerance instead. When it finishes, they are told to revert to their
+	defaults. Since all operations of this library are synchronous, this amounts to the context's tolerance being in
+	effect for exactly the operations performed inside `context.run`.
+ */
+
+const listeners = [];
+const stack = [];
+
+// Helper function that informs all listeners of the context that is now in effect
+function notify() {
+	const context = currentContext();
+	listeners.forEach(listener => listener(context));
+}
+
+/**
+ * Registers `listener` to be called whenever the tolerance context in effect changes. It is called with the new
+ * context, or with `null` if no context is in effect anymore and defaults should be used.
+ * @param  {Function} listener The function to call.
+ * @return {Function}          A function that unregisters `listener` again.
+ */
+export function onToleranceChange(listener) {
+	listeners.push(listener);
+	listener(currentContext());
+	return () => {
+		const index = listeners.indexOf(listener);
+		if (index > -1) listeners.splice(index, 1);
+	}
+}
+
+/**
+ * The tolerance context currently in effect.
+ * @return {ToleranceContext|null} The innermost running context, or `null` if no context is running.
+ */
+export function currentContext() {
+	return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+/**
+ * A set of tolerance settings under which geometric operations can be run.
+ */
+export class ToleranceContext {
+	/**
+	 * The epsilon-tolerance used for floating-point comparisons.
+	 * @type {Number}
+	 */
+	epsilon;
+	/**
+	 * Whether to use robust predicates for sign decisions. If this is `undefined`, the setting made with `setRobust`
+	 * is used.
+	 * @type {boolean|undefined}
+	 */
+	robust;
+
+	/**
+	 * Creates a new tolerance context.
+	 * @param  {Object} options The settings of the context.
+	 * @param  {Number} options.epsilon The epsilon-tolerance to use. It must be positive, because a tolerance of zero
+	 * would make vertices never match when they are compared with a strict inequality or hashed into cells of that size.
+	 * @param  {boolean} [options.robust] Whether to use robust predicates for sign decisions.
+	 * @throws {TypeError} If `epsilon` is not a positive number.
+	 */
+	constructor({ epsilon, robust }) {
+		if (!(epsilon > 0)) throw new TypeError(`The tolerance must be a positive number, but was ${epsilon}`);
+
+		this.epsilon = epsilon;
+		this.robust = robust;
+	}
+
+	/**
+	 * Runs `fn` with this context's settings in effect. Contexts can be nested, in which case the innermost one is in
+	 * effect.
+	 *
+	 * `fn` should not be asynchronous: anything it does after its first `await` is no longer run inside this context.
+	 * @param  {Function} fn The function to run.
+	 * @return {*}      The return value of `fn`.
+	 */
+	run(fn) {
+		stack.push(this);
+		notify();
+		try {
+			return fn();
+		} finally {
+			stack.pop();
+			notify();
+		}
+	}
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+import earcut from 'earcut';
+
+/**
+ * Triangulates a planar polygon given as one or more linear rings. The first ring is the polygon's outline,
+ * any further rings are holes.
+ *
+ * Triangulation is performed in 2D using `earcut`, after projecting the rings onto the coordinate plane 
+ * that is most nearly parallel to the polygon, i.e. by dropping the coordinate in which `normal` is largest.
+ * @param  {Vector[][]} rings  The rings of the polygon.
+ * @param  {Vector} normal The normal of the polygon.
+ * @return {Number[][]}        An array of index triples. The indices refer to the vertices of all rings, concatenated
+ * in order.
+ */
+export default function triangulate(rings, normal) {
+	const axis = [...'xyz'].reduce((prev, curr) => Math.abs(normal[curr]) >= Math.abs(normal[prev]) ? curr : prev);
+	const [ dim1, dim2 ] = [...'xyz'].filter(dim => dim !== axis);
+
+	const coords = [];
+	const holeIndices = [];
+	for (let ring of rings) {
+		if (ring !== rings[0]) 
+			holeIndices.push(coords.length / 2);
+		for (let vertex of ring)
+			coords.push(vertex[dim1], vertex[dim2]);
+	}
+
+	const indices = earcut(coords, holeIndices);
+	const result = [];
+	for (let i = 0; i < indices.length; i += 3)
+		result.push(indices.slice(i, i + 3));
+	return result;
+}
@@ -0,0 +1,64 @@
+/**
+ * A disjoint-set forest over the elements `0, ..., size - 1`. Initially, every element is in a set of its own. 
+ * Sets can be merged with `union`, and `find` returns a representative element of an element's set.
+ *
+ * Uses path halving and union by size, so that any sequence of operations takes nearly linear time.
+ */
+export default class UnionFind {
+	#parent;
+	#size;
+
+	/**
+	 * Creates a new forest in which every element is in a set of its own.
+	 * @param  {Number} size The number of elements.
+	 */
+	constructor(size) {
+		this.#parent = Array.from({ length: size }, (_, i) => i);
+		this.#size = new Array(size).fill(1);
+	}
+
+	/**
+	 * Returns the representative of the set containing `i`. Two elements are in the same set if and only if they
+	 * have the same representative.
+	 * @param  {Number} i The element.
+	 * @return {Number}   The representative of its set.
+	 */
+	find(i) {
+		while (this.#parent[i] !== i) {
+			this.#parent[i] = this.#parent[this.#parent[i]];
+			i = this.#parent[i];
+		}
+		return i;
+	}
+
+	/**
+	 * Merges the sets containing `i` and `j`.
+	 * @param  {Number} i An element of the first set.
+	 * @param  {Number} j An element of the second set.
+	 * @return {boolean}   `true` if the sets were merged, `false` if `i` and `j` were already in the same set.
+	 */
+	union(i, j) {
+		i = this.find(i);
+		j = this.find(j);
+		if (i === j) return false;
+		if (this.#size[i] < this.#size[j]) [ i, j ] = [ j, i ];
+		this.#parent[j] = i;
+		this.#size[i] += this.#size[j];
+		return true;
+	}
+
+	/**
+	 * Groups the elements by their sets. The groups are ordered by their smallest elements, and the elements in
+	 * each group are in ascending order.
+	 * @return {Number[][]} The sets.
+	 */
+	sets() {
+		const groups = new Map();
+		this.#parent.forEach((_, i) => {
+			const root = this.find(i);
+			if (!groups.has(root)) groups.set(root, []);
+			groups.get(root).push(i);
+		});
+		return Array.from(groups.values());
+	}
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Maps vertices to indices, treating vertices as identical if they are within `tolerance` of each other
+ * in every coordinate (the same criterion that `Vector.equals` uses).
+ *
+ * Lookups use a spatial hash with a cell size of `tolerance`, so that two identical vertices are always
+ * in the same or in neighboring cells. This avoids pairwise comparisons with all known vertices.
+ */
+export default class VertexMap {
+	tolerance;
+	vertices = [];
+	#cells = new Map();
+
+	/**
+	 * Creates a new, empty vertex map.
+	 * @param  {Number} tolerance The tolerance within which vertices are considered identical.
+	 */
+	constructor(tolerance) {
+		this.tolerance = tolerance;
+	}
+
+	#cell(v) {
+		return [ v.x, v.y, v.z ].map(coord => Math.floor(coord / this.tolerance));
+	}
+
+	/**
+	 * Returns the index of the vertex that is identical to `v`, or `-1` if there is none. If several vertices are 
+	 * identical to `v`, the one that was added first is returned.
+	 * @param  {Vector} v The vertex to look up.
+	 * @return {Number}   The index of the identical vertex, or `-1`.
+	 */
+	indexOf(v) {
+		const [ i, j, k ] = this.#cell(v);
+		let result = -1;
+		for (let di = -1; di <= 1; di++)
+			for (let dj = -1; dj <= 1; dj++)
+				for (let dk = -1; dk <= 1; dk++) {
+					const candidates = this.#cells.get(`${i + di},${j + dj},${k + dk}`) ?? [];
+					// Indices in each cell are in ascending order, so the first match is the earliest one in this cell
+					const index = candidates.find(index => {
+						const w = this.vertices[index];
+						return Math.abs(v.x - w.x) < this.tolerance
+							&& Math.abs(v.y - w.y) < this.tolerance
+							&& Math.abs(v.z - w.z) < this.tolerance;
+					});
+					if (index !== undefined && (result === -1 || index < result)) result = index;
+				}
+		return result;
+	}
+
+	/**
+	 * Adds `v` to the map, unless an identical vertex is already present. 
+	 * @param  {Vector} v The vertex to add.
+	 * @return {Number}   The index of `v` if it was added, or the index of the identical vertex if it wasn't.
+	 */
+	add(v) {
+		let index = this.indexOf(v);
+		if (index === -1) {
+			index = this.vertices.length;
+			this.vertices.push(v);
+			const key = this.#cell(v).join(',');
+			if (!this.#cells.has(key)) this.#cells.set(key, []);
+			this.#cells.get(key).push(index);
+		}
+		return index;
+	}
+}
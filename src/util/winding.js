@@ -1,20 +1,20 @@
+import { orientPolygon } from './predicates.js';
+
 /**
  * Calculates the winding order of the given 2D vertices. The result is -1 if the winding is 
  * counter-clockwise, and +1 if it is clockwise.
+ *
+ * The decision is made using robust predicates, so it is exact even for (nearly) collinear vertices. If robust 
+ * predicates have been switched off, vertices are considered collinear if the area they enclose is within `EPSILON` 
+ * of zero.
  * @param  {Vector[]} vertices The vertices whose winding direction to determine.
  * @return {number}   -1 if `vertices` is wound counter-clockwise, +1 if `vertices` is wound 
  * clockwise. 0 if all vertices are collinear.
  */
 export default function winding(vertices, EPSILON) {
-	const sign = x => Math.abs(x) < EPSILON ? 0 : Math.sign(x);
-
 	if (vertices.length < 3) return undefined;
 
-	let area = 0;
-	for (let i = 0; i < vertices.length; i++) {
-		let v1 = vertices[i];
-		let v2 = vertices[(i + 1) % vertices.length];
-		area += (v2.x - v1.x) * (v2.y + v1.y);
-	}
-	return sign(area); 
+	// orientPolygon is +1 for counter-clockwise winding
+	const orientation = orientPolygon(vertices, EPSILON);
+	return orientation === 0 ? 0 : -orientation;
 }
\ No newline at end of file
@@ -1,7 +1,10 @@
 import kahan from './util/kahan.js';
+import { onToleranceChange } from './util/tolerance.js';
 let url = new URL(import.meta.url);
 if (!url.searchParams.has('epsilon')) throw new Error(`Cannot import this module without giving an epsilon ${url.searchParams.toString()}`);
-const EPSILON = Number(url.searchParams.get('epsilon'));
+const IMPORT_EPSILON = Number(url.searchParams.get('epsilon'));
+let EPSILON = IMPORT_EPSILON;
+onToleranceChange(context => EPSILON = context?.epsilon ?? IMPORT_EPSILON);
 
 /**
  * Represents a three-dimensional vector with `x`, `y`, and `z` coordinates.
@@ -63,6 +66,15 @@ class Vector {
 			&& Math.abs(this.z - v.z) < EPSILON;
 	}
 	
+	/**
+	 * Applies the transform `t` to this vector, treating it as a point.
+	 * @param  {Transform} t The transform to apply.
+	 * @return {Vector}   The transformed point.
+	 */
+	transform(t) {
+		return t.transformPoint(this);
+	}
+
 	toString(precision = 5) {		
 		return `(${this.x.toFixed(precision)}, ${this.y.toFixed(precision)}, ${this.z.toFixed(precision)})`;
 	}
@@ -0,0 +1,125 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Ray = (await import(`../src/ray.js?epsilon=${EPSILON}`)).default;
+const BVH = (await import(`../src/bvh.js?epsilon=${EPSILON}`)).default;
+
+// Helper function that creates a flat grid of n * n unit squares at height z, each made of two triangles. 
+// The triangles of square (i, j) have the indices 2 * (i * n + j) and 2 * (i * n + j) + 1.
+function grid(n, z = 0) {
+	const faces = [];
+	for (let i = 0; i < n; i++)
+		for (let j = 0; j < n; j++) {
+			faces.push(new Triangle(new Vector(i, j, z), new Vector(i + 1, j, z), new Vector(i + 1, j + 1, z)));
+			faces.push(new Triangle(new Vector(i, j, z), new Vector(i + 1, j + 1, z), new Vector(i, j + 1, z)));
+		}
+	return faces;
+}
+
+describe('BVH', function() {
+	let faces;
+	let bvh;
+	beforeEach(function() {
+		faces = grid(10);
+		bvh = new BVH(faces);
+	});
+
+	describe('constructor', function() {
+		it('should have a root whose box contains all faces', function() {
+			expect(bvh.root.box).to.deep.equal({ xmin: 0, xmax: 10, ymin: 0, ymax: 10, zmin: 0, zmax: 0 });
+		});
+
+		it('should put every face in exactly one leaf', function() {
+			const leaves = [];
+			const collect = node => node.faces ? leaves.push(...node.faces) : (collect(node.left), collect(node.right));
+			collect(bvh.root);
+			expect(leaves.sort((i, j) => i - j)).to.deep.equal(faces.map((_, i) => i));
+		});
+
+		it('should have a null root for no faces', function() {
+			expect(new BVH([]).root).to.be.null;
+		});
+	});
+
+	describe('.queryRay', function() {
+		it('should return the faces whose boxes are hit by the ray', function() {
+			const result = bvh.queryRay(new Ray(new Vector(3.5, 7.25, 5), new Vector(0, 0, -1)));
+			expect(result).to.have.members([ 2 * (3 * 10 + 7), 2 * (3 * 10 + 7) + 1 ]);
+		});
+
+		it('should not return faces behind the ray\'s origin', function() {
+			expect(bvh.queryRay(new Ray(new Vector(3.5, 7.25, 5), new Vector(0, 0, 1)))).to.be.empty;
+		});
+
+		it('should return all faces along a ray parallel to the grid', function() {
+			const result = bvh.queryRay(new Ray(new Vector(-1, 0.5, 0), new Vector(1, 0, 0)));
+			expect(result).to.have.lengthOf(20);
+		});
+	});
+
+	describe('.queryBox', function() {
+		it('should return the faces whose boxes overlap the box', function() {
+			const result = bvh.queryBox({ xmin: 2.5, xmax: 3.5, ymin: 2.5, ymax: 2.75, zmin: -1, zmax: 1 });
+			expect(result).to.have.members([ 2 * 22, 2 * 22 + 1, 2 * 32, 2 * 32 + 1 ]);
+		});
+
+		it('should return nothing for a box away from the faces', function() {
+			expect(bvh.queryBox({ xmin: 2.5, xmax: 3.5, ymin: 2.5, ymax: 3.5, zmin: 1, zmax: 2 })).to.be.empty;
+		});
+	});
+
+	describe('.queryPlane', function() {
+		it('should return the faces whose boxes intersect or touch the plane', function() {
+			const result = bvh.queryPlane(new Vector(1, 0, 0), 4);
+			// Squares (3, j) and (4, j) touch the plane
+			expect(result).to.have.lengthOf(40);
+			expect(result.every(i => Math.floor(i / 20) === 3 || Math.floor(i / 20) === 4)).to.be.true;
+		});
+
+		it('should return nothing for a plane away from the faces', function() {
+			expect(bvh.queryPlane(new Vector(0, 0, 1), 1)).to.be.empty;
+		});
+	});
+
+	describe('.queryNearest', function() {
+		it('should find the face closest to the point', function() {
+			const point = new Vector(3.8, 7.1, 2);
+			const distanceTo = i => faces[i].distanceTo(point);
+			const expected = faces.map((_, i) => i).reduce((nearest, i) => distanceTo(i) < distanceTo(nearest) ? i : nearest);
+			const result = bvh.queryNearest(point, distanceTo);
+			expect(result.index).to.equal(expected);
+			expect(result.distance).to.be.approximately(2, EPSILON);
+		});
+
+		it('should not compute the distance of all faces', function() {
+			let calls = 0;
+			bvh.queryNearest(new Vector(3.8, 7.1, 2), i => (calls++, faces[i].distanceTo(new Vector(3.8, 7.1, 2))));
+			expect(calls).to.be.below(faces.length);
+		});
+
+		it('should return null for an empty hierarchy', function() {
+			expect(new BVH([]).queryNearest(new Vector(0, 0, 0), () => 0)).to.be.null;
+		});
+	});
+
+	describe('.queryOverlaps', function() {
+		it('should return all pairs of faces whose boxes overlap', function() {
+			const other = new BVH([ 
+				new Triangle(new Vector(0.5, 0.5, -1), new Vector(0.5, 0.5, 1), new Vector(0.75, 0.5, 1)),
+				new Triangle(new Vector(20, 20, 0), new Vector(21, 20, 0), new Vector(21, 21, 0))
+			]);
+			expect(bvh.queryOverlaps(other)).to.have.deep.members([ [ 0, 0 ], [ 1, 0 ] ]);
+		});
+
+		it('should find the same pairs as a brute-force comparison', function() {
+			const other = grid(4, 0).map(face => new Triangle(...face.map(v => new Vector(v.x * 2.5 + 0.1, v.y * 2.5 + 0.1, 0))));
+			const expected = [];
+			const overlaps = (box1, box2) => [ 'x', 'y', 'z' ].every(dim => 
+				box1[`${dim}min`] <= box2[`${dim}max`] + EPSILON && box2[`${dim}min`] <= box1[`${dim}max`] + EPSILON);
+			faces.forEach((face1, i) => other.forEach((face2, j) => {
+				if (overlaps(face1.getBoundingBox(), face2.getBoundingBox())) expected.push([ i, j ]);
+			}));
+			expect(bvh.queryOverlaps(new BVH(other))).to.have.deep.members(expected);
+		});
+	});
+});
\ No newline at end of file
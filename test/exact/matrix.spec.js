@@ -0,0 +1,34 @@
+const EPSILON = 1.0e-8;
+const Matrix = (await import(`../../src/matrix.js?epsilon=${EPSILON}`)).default;
+const ExactMatrix = (await import(`../../src/exact/matrix.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`../../src/exact/vector.js?epsilon=${EPSILON}`)).default;
+import Rational from '../../src/exact/rational.js';
+
+describe('ExactMatrix', function() {
+	it('should convert to and from floating-point matrices', function() {
+		const m = new Matrix(0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 1.0);
+		const exact = ExactMatrix.fromMatrix(m);
+		expect(exact.every(entry => entry instanceof Rational)).to.be.true;
+		expect(exact.toMatrix()).to.deep.equal(m);
+	});
+
+	describe('.determinant', function() {
+		it('should compute the determinant exactly', function() {
+			const m = new ExactMatrix(
+				2, 0, 1, 
+				1, 3, 2, 
+				1, 1, 2
+			);
+			expect(m.determinant().equals(new Rational(6n))).to.be.true;
+		});
+
+		it('should be exactly zero for singular matrices', function() {
+			// The third column is the sum of the first two
+			const c1 = new ExactVector(0.1, 0.2, 0.3);
+			const c2 = new ExactVector(0.7, 0.11, 0.13);
+			expect(ExactMatrix.fromColumns(c1, c2, c1.add(c2)).determinant().sign()).to.equal(0);
+			// Doing the same in floating-point arithmetic does not give zero
+			expect(Matrix.fromColumns(c1.toVector(), c2.toVector(), c1.toVector().add(c2.toVector())).determinant()).to.not.equal(0);
+		});
+	});
+});
@@ -0,0 +1,60 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+const Polygon = (await import(`../../src/polygon.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`../../src/plane.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`../../src/exact/vector.js?epsilon=${EPSILON}`)).default;
+const ExactPolygon = (await import(`../../src/exact/polygon.js?epsilon=${EPSILON}`)).default;
+const ExactTriangle = (await import(`../../src/exact/triangle.js?epsilon=${EPSILON}`)).default;
+import Rational from '../../src/exact/rational.js';
+
+describe('ExactPolygon', function() {
+	let square;
+	beforeEach(function() {
+		square = new ExactPolygon(new ExactVector(0, 0, 0), new ExactVector(3, 0, 0), new ExactVector(3, 3, 0), new ExactVector(0, 3, 0));
+	});
+
+	it('should convert to and from floating-point polygons', function() {
+		const polygon = new Polygon(new Vector(0.1, 0, 0), new Vector(1, 0, 0), new Vector(1, 1, 0), new Vector(0, 1, 0));
+		const exact = ExactPolygon.fromPolygon(polygon);
+		expect(exact.every(vertex => vertex instanceof ExactVector)).to.be.true;
+		expect(exact.toPolygon().equals(polygon)).to.be.true;
+		expect(() => ExactPolygon.fromPolygon(new Polygon(polygon, [ polygon.map(v => v.scale(0.5)) ]))).to.throw(TypeError);
+	});
+
+	describe('.cut', function() {
+		it('should cut the polygon exactly, keeping its orientation', function() {
+			const { above, below } = square.cut(new ExactVector(1, 1, 0), 1);
+			expect(above).to.be.an.instanceof(ExactPolygon).with.lengthOf(5);
+			expect(below.equals(new ExactPolygon(new ExactVector(0, 0, 0), new ExactVector(1, 0, 0), new ExactVector(0, 1, 0)))).to.be.true;
+			expect(above.normal.z.sign()).to.equal(1);
+			expect(above.normal.add(below.normal).equals(square.normal)).to.be.true;
+		});
+
+		it('should accept a Plane', function() {
+			const { above, below } = square.cut(new Plane(new Vector(1, 0, 0), 2));
+			expect(above).to.have.lengthOf(4);
+			expect(below).to.have.lengthOf(4);
+		});
+
+		it('should return empty polygons for sides without a part of the polygon', function() {
+			const { above, below } = square.cut(new Vector(0, 1, 0), 3);
+			expect(above).to.be.an.instanceof(ExactPolygon).that.is.empty;
+			expect(below).to.equal(square);
+		});
+
+		it('should allow chaining cuts without losing any area', function() {
+			const triangle = new ExactTriangle(new ExactVector(0, 0, 0), new ExactVector(1, 0, 0), new ExactVector(0, 1, 1));
+			// Cut the triangle into slabs along x, then cut each slab along y
+			let pieces = [ triangle ];
+			for (let step of [ new Rational(1n, 3n), new Rational(2n, 3n) ])
+				pieces = pieces.flatMap(piece => Object.values(piece.cut(new Vector(1, 0, 0), step)));
+			for (let step of [ new Rational(1n, 7n), new Rational(3n, 7n) ])
+				pieces = pieces.flatMap(piece => Object.values(piece.cut(new Vector(0, 1, 0), step)));
+			pieces = pieces.filter(piece => piece.length > 0);
+
+			expect(pieces.length).to.be.above(4);
+			const normal = pieces.reduce((normal, piece) => normal.add(piece.normal), ExactVector.ZERO);
+			expect(normal.equals(triangle.normal)).to.be.true;
+		});
+	});
+});
\ No newline at end of file
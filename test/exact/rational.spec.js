@@ -0,0 +1,63 @@
+import Rational from '../../src/exact/rational.js';
+
+describe('Rational', function() {
+	it('should keep numerator and denominator in lowest terms with a positive denominator', function() {
+		const r = new Rational(6n, -4n);
+		expect(r.numerator).to.equal(-3n);
+		expect(r.denominator).to.equal(2n);
+	});
+
+	it('should throw a RangeError when dividing by zero', function() {
+		expect(() => new Rational(1n, 0n)).to.throw(RangeError);
+		expect(() => Rational.ONE.divide(0)).to.throw(RangeError);
+	});
+
+	describe('.from', function() {
+		it('should convert floating-point numbers exactly', function() {
+			expect(Rational.from(0.75).equals(new Rational(3n, 4n))).to.be.true;
+			expect(Rational.from(0.1).equals(new Rational(1n, 10n))).to.be.false;
+			expect(Rational.from(0.1).toNumber()).to.equal(0.1);
+			expect(Rational.from(Number.MIN_VALUE).denominator).to.equal(2n ** 1074n);
+		});
+
+		it('should throw on non-finite numbers', function() {
+			expect(() => Rational.from(NaN)).to.throw(TypeError);
+			expect(() => Rational.from(Infinity)).to.throw(TypeError);
+		});
+	});
+
+	it('should compute exact results', function() {
+		const third = new Rational(1n, 3n);
+		expect(third.add(third).add(third).equals(Rational.ONE)).to.be.true;
+		expect(third.multiply(3).subtract(1).sign()).to.equal(0);
+		expect(Rational.from(0.1).add(0.2).compare(0.3)).to.be.above(0);
+		expect(third.divide(new Rational(2n, 3n)).toString()).to.equal('1/2');
+	});
+
+	describe('.toNumber', function() {
+		it('should convert rationals with huge numerators and denominators', function() {
+			const r = new Rational(3n * 10n ** 400n, 2n * 10n ** 400n + 1n);
+			expect(r.toNumber()).to.equal(1.5);
+		});
+
+		it('should round to the closest floating-point number', function() {
+			expect(new Rational(1n, 3n).toNumber()).to.equal(1 / 3);
+			expect(new Rational(-7n, 10n).toNumber()).to.equal(-0.7);
+			// Slightly more than halfway between 1 and the next floating-point number, which bits far below the
+			// precision of floating-point numbers decide
+			expect(new Rational(2n ** 1100n + 2n ** 1047n + 1n, 2n ** 1100n).toNumber()).to.equal(1 + 2 ** -52);
+		});
+
+		it('should round ties to even', function() {
+			expect(new Rational(2n ** 53n + 1n).toNumber()).to.equal(2 ** 53);
+			expect(new Rational(2n ** 53n + 3n).toNumber()).to.equal(2 ** 53 + 4);
+			expect(new Rational(3n, 2n ** 1075n).toNumber()).to.equal(2 * Number.MIN_VALUE);
+		});
+
+		it('should handle numbers out of the floating-point range', function() {
+			expect(new Rational(1n, 2n ** 1080n).toNumber()).to.equal(0);
+			expect(new Rational(2n ** 1030n).toNumber()).to.equal(Infinity);
+			expect(Rational.from(Number.MAX_VALUE).toNumber()).to.equal(Number.MAX_VALUE);
+		});
+	});
+});
@@ -0,0 +1,51 @@
+const EPSILON = 1.0e-8;
+const Segment = (await import(`../../src/segment.js?epsilon=${EPSILON}`)).default;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`../../src/exact/vector.js?epsilon=${EPSILON}`)).default;
+const ExactSegment = (await import(`../../src/exact/segment.js?epsilon=${EPSILON}`)).default;
+
+describe('ExactSegment', function() {
+	it('should convert to and from floating-point segments', function() {
+		const segment = new Segment(new Vector(0.1, 0.2, 0.3), new Vector(1, 2, 3));
+		const exact = ExactSegment.fromSegment(segment);
+		expect(exact.a).to.be.an.instanceof(ExactVector);
+		expect(exact.toSegment()).to.deep.equal(segment);
+	});
+
+	describe('.intersect', function() {
+		let segment;
+		beforeEach(function() {
+			segment = new ExactSegment(new ExactVector(0, 0, 0), new ExactVector(2, 2, 0));
+		});
+
+		it('should return the intersection point of crossing segments', function() {
+			const result = segment.intersect(new ExactSegment(new ExactVector(0, 2, 0), new ExactVector(2, 0, 0)));
+			expect(result).to.be.an.instanceof(ExactVector);
+			expect(result.equals(new ExactVector(1, 1, 0))).to.be.true;
+		});
+
+		it('should return null for skew, parallel and non-overlapping segments', function() {
+			expect(segment.intersect(new ExactSegment(new ExactVector(0, 2, 1), new ExactVector(2, 0, 1)))).to.be.null;
+			expect(segment.intersect(new ExactSegment(new ExactVector(1, 0, 0), new ExactVector(3, 2, 0)))).to.be.null;
+			expect(segment.intersect(new ExactSegment(new ExactVector(3, 3, 0), new ExactVector(4, 4, 0)))).to.be.null;
+			expect(segment.intersect(new ExactSegment(new ExactVector(3, 0, 0), new ExactVector(3, 3, 0)))).to.be.null;
+		});
+
+		it('should return the overlap of collinear segments', function() {
+			const result = segment.intersect(new ExactSegment(new ExactVector(3, 3, 0), new ExactVector(1, 1, 0)));
+			expect(result).to.be.an.instanceof(ExactSegment);
+			expect(result.equals(new ExactSegment(new ExactVector(1, 1, 0), new ExactVector(2, 2, 0)))).to.be.true;
+
+			const touching = segment.intersect(new ExactSegment(new ExactVector(2, 2, 0), new ExactVector(3, 3, 0)));
+			expect(touching).to.be.an.instanceof(ExactVector);
+			expect(touching.equals(new ExactVector(2, 2, 0))).to.be.true;
+		});
+
+		it('should decide exactly whether nearly touching segments intersect', function() {
+			// The end point of other is off the line of segment by the smallest possible amount
+			const other = new ExactSegment(new ExactVector(0, 2, 0), new ExactVector(0.5, 0.5 + 2 ** -53, 0));
+			expect(segment.intersect(other)).to.be.null;
+			expect(segment.intersect(new ExactSegment(new ExactVector(0, 2, 0), new ExactVector(0.5, 0.5, 0))).equals(new ExactVector(0.5, 0.5, 0))).to.be.true;
+		});
+	});
+});
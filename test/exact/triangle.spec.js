@@ -0,0 +1,101 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../../src/triangle.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`../../src/exact/vector.js?epsilon=${EPSILON}`)).default;
+const ExactSegment = (await import(`../../src/exact/segment.js?epsilon=${EPSILON}`)).default;
+const ExactPolygon = (await import(`../../src/exact/polygon.js?epsilon=${EPSILON}`)).default;
+const ExactTriangle = (await import(`../../src/exact/triangle.js?epsilon=${EPSILON}`)).default;
+import Rational from '../../src/exact/rational.js';
+
+describe('ExactTriangle', function() {
+	let tri;
+	beforeEach(function() {
+		tri = new ExactTriangle(new ExactVector(0, 0, 0), new ExactVector(4, 0, 0), new ExactVector(0, 4, 0));
+	});
+
+	it('should require exactly three vertices', function() {
+		expect(() => new ExactTriangle(new ExactVector(0, 0, 0), new ExactVector(1, 0, 0))).to.throw(TypeError);
+	});
+
+	it('should convert to and from floating-point triangles', function() {
+		const triangle = new Triangle(new Vector(0.1, 0, 0), new Vector(1, 0.2, 0), new Vector(0, 1, 0.3));
+		const exact = ExactTriangle.fromTriangle(triangle);
+		expect(exact.every(vertex => vertex instanceof ExactVector)).to.be.true;
+		expect(exact.toTriangle().equals(triangle)).to.be.true;
+	});
+
+	describe('.cut', function() {
+		it('should cut the triangle exactly, keeping its orientation', function() {
+			const third = new Rational(1n, 3n);
+			const { above, below } = tri.cut(new ExactVector(1, 0, 0), third);
+			expect(above).to.be.an.instanceof(ExactTriangle);
+			expect(above.equals(new ExactPolygon(
+				new ExactVector(third, 0, 0), 
+				new ExactVector(4, 0, 0), 
+				new ExactVector(third, new Rational(11n, 3n), 0)
+			))).to.be.true;
+			expect(below).to.be.an.instanceof(ExactPolygon).with.lengthOf(4);
+			expect(below.normal.z.sign()).to.equal(1);
+			// Together, the pieces have exactly the area of the triangle
+			expect(above.normal.add(below.normal).equals(tri.normal)).to.be.true;
+		});
+
+		it('should not cut the triangle if it only touches the cut plane', function() {
+			const { above, below } = tri.cut(new Vector(1, 1, 0), 4);
+			expect(above).to.be.an.instanceof(ExactPolygon).that.is.empty;
+			expect(below).to.equal(tri);
+		});
+
+		it('should have the triangle in both above and below if it is co-planar with the cut plane', function() {
+			const { above, below } = tri.cut(new Vector(0, 0, 1), 0);
+			expect(above).to.equal(tri);
+			expect(below).to.equal(tri);
+		});
+
+		it('should decide exactly which side of the cut plane vertices are on', function() {
+			const { above, below } = tri.cut(new Vector(1, 0, 0), 1.0e-300);
+			expect(above).to.be.an.instanceof(ExactTriangle);
+			expect(below).to.be.an.instanceof(ExactPolygon).with.lengthOf(4);
+		});
+	});
+
+	describe('.intersect', function() {
+		it('should return null if the triangles do not intersect', function() {
+			expect(tri.intersect(new ExactTriangle(new ExactVector(0, 0, 1), new ExactVector(1, 0, 2), new ExactVector(0, 1, 1)))).to.be.null;
+			expect(tri.intersect(new ExactTriangle(new ExactVector(3, 3, -1), new ExactVector(3, 3, 1), new ExactVector(5, 5, 0)))).to.be.null;
+		});
+
+		it('should return the intersection segment if the triangles jut through each other', function() {
+			const other = new ExactTriangle(new ExactVector(1, 1, -1), new ExactVector(1, 1, 1), new ExactVector(3, 3, 0));
+			const result = tri.intersect(other);
+			expect(result).to.be.an.instanceof(ExactSegment);
+			expect(result.equals(new ExactSegment(new ExactVector(1, 1, 0), new ExactVector(2, 2, 0)))).to.be.true;
+		});
+
+		it('should return the point if the triangles touch in a single point', function() {
+			const result = tri.intersect(new ExactTriangle(new ExactVector(4, 0, 0), new ExactVector(5, 0, 0), new ExactVector(4, 4, 1)));
+			expect(result).to.be.an.instanceof(ExactVector);
+			expect(result.equals(new ExactVector(4, 0, 0))).to.be.true;
+		});
+
+		it('should return the overlap if the triangles are co-planar', function() {
+			const result = tri.intersect(new ExactTriangle(new ExactVector(1, 1, 0), new ExactVector(5, 1, 0), new ExactVector(1, 5, 0)));
+			expect(result).to.be.an.instanceof(ExactTriangle);
+			expect(result.equals(new ExactPolygon(new ExactVector(3, 1, 0), new ExactVector(1, 3, 0), new ExactVector(1, 1, 0)))).to.be.true;
+
+			const overlap = tri.intersect(new ExactTriangle(new ExactVector(-1, 1, 0), new ExactVector(5, 1, 0), new ExactVector(-1, 2, 0)));
+			expect(overlap).to.be.an.instanceof(ExactPolygon).with.lengthOf(4);
+		});
+
+		it('should return the common edge if co-planar triangles touch along an edge', function() {
+			const result = tri.intersect(new ExactTriangle(new ExactVector(4, 0, 0), new ExactVector(4, 4, 0), new ExactVector(0, 4, 0)));
+			expect(result).to.be.an.instanceof(ExactSegment);
+			expect(result.equals(new ExactSegment(new ExactVector(4, 0, 0), new ExactVector(0, 4, 0)))).to.be.true;
+		});
+
+		it('should accept floating-point triangles', function() {
+			const other = new Triangle(new Vector(1, 1, -1), new Vector(1, 1, 1), new Vector(3, 3, 0));
+			expect(tri.intersect(other)).to.be.an.instanceof(ExactSegment);
+		});
+	});
+});
@@ -0,0 +1,31 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+const ExactVector = (await import(`../../src/exact/vector.js?epsilon=${EPSILON}`)).default;
+import Rational from '../../src/exact/rational.js';
+
+describe('ExactVector', function() {
+	it('should convert to and from floating-point vectors', function() {
+		const v = new Vector(0.1, -2.5, 1e-20);
+		const exact = ExactVector.fromVector(v);
+		expect(exact.x).to.be.an.instanceof(Rational);
+		expect(exact.toVector()).to.deep.equal(v);
+		expect(ExactVector.fromVector(exact)).to.equal(exact);
+	});
+
+	it('should compare exactly, without tolerance', function() {
+		const v = new ExactVector(1, 2, 3);
+		expect(v.equals(new ExactVector(1, 2, 3))).to.be.true;
+		expect(v.equals(new ExactVector(1, 2, 3 + 1e-12))).to.be.false;
+	});
+
+	it('should compute sums, differences, cross and dot products exactly', function() {
+		const a = new ExactVector(0.1, 0.2, 0.3);
+		const b = new ExactVector(0.2, 0.1, 0.4);
+		expect(a.add(b).subtract(b).equals(a)).to.be.true;
+		// The cross product is perpendicular to both factors, exactly
+		const n = ExactVector.cross(a, b);
+		expect(ExactVector.dot(n, a).sign()).to.equal(0);
+		expect(ExactVector.dot(n, b).sign()).to.equal(0);
+		expect(a.scale(new Rational(1n, 3n)).scale(3).equals(a)).to.be.true;
+	});
+});
@@ -0,0 +1,165 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Polygon = (await import(`../src/polygon.js?epsilon=${EPSILON}`)).default;
+const HalfEdgeMesh = (await import(`../src/half-edge-mesh.js?epsilon=${EPSILON}`)).default;
+
+describe('HalfEdgeMesh', function() {
+	// A square pyramid without its base: four triangles around the apex
+	const apex = new Vector(0, 0, 1);
+	const base = [
+		new Vector(-1, -1, 0),
+		new Vector(1, -1, 0),
+		new Vector(1, 1, 0),
+		new Vector(-1, 1, 0)
+	];
+	let faces;
+	let mesh;
+	beforeEach(function() {
+		faces = base.map((v, i) => new Triangle(v, base[(i + 1) % base.length], apex));
+		mesh = new HalfEdgeMesh(faces);
+	});
+
+	describe('constructor', function() {
+		it('should share equal vertices between faces', function() {
+			expect(mesh.vertices).to.have.lengthOf(5);
+			expect(mesh.faces).to.have.lengthOf(4);
+			mesh.faces.forEach((face, f) => face.forEach((v, i) => expect(mesh.vertices[v]).to.equal(faces[f][i])));
+		});
+
+		it('should treat vertices within EPSILON as equal', function() {
+			faces.push(new Triangle(apex.add(new Vector(0, 0, EPSILON / 2)), base[0], new Vector(-3, -3, 0)));
+			expect(new HalfEdgeMesh(faces).vertices).to.have.lengthOf(6);
+		});
+
+		it('should link half-edges into cycles and pair up twins', function() {
+			mesh.halfEdges.forEach((halfEdge, h) => {
+				expect(mesh.halfEdges[halfEdge.next].prev).to.equal(h);
+				expect(mesh.halfEdges[halfEdge.next].face).to.equal(halfEdge.face);
+				if (halfEdge.twin !== null) {
+					expect(mesh.halfEdges[halfEdge.twin].twin).to.equal(h);
+					expect(mesh.halfEdges[halfEdge.twin].origin).to.equal(mesh.destination(h));
+				}
+			});
+			// The four edges to the apex are interior edges
+			expect(mesh.halfEdges.filter(halfEdge => halfEdge.twin !== null)).to.have.lengthOf(8);
+		});
+	});
+
+	describe('.faceNeighbors', function() {
+		it('should return the faces sharing an edge', function() {
+			expect(mesh.faceNeighbors(0)).to.have.members([ 1, 3 ]);
+			expect(mesh.faceNeighbors(2)).to.have.members([ 1, 3 ]);
+		});
+	});
+
+	describe('.edgeFaces', function() {
+		it('should return the faces incident to an edge', function() {
+			const a = mesh.vertices.indexOf(apex);
+			const b = mesh.vertices.indexOf(base[1]);
+			const c = mesh.vertices.indexOf(base[0]);
+			expect(mesh.edgeFaces(a, b)).to.have.members([ 0, 1 ]);
+			expect(mesh.edgeFaces(b, a)).to.have.members([ 0, 1 ]);
+			expect(mesh.edgeFaces(b, c)).to.have.members([ 0 ]);
+			expect(mesh.edgeFaces(0, 0)).to.be.empty;
+		});
+	});
+
+	describe('.vertexRing', function() {
+		it('should return the ordered one-ring of an interior vertex', function() {
+			const closed = new HalfEdgeMesh([ ...faces, new Polygon(base) ]);
+			const ring = closed.vertexRing(closed.vertices.indexOf(apex)).map(v => closed.vertices[v]);
+			expect(ring).to.have.members(base);
+			// The ring should be in order around the apex
+			const start = base.indexOf(ring[0]);
+			const direction = base.indexOf(ring[1]) === (start + 1) % 4 ? 1 : 3;
+			ring.forEach((v, i) => expect(v).to.equal(base[(start + i * direction) % 4]));
+		});
+
+		it('should return the one-ring of a boundary vertex', function() {
+			const ring = mesh.vertexRing(mesh.vertices.indexOf(base[0])).map(v => mesh.vertices[v]);
+			expect(ring).to.have.members([ base[1], base[3], apex ]);
+		});
+	});
+
+	describe('.vertexFaces', function() {
+		it('should return the faces incident to a vertex', function() {
+			expect(mesh.vertexFaces(mesh.vertices.indexOf(apex))).to.have.members([ 0, 1, 2, 3 ]);
+			expect(mesh.vertexFaces(mesh.vertices.indexOf(base[0]))).to.have.members([ 0, 3 ]);
+		});
+	});
+
+	describe('.boundaryEdges', function() {
+		it('should return the edges used by only one face', function() {
+			const boundary = mesh.boundaryEdges().map(edge => edge.map(v => mesh.vertices[v]));
+			expect(boundary).to.have.lengthOf(4);
+			base.forEach((v, i) => {
+				const w = base[(i + 1) % base.length];
+				expect(boundary.some(([ a, b ]) => (a === v && b === w) || (a === w && b === v))).to.be.true;
+			});
+		});
+
+		it('should return no edges for a closed mesh', function() {
+			expect(new HalfEdgeMesh([ ...faces, new Polygon(base) ]).boundaryEdges()).to.be.empty;
+		});
+	});
+
+	describe('.orientation', function() {
+		it('should return orientations that make neighboring faces consistent', function() {
+			// Faces in the plane y = 0 keep the order their vertices are given in
+			const a = new Vector(0, 0, 0);
+			const b = new Vector(1, 0, 0);
+			const c = new Vector(2, 0, 1);
+			const mesh = new HalfEdgeMesh([
+				new Triangle(a, b, new Vector(0, 0, 1)),
+				new Triangle(a, b, new Vector(0, 0, -1)),
+				new Triangle(b, c, new Vector(0, 0, -1))
+			]);
+			expect(mesh.orientation()).to.deep.equal([ +1, -1, -1 ]);
+		});
+	});
+
+	describe('faces with holes', function() {
+		// A square with a square hole, and a plug that fills the hole
+		const outer = [ new Vector(-2, -2, 0), new Vector(2, -2, 0), new Vector(2, 2, 0), new Vector(-2, 2, 0) ];
+		const inner = base;
+		let frame;
+		let plug;
+		beforeEach(function() {
+			frame = new Polygon(outer, [ inner ]);
+			plug = new Polygon(inner);
+		});
+
+		it('should include the holes as cycles of half-edges', function() {
+			const mesh = new HalfEdgeMesh([ frame ]);
+			expect(mesh.vertices).to.have.lengthOf(8);
+			expect(mesh.holes).to.have.lengthOf(1);
+			expect(mesh.holes[0]).to.have.lengthOf(1);
+			expect(mesh.faceHalfEdges(0)).to.have.lengthOf(8);
+			expect(mesh.boundaryEdges()).to.have.lengthOf(8);
+		});
+
+		it('should connect faces across the edges of holes', function() {
+			const mesh = new HalfEdgeMesh([ frame, plug ]);
+			expect(mesh.boundaryEdges()).to.have.lengthOf(4);
+			expect(mesh.faceNeighbors(0)).to.deep.equal([ 1 ]);
+			expect(mesh.orientation()).to.deep.equal([ +1, +1 ]);
+		});
+
+		it('should convert back to faces with holes', function() {
+			const result = new HalfEdgeMesh([ frame, plug ]).toFaces();
+			expect(result[0].equals(frame)).to.be.true;
+			expect(result[0].holes).to.have.lengthOf(1);
+		});
+	});
+
+	describe('.toFaces', function() {
+		it('should convert back to the original faces', function() {
+			const closed = [ ...faces, new Polygon(base) ];
+			const result = new HalfEdgeMesh(closed).toFaces();
+			expect(result).to.deep.equal(closed);
+			expect(result[0]).to.be.an.instanceof(Triangle);
+			expect(result[4]).to.be.an.instanceof(Polygon).but.not.an.instanceof(Triangle);
+		});
+	});
+});
@@ -12,4 +12,42 @@ describe('index.js', function() {
 		const actual = m.EPSILON;
 		expect(actual).to.equal(EPSILON);
 	});
+
+	describe('createGeometry', function() {
+		let m;
+		beforeEach(async function() {
+			m = await import('../src/index.js');
+		});
+
+		it('should use the same classes as the module', function() {
+			const geometry = m.createGeometry({ epsilon: 1.0e-3 });
+			expect(geometry.Vector).to.equal(m.Vector);
+			expect(geometry.Mesh).to.equal(m.Mesh);
+			expect(geometry.EPSILON).to.equal(1.0e-3);
+		});
+
+		it('should use its own tolerance for operations performed inside run', function() {
+			const coarse = m.createGeometry({ epsilon: 1.0e-3 });
+			const fine = m.createGeometry({ epsilon: 1.0e-12 });
+			const v = new m.Vector(1, 2, 3);
+			const w = new m.Vector(1, 2, 3 + 1.0e-6);
+
+			expect(v.equals(w)).to.be.false;
+			expect(coarse.run(() => v.equals(w))).to.be.true;
+			expect(fine.run(() => v.equals(w))).to.be.false;
+
+			const triangle = new m.Triangle(m.Vector.ZERO, new m.Vector(1, 0, 0), new m.Vector(0, 1, 0));
+			const point = new m.Vector(0.25, 0.25, 1.0e-4);
+			expect(triangle.contains(point)).to.be.false;
+			expect(coarse.run(() => triangle.contains(point))).to.be.true;
+		});
+
+		it('should allow to switch off robust predicates', function() {
+			const geometry = m.createGeometry({ epsilon: 1.0e-8, robust: false });
+			const polygon = new m.Polygon(new m.Vector(0, 0, 0), new m.Vector(1, 0, 0), new m.Vector(1, 1, 0), new m.Vector(0.5, 1 - 1.0e-10, 0), new m.Vector(0, 1, 0));
+			// The fourth vertex is a reflex vertex, but so barely that the non-robust check misses it
+			expect(polygon.isConvex()).to.be.false;
+			expect(geometry.run(() => polygon.isConvex())).to.be.true;
+		});
+	});
 });
\ No newline at end of file
@@ -0,0 +1,130 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Polygon = (await import(`../../src/polygon.js?epsilon=${EPSILON}`)).default;
+const { parse, serialize } = await import(`../../src/io/obj.js?epsilon=${EPSILON}`);
+
+describe('OBJ', function() {
+	describe('parse', function() {
+		it('should parse vertices and triangular faces', function() {
+			const obj = `# A single triangle
+v 0 0 1
+v 1 0 1
+v 0 1 1
+f 1 2 3
+`;
+			const result = parse(obj);
+			expect(result).to.have.all.keys('default');
+			expect(result.default).to.be.an('array').with.lengthOf(1);
+			expect(result.default[0]).to.be.an.instanceof(Triangle);
+			expect(result.default[0].equals([ new Vector(0, 0, 1), new Vector(1, 0, 1), new Vector(0, 1, 1) ])).to.be.true;
+		});
+
+		it('should support negative indices and texture/normal references', function() {
+			const obj = `v 0 0 1
+v 1 0 1
+v 0 1 1
+vn 0 0 1
+f -3//1 -2//1 -1//1
+v 1 1 1
+f 2/1/1 4/1/1 3/1/1
+`;
+			const result = parse(obj).default;
+			expect(result).to.have.lengthOf(2);
+			expect(result[0].equals([ new Vector(0, 0, 1), new Vector(1, 0, 1), new Vector(0, 1, 1) ])).to.be.true;
+			expect(result[1].equals([ new Vector(1, 0, 1), new Vector(1, 1, 1), new Vector(0, 1, 1) ])).to.be.true;
+		});
+
+		it('should triangulate polygonal faces', function() {
+			// An L-shaped, non-convex hexagon
+			const obj = `v 0 0 0
+v 2 0 0
+v 2 1 0
+v 1 1 0
+v 1 2 0
+v 0 2 0
+f 1 2 3 4 5 6
+`;
+			const result = parse(obj).default;
+			expect(result).to.have.lengthOf(4);
+			result.forEach(face => expect(face).to.be.an.instanceof(Triangle));
+			// The triangles should cover the area of the hexagon, which is 3
+			expect(result.reduce((area, face) => area + face.normal.length / 2, 0)).to.be.approximately(3, EPSILON);
+		});
+
+		it('should keep polygonal faces as polygons when asked to', function() {
+			const obj = `v 0 0 0
+v 1 0 0
+v 1 1 0
+v 0 1 0
+f 1 2 3 4
+`;
+			const result = parse(obj, { triangulate: false }).default;
+			expect(result).to.have.lengthOf(1);
+			expect(result[0]).to.be.an.instanceof(Polygon).with.lengthOf(4);
+		});
+
+		it('should put objects and groups into separate meshes', function() {
+			const obj = `v 0 0 1
+v 1 0 1
+v 0 1 1
+v 1 1 1
+f 1 2 3
+o first
+f 2 4 3
+g second
+f 1 2 4
+f 1 4 3
+`;
+			const result = parse(obj);
+			expect(result).to.have.all.keys('default', 'first', 'second');
+			expect(result.default).to.have.lengthOf(1);
+			expect(result.first).to.have.lengthOf(1);
+			expect(result.second).to.have.lengthOf(2);
+		});
+
+		it('should throw on invalid vertex references', function() {
+			expect(() => parse('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 4')).to.throw(RangeError);
+			expect(() => parse('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 -4')).to.throw(RangeError);
+		});
+	});
+
+	describe('serialize', function() {
+		let faces;
+		beforeEach(function() {
+			faces = [
+				new Triangle(new Vector(1, 1, 1), new Vector(5, 5, 5), new Vector(-2, 4, 4)),
+				new Triangle(new Vector(1, 1, 1), new Vector(5, 5, 5), new Vector(3, -2, -4))
+			];
+		});
+
+		it('should write shared vertices only once', function() {
+			const obj = serialize({ test: faces });
+			const lines = obj.split('\n');
+			expect(lines.filter(line => line.startsWith('v '))).to.have.lengthOf(4);
+			expect(lines.filter(line => line.startsWith('f '))).to.have.lengthOf(2);
+			expect(lines).to.include('o test');
+		});
+
+		it('should treat vertices within EPSILON as shared', function() {
+			faces[1] = new Triangle(new Vector(1, 1, 1 + EPSILON / 2), new Vector(5, 5, 5), new Vector(3, -2, -4));
+			const obj = serialize({ test: faces });
+			expect(obj.split('\n').filter(line => line.startsWith('v '))).to.have.lengthOf(4);
+		});
+
+		it('should round-trip', function() {
+			const result = parse(serialize({ first: faces.slice(0, 1), second: faces.slice(1) }));
+			expect(result).to.have.all.keys('first', 'second');
+			expect(result.first).to.deep.equal(faces.slice(0, 1));
+			expect(result.second).to.deep.equal(faces.slice(1));
+		});
+
+		it('should round-trip faces with holes as triangles', function() {
+			const square = size => [ new Vector(-size, -size, 0), new Vector(size, -size, 0), new Vector(size, size, 0), new Vector(-size, size, 0) ];
+			const frame = new Polygon(square(2), [ square(1) ]);
+			const result = parse(serialize({ frame: [ frame ] }));
+			expect(result.frame).to.deep.equal(frame.triangulate());
+			expect(result.frame.reduce((area, face) => area + face.normal.length / 2, 0)).to.be.approximately(12, EPSILON);
+		});
+	});
+});
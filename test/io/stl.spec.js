@@ -0,0 +1,86 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Polygon = (await import(`../../src/polygon.js?epsilon=${EPSILON}`)).default;
+const { parse, serialize } = await import(`../../src/io/stl.js?epsilon=${EPSILON}`);
+
+describe('STL', function() {
+	let faces;
+	beforeEach(function() {
+		faces = [
+			new Triangle(new Vector(1, 1, 1), new Vector(5, 5, 5), new Vector(-2, 4, 4)),
+			new Triangle(new Vector(1, 1, 1), new Vector(5, 5, 5), new Vector(3, -2, -4))
+		];
+	});
+
+	describe('parse', function() {
+		it('should parse ASCII STL', function() {
+			const stl = `solid test
+  facet normal 0 0 1
+    outer loop
+      vertex 0 0 1
+      vertex 1 0 1
+      vertex 0 1 1
+    endloop
+  endfacet
+endsolid test
+`;
+			const result = parse(stl);
+			expect(result).to.be.an('array').with.lengthOf(1);
+			expect(result[0]).to.be.an.instanceof(Triangle);
+			expect(result[0].equals([ new Vector(0, 0, 1), new Vector(1, 0, 1), new Vector(0, 1, 1) ])).to.be.true;
+		});
+
+		it('should parse ASCII STL given as bytes', function() {
+			const stl = new TextEncoder().encode(serialize(faces));
+			const result = parse(stl);
+			expect(result).to.have.lengthOf(2);
+			result.forEach((face, i) => expect(face.equals(faces[i])).to.be.true);
+		});
+
+		it('should parse binary STL', function() {
+			const stl = serialize(faces, { binary: true });
+			const result = parse(stl);
+			expect(result).to.have.lengthOf(2);
+			result.forEach((face, i) => expect(face.equals(faces[i])).to.be.true);
+			// Should also accept ArrayBuffers
+			expect(parse(stl.buffer)).to.have.lengthOf(2);
+		});
+
+		it('should throw on malformed input', function() {
+			expect(() => parse(new Uint8Array([ 1, 2, 3 ]))).to.throw(SyntaxError);
+			expect(() => parse('solid\nfacet normal 0 0 0\nouter loop\nvertex 0 0 0\nendloop\nendfacet\nendsolid')).to.throw(SyntaxError);
+		});
+	});
+
+	describe('serialize', function() {
+		it('should write unit facet normals', function() {
+			const stl = serialize(faces);
+			const normals = stl.split('\n')
+				.filter(line => line.trim().startsWith('facet normal'))
+				.map(line => new Vector(...line.trim().split(/\s+/).slice(2).map(Number)));
+			expect(normals).to.have.lengthOf(2);
+			normals.forEach((normal, i) => expect(normal.equals(faces[i].normal.unit())).to.be.true);
+		});
+
+		it('should round-trip ASCII STL exactly', function() {
+			faces.push(new Triangle(new Vector(0.1, 1 / 3, Math.PI), new Vector(1e-12, -2.5e7, 0.7), new Vector(-0.3, 0.2, 1 / 7)));
+			const result = parse(serialize(faces));
+			expect(result).to.deep.equal(faces);
+		});
+
+		it('should round-trip binary STL within 32-bit float precision', function() {
+			faces.push(new Triangle(new Vector(0.1, 1 / 3, Math.PI), new Vector(1e-3, -2.5, 0.7), new Vector(-0.3, 0.2, 1 / 7)));
+			const result = parse(serialize(faces, { binary: true }));
+			expect(result).to.have.lengthOf(faces.length);
+			result.forEach((face, i) => face.forEach((vertex, j) => 
+				[ 'x', 'y', 'z' ].forEach(dim => expect(vertex[dim]).to.be.approximately(faces[i][j][dim], 1.0e-6))
+			));
+		});
+
+		it('should throw when trying to serialize non-triangular faces', function() {
+			faces.push(new Polygon(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(1, 1, 0), new Vector(0, 1, 0)));
+			expect(() => serialize(faces)).to.throw(TypeError);
+		});
+	});
+});
@@ -1,12 +1,121 @@
 import Matrix from '../src/matrix.js';
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
 
 describe('Matrix', function() {
-	it('.determinant', function() {
-		const m = new Matrix(
+	let m;
+	beforeEach(function() {
+		m = new Matrix(
 			1, 2, 3,
 			3, 2, 1,
 			2, 1, 3
 		);
+	});
+
+	it('.determinant', function() {
 		expect(m.determinant()).to.equal(-12);
 	});
+
+	it('.identity', function() {
+		expect(Matrix.identity().multiply(m)).to.deep.equal(m);
+		expect(m.multiply(Matrix.identity())).to.deep.equal(m);
+	});
+
+	it('.fromRows and .fromColumns', function() {
+		const [ r1, r2, r3 ] = m.rows();
+		const [ c1, c2, c3 ] = m.columns();
+		expect(Matrix.fromRows(r1, r2, r3)).to.deep.equal(m);
+		expect(Matrix.fromColumns(c1, c2, c3)).to.deep.equal(m);
+		expect(r2).to.deep.equal(new Vector(3, 2, 1));
+		expect(c2).to.deep.equal(new Vector(2, 2, 1));
+	});
+
+	it('.transpose', function() {
+		expect(m.transpose()).to.deep.equal(new Matrix(
+			1, 3, 2,
+			2, 2, 1,
+			3, 1, 3
+		));
+	});
+
+	it('.multiply', function() {
+		const other = new Matrix(
+			0, 1, 0,
+			1, 0, 0,
+			0, 0, 2
+		);
+		expect(m.multiply(other)).to.deep.equal(new Matrix(
+			2, 1, 6,
+			2, 3, 2,
+			1, 2, 6
+		));
+	});
+
+	it('.multiplyVector', function() {
+		expect(m.multiplyVector(new Vector(1, 0, -1))).to.deep.equal(new Vector(-2, 2, -1));
+	});
+
+	describe('.inverse', function() {
+		it('should compute the inverse', function() {
+			expect(m.multiply(m.inverse()).equals(Matrix.identity())).to.be.true;
+			expect(m.inverse().multiply(m).equals(Matrix.identity())).to.be.true;
+		});
+
+		it('should throw if the matrix is singular', function() {
+			const singular = new Matrix(
+				1, 2, 3,
+				2, 4, 6,
+				0, 1, 0
+			);
+			expect(() => singular.inverse()).to.throw(TypeError);
+		});
+	});
+
+	describe('.solve', function() {
+		it('should solve the linear system', function() {
+			const x = new Vector(1, -2, 0.5);
+			expect(m.solve(m.multiplyVector(x)).equals(x)).to.be.true;
+		});
+
+		it('should throw if the matrix is singular', function() {
+			expect(() => new Matrix(0, 0, 0, 0, 1, 0, 0, 0, 1).solve(new Vector(1, 1, 1))).to.throw(TypeError);
+		});
+	});
+
+	describe('.eigen', function() {
+		it('should find the eigenvalues and eigenvectors of a symmetric matrix', function() {
+			const symmetric = new Matrix(
+				4, 1, -2,
+				1, 2, 0,
+				-2, 0, 3
+			);
+			const { values, vectors } = symmetric.eigen();
+			expect(values).to.have.lengthOf(3);
+			expect(values[0]).to.be.at.least(values[1]);
+			expect(values[1]).to.be.at.least(values[2]);
+			// Sum and product of the eigenvalues are the trace and the determinant
+			expect(values[0] + values[1] + values[2]).to.be.closeTo(9, EPSILON);
+			expect(values[0] * values[1] * values[2]).to.be.closeTo(symmetric.determinant(), EPSILON);
+			for (let i = 0; i < 3; i++) {
+				expect(vectors[i].length).to.be.closeTo(1, EPSILON);
+				expect(symmetric.multiplyVector(vectors[i]).equals(vectors[i].scale(values[i]))).to.be.true;
+				expect(Vector.dot(vectors[i], vectors[(i + 1) % 3])).to.be.closeTo(0, EPSILON);
+			}
+		});
+
+		it('should handle diagonal matrices and repeated eigenvalues', function() {
+			const { values, vectors } = new Matrix(
+				1, 0, 0,
+				0, 3, 0,
+				0, 0, 1
+			).eigen();
+			expect(values).to.deep.equal([ 3, 1, 1 ]);
+			expect(vectors[0]).to.deep.equal(new Vector(0, 1, 0));
+			expect(Vector.dot(vectors[1], vectors[2])).to.be.closeTo(0, EPSILON);
+		});
+
+		it('should throw if the matrix is not symmetric', function() {
+			expect(() => m.eigen()).to.throw(TypeError);
+		});
+	});
 });
\ No newline at end of file
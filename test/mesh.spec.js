@@ -1,7 +1,37 @@
 const EPSILON = 1.0e-8;
 const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Segment = (await import(`../src/segment.js?epsilon=${EPSILON}`)).default;
 const Triangle = (await import(`../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Polygon = (await import(`../src/polygon.js?epsilon=${EPSILON}`)).default;
+const Matrix = (await import(`../src/matrix.js?epsilon=${EPSILON}`)).default;
 const Mesh = (await import(`../src/mesh.js?epsilon=${EPSILON}`)).default;
+const Ray = (await import(`../src/ray.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`../src/plane.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`../src/transform.js?epsilon=${EPSILON}`)).default;
+
+// Helper function that creates a closed mesh for the axis-aligned box between min and max
+function box(min, max) {
+	const corner = i => new Vector(i & 1 ? max.x : min.x, i & 2 ? max.y : min.y, i & 4 ? max.z : min.z);
+	// The faces of the box, each given by the indices of its four corners
+	return new Mesh([
+		[ 0, 1, 3, 2 ], [ 4, 5, 7, 6 ], // bottom, top
+		[ 0, 1, 5, 4 ], [ 2, 3, 7, 6 ], // front, back
+		[ 0, 2, 6, 4 ], [ 1, 3, 7, 5 ]  // left, right
+	].flatMap(([ a, b, c, d ]) => [
+		new Triangle(corner(a), corner(b), corner(c)),
+		new Triangle(corner(a), corner(c), corner(d))
+	]));
+}
+
+// Helper function that creates the unit cube with a square hole in its top face, closed by a separate plug face
+function holedCube() {
+	const square = (min, max, z) => [ new Vector(min, min, z), new Vector(max, min, z), new Vector(max, max, z), new Vector(min, max, z) ];
+	return new Mesh(
+		...box(new Vector(0, 0, 0), new Vector(1, 1, 1)).filter(face => face.some(vertex => vertex.z < 1)),
+		new Polygon(square(0, 1, 1), [ square(0.25, 0.75, 1) ]),
+		new Polygon(square(0.25, 0.75, 1))
+	);
+}
 
 describe('Mesh', function() {
 	let mesh;
@@ -78,6 +108,891 @@ describe('Mesh', function() {
 			// All vertices of all faces in cut.below need to have a "dim" coordinate less than or equal to offset
 			expect(cut.below).to.satisfy(mesh => mesh.every(face => face.every(vertex => Vector.dot(vertex, normal) <= distance)));
 		});
+
+		it('should accept a Plane', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+			const plane = new Plane(new Vector(0, 0, 2), 2);
+			expect(solid.cut(plane)).to.deep.equal(solid.cut(new Vector(0, 0, 1), 1));
+			expect(solid.cut(plane, { cap: true })).to.deep.equal(solid.cut(new Vector(0, 0, 1), 1, { cap: true }));
+		});
+
+		it('should cut meshes containing polygons', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 2, 2));
+			// The first cut leaves trapezoids on the sides of the box
+			const { above } = solid.cut(new Vector(1, 0, 0), 0.5, { cap: true });
+			expect(above.some(face => !(face instanceof Triangle))).to.be.true;
+
+			const cut = above.cut(new Vector(0, 1, 0), 0.7, { cap: true });
+			expect(cut.above.validate().closed).to.be.true;
+			expect(cut.below.validate().closed).to.be.true;
+			expect(cut.above.volume()).to.be.approximately(3.9, EPSILON);
+			expect(cut.below.volume()).to.be.approximately(2.1, EPSILON);
+		});
+
+		describe('with caps', function() {
+			it('should produce closed halves when cutting a closed mesh', function() {
+				const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+				const normal = new Vector(0, 0, 1);
+				const cut = solid.cut(normal, 1.5, { cap: true });
+
+				for (let half of [ cut.above, cut.below ]) {
+					expect(half).to.be.an.instanceof(Mesh);
+					expect(half.validate().closed).to.be.true;
+				}
+				expect(cut.below.volume()).to.be.approximately(9, EPSILON);
+				expect(cut.above.volume()).to.be.approximately(15, EPSILON);
+				// The cap should lie in the cut plane
+				const caps = cut.below.filter(face => face.every(v => Math.abs(v.z - 1.5) < EPSILON));
+				expect(caps.reduce((area, face) => area + face.normal.length / 2, 0)).to.be.approximately(6, EPSILON);
+			});
+
+			it('should produce closed halves when cutting at an oblique angle', function() {
+				const solid = box(new Vector(-1, -1, -1), new Vector(1, 1, 1));
+				const cut = solid.cut(new Vector(1, 1, 1).unit(), 0.3, { cap: true });
+				expect(cut.above.validate().closed).to.be.true;
+				expect(cut.below.validate().closed).to.be.true;
+				expect(cut.above.volume() + cut.below.volume()).to.be.approximately(8, 1.0e-6);
+			});
+
+			it('should not produce degenerate cap triangles where the section runs straight on', function() {
+				// The cut plane crosses the diagonals of the box's faces, adding vertices in the middle of the section's edges
+				const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4)).transform(Transform.euler(0.3, -0.5, 0.7));
+				const cut = solid.cut(new Vector(0, 0, 1), 0.5, { cap: true });
+				for (let half of [ cut.above, cut.below ]) {
+					const result = half.validate();
+					expect(result.degenerateFaces).to.be.empty;
+					expect(result.valid).to.be.true;
+				}
+				expect(cut.above.volume() + cut.below.volume()).to.be.approximately(24, 1.0e-6);
+			});
+
+			it('should leave holes in the caps where the cut plane passes through cavities', function() {
+				const solid = new Mesh(
+					...box(new Vector(0, 0, 0), new Vector(2, 3, 4)), 
+					...box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5))
+				);
+				const cut = solid.cut(new Vector(0, 0, 1), 1, { cap: true });
+				expect(cut.above.validate().closed).to.be.true;
+				expect(cut.below.validate().closed).to.be.true;
+				expect(cut.below.volume()).to.be.approximately(5.5, EPSILON);
+				expect(cut.above.volume()).to.be.approximately(17.5, EPSILON);
+			});
+
+			it('should not add caps if the mesh does not intersect the cut plane', function() {
+				const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+				const cut = solid.cut(new Vector(0, 0, 1), 10, { cap: true });
+				expect(cut.below).to.deep.equal(solid);
+				expect(cut.above.isEmpty()).to.be.true;
+			});
+		});
+	});
+
+	describe('.section', function() {
+		it('should return the closed loops of the cross-section', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+			const result = solid.section(new Vector(0, 0, 1), 1);
+			expect(result).to.be.an('array').with.lengthOf(1);
+			expect(result[0].hole).to.be.false;
+			expect(result[0].polygon).to.be.an.instanceof(Polygon);
+			result[0].polygon.forEach(v => expect(v.z).to.be.approximately(1, EPSILON));
+			expect(result[0].polygon.normal.length / 2).to.be.approximately(6, EPSILON);
+			// The loop's vertices should be ordered along its edges
+			result[0].polygon.edges.forEach(edge => expect(edge.direction().length).to.be.at.most(3 + EPSILON));
+		});
+
+		it('should classify loops as outlines and holes', function() {
+			const solid = new Mesh(
+				...box(new Vector(0, 0, 0), new Vector(2, 3, 4)), 
+				...box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5))
+			);
+			const result = solid.section(new Vector(0, 0, 1), 1);
+			expect(result).to.have.lengthOf(2);
+			const outline = result.find(loop => !loop.hole);
+			const hole = result.find(loop => loop.hole);
+			expect(outline.polygon.normal.length / 2).to.be.approximately(6, EPSILON);
+			expect(hole.polygon.normal.length / 2).to.be.approximately(1, EPSILON);
+		});
+
+		it('should return an empty array if the mesh does not intersect the plane', function() {
+			expect(box(new Vector(0, 0, 0), new Vector(2, 3, 4)).section(new Vector(0, 0, 1), 10)).to.be.an('array').that.is.empty;
+		});
+
+		it('should return the outline of faces lying in the plane at either end of the mesh', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+			for (let distance of [ 0, 4 ]) {
+				const result = solid.section(new Vector(0, 0, 1), distance);
+				expect(result, `at ${distance}`).to.have.lengthOf(1);
+				expect(result[0].polygon.normal.length / 2).to.be.approximately(6, EPSILON);
+			}
+		});
+
+		it('should report edges in the plane only once where the surface crosses the plane along them', function() {
+			// The side walls of two stacked boxes, which have edges in the plane z = 2
+			const lower = box(new Vector(0, 0, 0), new Vector(2, 3, 2));
+			const upper = box(new Vector(0, 0, 2), new Vector(2, 3, 4));
+			const walls = [ ...lower, ...upper ].filter(face => face.some(v => v.z !== face[0].z));
+			const result = new Mesh(walls).section(new Vector(0, 0, 1), 2);
+			expect(result).to.have.lengthOf(1);
+			expect(result[0].polygon).to.have.lengthOf(4);
+		});
+
+		it('should accept a Plane', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+			expect(solid.section(new Plane(new Vector(0, 0, 1), 1))).to.deep.equal(solid.section(new Vector(0, 0, 1), 1));
+		});
+	});
+
+	describe('.sections', function() {
+		it('should return the cross-sections at evenly spaced planes', function() {
+			const solid = new Mesh(
+				...box(new Vector(0, 0, 0), new Vector(2, 3, 4)), 
+				...box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5))
+			);
+			const normal = new Vector(0, 0, 1);
+			const result = solid.sections(normal, 0.25, 4.25, 0.5);
+			expect(result.map(({ distance }) => distance)).to.deep.equal([ 0.25, 0.75, 1.25, 1.75, 2.25, 2.75, 3.25, 3.75, 4.25 ]);
+			result.forEach(({ distance, loops }) => {
+				const expected = solid.section(normal, distance);
+				expect(loops, `at ${distance}`).to.have.lengthOf(expected.length);
+				loops.forEach((loop, i) => {
+					expect(loop.hole).to.equal(expected[i].hole);
+					expect(loop.polygon.equals(expected[i].polygon)).to.be.true;
+				});
+			});
+			expect(result.map(({ loops }) => loops.length)).to.deep.equal([ 1, 2, 2, 1, 1, 1, 1, 1, 0 ]);
+		});
+
+		it('should include the faces at both ends of the range', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+			const result = solid.sections(new Vector(0, 0, 1), 0, 4, 1);
+			expect(result.map(({ loops }) => loops.length)).to.deep.equal([ 1, 1, 1, 1, 1 ]);
+			expect(result.at(-1).loops[0].polygon.normal.length / 2).to.be.approximately(6, EPSILON);
+		});
+
+		it('should throw if the step is not positive', function() {
+			expect(() => mesh.sections(new Vector(0, 0, 1), 0, 1, 0)).to.throw(RangeError);
+		});
+	});
+
+	describe('ray casting', function() {
+		beforeEach(function() {
+			// Two parallel squares at z = 1 and z = 3, each made of two triangles
+			mesh = new Mesh(
+				new Triangle(new Vector(0, 0, 1), new Vector(2, 0, 1), new Vector(2, 2, 1)),
+				new Triangle(new Vector(0, 0, 1), new Vector(2, 2, 1), new Vector(0, 2, 1)),
+				new Triangle(new Vector(0, 0, 3), new Vector(2, 0, 3), new Vector(2, 2, 3)),
+				new Triangle(new Vector(0, 0, 3), new Vector(2, 2, 3), new Vector(0, 2, 3))
+			);
+		});
+
+		describe('.rayIntersect', function() {
+			it('should return true if the ray hits the mesh, false otherwise', function() {
+				expect(mesh.rayIntersect(new Ray(new Vector(1.5, 0.5, 0), new Vector(0, 0, 1)))).to.be.true;
+				expect(mesh.rayIntersect(new Ray(new Vector(5, 5, 0), new Vector(0, 0, 1)))).to.be.false;
+			});
+		});
+
+		describe('.raycast', function() {
+			it('should return the closest hit with the index of the face that was hit', function() {
+				let hit = mesh.raycast(new Ray(new Vector(1.5, 0.5, 0), new Vector(0, 0, 1)));
+				expect(hit).to.be.an('object').with.property('index', 0);
+				expect(hit.distance).to.be.approximately(1, EPSILON);
+
+				hit = mesh.raycast(new Ray(new Vector(0.5, 1.5, 5), new Vector(0, 0, -1)));
+				expect(hit).to.be.an('object').with.property('index', 3);
+				expect(hit.distance).to.be.approximately(2, EPSILON);
+			});
+
+			it('should return null if the ray misses the mesh', function() {
+				expect(mesh.raycast(new Ray(new Vector(5, 5, 0), new Vector(0, 0, 1)))).to.be.null;
+			});
+		});
+
+		describe('.raycastAll', function() {
+			it('should return all hits ordered by distance', function() {
+				const hits = mesh.raycastAll(new Ray(new Vector(0.5, 1.5, 0), new Vector(0, 0, 1)));
+				expect(hits).to.be.an('array').with.lengthOf(2);
+				expect(hits.map(hit => hit.index)).to.deep.equal([ 1, 3 ]);
+				expect(hits[0].distance).to.be.approximately(1, EPSILON);
+				expect(hits[1].distance).to.be.approximately(3, EPSILON);
+			});
+
+			it('should return an empty array if the ray misses the mesh', function() {
+				expect(mesh.raycastAll(new Ray(new Vector(5, 5, 0), new Vector(0, 0, 1)))).to.be.an('array').that.is.empty;
+			});
+		});
+
+		describe('on meshes with polygon faces', function() {
+			let below;
+			beforeEach(function() {
+				({ below } = box(new Vector(0, 0, 0), new Vector(2, 3, 4)).cut(new Vector(0, 0, 1), 1.5, { cap: true }));
+			});
+
+			it('should hit the polygon faces of a cut mesh', function() {
+				expect(below.some(face => !(face instanceof Triangle))).to.be.true;
+				const ray = new Ray(new Vector(-1, 1, 1), new Vector(1, 0, 0));
+				expect(below.rayIntersect(ray)).to.be.true;
+				const hit = below.raycast(ray);
+				expect(hit).to.be.an('object');
+				expect(hit.distance).to.be.approximately(1, EPSILON);
+				expect(hit.point.equals(new Vector(0, 1, 1))).to.be.true;
+
+				const hits = below.raycastAll(ray);
+				expect(hits).to.have.lengthOf(2);
+				expect(hits[1].distance).to.be.approximately(3, EPSILON);
+				hits.forEach(({ index }) => expect(below[index].length).to.be.above(3));
+			});
+		});
+	});
+
+	describe('bounding volume hierarchy', function() {
+		let solid;
+		beforeEach(function() {
+			solid = new Mesh(
+				...box(new Vector(0, 0, 0), new Vector(2, 3, 4)), 
+				...box(new Vector(5, 0, 0), new Vector(6, 1, 1))
+			);
+		});
+
+		describe('.buildBVH', function() {
+			it('should cache the hierarchy on the mesh', function() {
+				expect(solid.bvh).to.be.null;
+				const bvh = solid.buildBVH();
+				expect(solid.bvh).to.equal(bvh);
+			});
+
+			it('should not make the hierarchy an enumerable property of the mesh', function() {
+				solid.buildBVH();
+				expect(Object.keys(solid)).to.deep.equal(solid.map((_, i) => String(i)));
+			});
+		});
+
+		it('should give the same results for ray casts with and without a hierarchy', function() {
+			const rays = [
+				new Ray(new Vector(1, 1, -1), new Vector(0, 0, 1)),
+				new Ray(new Vector(-1, 0.5, 0.5), new Vector(1, 0, 0)),
+				new Ray(new Vector(3, 3, 3), new Vector(0, 1, 0))
+			];
+			const expected = rays.map(ray => [ solid.rayIntersect(ray), solid.raycast(ray), solid.raycastAll(ray) ]);
+			solid.buildBVH();
+			expect(rays.map(ray => [ solid.rayIntersect(ray), solid.raycast(ray), solid.raycastAll(ray) ])).to.deep.equal(expected);
+		});
+
+		it('should give the same results for cuts and sections with and without a hierarchy', function() {
+			const normal = new Vector(1, 0, 0);
+			const expected = [ solid.cut(normal, 1), solid.cut(normal, 5.5, { cap: true }), solid.section(normal, 1) ];
+			solid.buildBVH();
+			expect([ solid.cut(normal, 1), solid.cut(normal, 5.5, { cap: true }), solid.section(normal, 1) ]).to.deep.equal(expected);
+		});
+
+		describe('.facesInBox', function() {
+			it('should return the faces whose bounding boxes overlap the box', function() {
+				const query = { xmin: 4, xmax: 7, ymin: -1, ymax: 2, zmin: -1, zmax: 2 };
+				const expected = solid.map((_, i) => i).slice(12);
+				expect(solid.facesInBox(query)).to.deep.equal(expected);
+				solid.buildBVH();
+				expect(solid.facesInBox(query)).to.deep.equal(expected);
+			});
+		});
+
+		describe('.overlappingFaces', function() {
+			it('should return the pairs of faces whose bounding boxes overlap', function() {
+				const other = new Mesh(new Triangle(new Vector(5.5, 0.5, -1), new Vector(5.5, 0.5, 2), new Vector(5.6, 0.6, 2)));
+				const expected = solid.map((_, i) => i).filter(i => solid.facesInBox(other[0].getBoundingBox()).includes(i)).map(i => [ i, 0 ]);
+				expect(expected).to.not.be.empty;
+				expect(solid.overlappingFaces(other)).to.deep.equal(expected);
+			});
+
+			it('should return an empty array for meshes that are far apart', function() {
+				expect(solid.overlappingFaces(box(new Vector(10, 10, 10), new Vector(11, 11, 11)))).to.be.an('array').that.is.empty;
+			});
+		});
+	});
+
+	describe('closest points', function() {
+		let solid;
+		beforeEach(function() {
+			solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+		});
+
+		describe('.closestPoint', function() {
+			it('should return the closest point on the surface', function() {
+				expect(solid.closestPoint(new Vector(1, 1, 6)).equals(new Vector(1, 1, 4))).to.be.true;
+				expect(solid.closestPoint(new Vector(1, 2.5, 2)).equals(new Vector(1, 3, 2))).to.be.true;
+				expect(solid.closestPoint(new Vector(-1, -1, -1)).equals(new Vector(0, 0, 0))).to.be.true;
+			});
+
+			it('should give the same results with a bounding volume hierarchy', function() {
+				const points = [ new Vector(1, 1, 6), new Vector(1, 2.5, 2), new Vector(-1, -1, -1), new Vector(5, 1, 2) ];
+				const expected = points.map(point => solid.closestPoint(point));
+				solid.buildBVH();
+				expect(points.map(point => solid.closestPoint(point))).to.deep.equal(expected);
+			});
+
+			it('should return null for an empty mesh', function() {
+				expect(new Mesh().closestPoint(new Vector(0, 0, 0))).to.be.null;
+			});
+
+			it('should respect holes in faces', function() {
+				const face = new Polygon(
+					[ new Vector(0, 0, 0), new Vector(4, 0, 0), new Vector(4, 4, 0), new Vector(0, 4, 0) ],
+					[ [ new Vector(1, 1, 0), new Vector(3, 1, 0), new Vector(3, 3, 0), new Vector(1, 3, 0) ] ]
+				);
+				const result = new Mesh(face).closestPoint(new Vector(1.5, 2, 1));
+				expect(result.equals(new Vector(1, 2, 0))).to.be.true;
+			});
+		});
+
+		describe('.distanceTo', function() {
+			it('should return the distance to the surface', function() {
+				expect(solid.distanceTo(new Vector(1, 1, 6))).to.be.approximately(2, EPSILON);
+				expect(solid.distanceTo(new Vector(1, 2.5, 2))).to.be.approximately(0.5, EPSILON);
+				expect(solid.distanceTo(new Vector(-3, -4, 2))).to.be.approximately(5, EPSILON);
+			});
+		});
+	});
+
+	describe('point containment', function() {
+		let solid;
+		beforeEach(function() {
+			solid = new Mesh(
+				...box(new Vector(0, 0, 0), new Vector(2, 3, 4)), 
+				...box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5))
+			);
+		});
+
+		describe('.contains', function() {
+			it('should return true for points inside the mesh', function() {
+				expect(solid.contains(new Vector(1, 2, 3))).to.be.true;
+				expect(solid.contains(new Vector(0.25, 0.25, 0.25))).to.be.true;
+			});
+
+			it('should return false for points outside the mesh', function() {
+				expect(solid.contains(new Vector(-1, 2, 3))).to.be.false;
+				expect(solid.contains(new Vector(1, 2, 5))).to.be.false;
+			});
+
+			it('should return false for points in a cavity', function() {
+				expect(solid.contains(new Vector(1, 1, 1))).to.be.false;
+			});
+
+			it('should return true for points on the surface', function() {
+				expect(solid.contains(new Vector(1, 2, 4))).to.be.true;
+				expect(solid.contains(new Vector(0, 0, 0))).to.be.true;
+				expect(solid.contains(new Vector(1.5, 1, 1))).to.be.true;
+			});
+
+			it('should handle rays passing through edges and vertices', function() {
+				const cube = box(new Vector(-1, -1, -1), new Vector(1, 1, 1));
+				// Rays in this direction from these points pass exactly through the diagonal edge of the top face
+				const direction = new Vector(0.5773, 0.5774, 0.5775);
+				expect(cube.contains(new Vector(0, 0, 1).subtract(direction.scale(0.5 / direction.z)))).to.be.true;
+				expect(cube.contains(new Vector(0, 0, 1).add(direction.scale(0.5 / direction.z)))).to.be.false;
+				expect(cube.contains(new Vector(-2, -2, -2))).to.be.false;
+			});
+
+			it('should work on cut meshes with polygon faces', function() {
+				const { below } = solid.cut(new Vector(0, 0, 1), 1, { cap: true });
+				expect(below.some(face => !(face instanceof Triangle))).to.be.true;
+				expect(below.contains(new Vector(0.25, 2, 0.75))).to.be.true;
+				expect(below.contains(new Vector(1, 1, 0.75))).to.be.false;
+				expect(below.contains(new Vector(1, 2, 1.5))).to.be.false;
+			});
+
+			it('should work on small meshes', function() {
+				const small = box(new Vector(0, 0, 0), new Vector(1e-4, 1e-4, 1e-4));
+				expect(small.contains(new Vector(5e-5, 5e-5, 5e-5))).to.be.true;
+				expect(small.contains(new Vector(5e-5, 5e-5, 2e-4))).to.be.false;
+			});
+
+			it('should give the same results with a bounding volume hierarchy', function() {
+				solid.buildBVH();
+				expect(solid.contains(new Vector(1, 2, 3))).to.be.true;
+				expect(solid.contains(new Vector(1, 1, 1))).to.be.false;
+				expect(solid.contains(new Vector(-1, 2, 3))).to.be.false;
+			});
+		});
+
+		describe('.signedDistance', function() {
+			it('should be negative inside and positive outside the mesh', function() {
+				expect(solid.signedDistance(new Vector(1, 2.5, 3))).to.be.approximately(-0.5, EPSILON);
+				expect(solid.signedDistance(new Vector(1, 2, 6))).to.be.approximately(2, EPSILON);
+				expect(solid.signedDistance(new Vector(1, 1, 1))).to.be.approximately(0.5, EPSILON);
+			});
+
+			it('should compute the distance to edges and corners', function() {
+				expect(solid.signedDistance(new Vector(-3, -4, 2))).to.be.approximately(5, EPSILON);
+				expect(solid.signedDistance(new Vector(4, 5, 5))).to.be.approximately(3, EPSILON);
+			});
+
+			it('should be zero on the surface', function() {
+				expect(solid.signedDistance(new Vector(2, 1, 1))).to.be.approximately(0, EPSILON);
+			});
+
+			it('should work on cut meshes with polygon faces', function() {
+				const { below } = solid.cut(new Vector(0, 0, 1), 1, { cap: true });
+				expect(below.signedDistance(new Vector(1, 2.5, 0.75))).to.be.approximately(-0.25, EPSILON);
+				expect(below.signedDistance(new Vector(1, 2.5, 3))).to.be.approximately(2, EPSILON);
+			});
+
+			it('should work on small meshes', function() {
+				const small = box(new Vector(0, 0, 0), new Vector(1e-4, 1e-4, 1e-4));
+				expect(small.signedDistance(new Vector(5e-5, 5e-5, 5e-5))).to.be.approximately(-5e-5, EPSILON);
+				expect(small.signedDistance(new Vector(5e-5, 5e-5, 2e-4))).to.be.approximately(1e-4, EPSILON);
+			});
+		});
+	});
+
+	describe('.intersect', function() {
+		it('should return the closed curve along which two overlapping boxes intersect', function() {
+			const box1 = box(new Vector(0, 0, 0), new Vector(2, 2, 2));
+			const box2 = box(new Vector(1, 1, 1), new Vector(3, 3, 3));
+			const result = box1.intersect(box2);
+			expect(result).to.be.an('array').with.lengthOf(1);
+			expect(result[0].closed).to.be.true;
+
+			const { vertices } = result[0];
+			const length = vertices.reduce((sum, v, k) => sum + vertices[(k + 1) % vertices.length].subtract(v).length, 0);
+			expect(length).to.be.approximately(6, EPSILON);
+			// Every vertex must lie on the surfaces of both boxes
+			const onSurface = (v, min, max) => [ 'x', 'y', 'z' ].some(dim => Math.abs(v[dim] - min) < EPSILON || Math.abs(v[dim] - max) < EPSILON);
+			expect(vertices.every(v => onSurface(v, 0, 2) && onSurface(v, 1, 3))).to.be.true;
+		});
+
+		it('should report the faces each segment came from', function() {
+			const solid = box(new Vector(0, 0, 0), new Vector(2, 2, 2));
+			// A triangle piercing the top of the box
+			const other = new Mesh(new Triangle(new Vector(0.5, 1, 1), new Vector(1.5, 1, 1), new Vector(1, 1, 3)));
+			const result = solid.intersect(other);
+			expect(result).to.be.an('array').with.lengthOf(1);
+			expect(result[0].closed).to.be.false;
+			expect(result[0].faces).to.have.lengthOf(result[0].vertices.length - 1);
+			result[0].faces.forEach(([ i, j ], k) => {
+				expect(j).to.equal(0);
+				const segment = new Segment(result[0].vertices[k], result[0].vertices[k + 1]);
+				expect(solid[i].intersect(other[j]).equals(segment)).to.be.true;
+			});
+			const ends = [ result[0].vertices[0], result[0].vertices.at(-1) ];
+			expect(ends.map(v => v.z)).to.deep.equal([ 2, 2 ]);
+			expect(ends.map(v => v.x).sort()).to.deep.equal([ 0.75, 1.25 ]);
+		});
+
+		it('should return an empty array if the meshes do not intersect', function() {
+			const box1 = box(new Vector(0, 0, 0), new Vector(2, 2, 2));
+			expect(box1.intersect(box(new Vector(5, 5, 5), new Vector(6, 6, 6)))).to.be.an('array').that.is.empty;
+			expect(box1.intersect(box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5)))).to.be.an('array').that.is.empty;
+		});
+	});
+
+	describe('boolean operations', function() {
+		let box1;
+		let box2;
+		beforeEach(function() {
+			box1 = box(new Vector(0, 0, 0), new Vector(2, 2, 2));
+			box2 = box(new Vector(1, 1, 1), new Vector(3, 3, 3));
+		});
+
+		describe('.union', function() {
+			it('should return the closed union of two overlapping meshes', function() {
+				const result = box1.union(box2);
+				expect(result).to.be.an.instanceof(Mesh);
+				expect(result.validate().valid).to.be.true;
+				expect(result.volume()).to.be.approximately(15, EPSILON);
+				expect(result.surfaceArea()).to.be.approximately(42, EPSILON);
+			});
+
+			it('should keep faces shared by both meshes only once', function() {
+				const result = box1.union(box(new Vector(1, 0, 0), new Vector(3, 2, 2)));
+				expect(result.validate().valid).to.be.true;
+				expect(result.volume()).to.be.approximately(12, EPSILON);
+				expect(result.surfaceArea()).to.be.approximately(32, EPSILON);
+			});
+
+			it('should return both meshes if they do not overlap', function() {
+				const result = box1.union(box(new Vector(5, 5, 5), new Vector(6, 6, 6)));
+				expect(result).to.have.lengthOf(24);
+				expect(result.volume()).to.be.approximately(9, EPSILON);
+			});
+		});
+
+		describe('.intersection', function() {
+			it('should return the closed intersection of two overlapping meshes', function() {
+				const result = box1.intersection(box2);
+				expect(result.validate().valid).to.be.true;
+				expect(result.volume()).to.be.approximately(1, EPSILON);
+				expect(result.surfaceArea()).to.be.approximately(6, EPSILON);
+			});
+
+			it('should return the inner mesh if one mesh contains the other', function() {
+				const inner = box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5));
+				expect(box1.intersection(inner).volume()).to.be.approximately(1, EPSILON);
+				expect(inner.intersection(box1).volume()).to.be.approximately(1, EPSILON);
+			});
+
+			it('should return an empty mesh if the meshes do not overlap', function() {
+				expect(box1.intersection(box(new Vector(5, 5, 5), new Vector(6, 6, 6))).isEmpty()).to.be.true;
+			});
+		});
+
+		describe('.difference', function() {
+			it('should return the closed difference of two overlapping meshes', function() {
+				const result = box1.difference(box2);
+				expect(result.validate().valid).to.be.true;
+				expect(result.volume()).to.be.approximately(7, EPSILON);
+				expect(result.surfaceArea()).to.be.approximately(24, EPSILON);
+			});
+
+			it('should drill a hole through a mesh', function() {
+				const result = box1.difference(box(new Vector(0.5, 0.5, -1), new Vector(1.5, 1.5, 3)));
+				expect(result.validate().valid).to.be.true;
+				expect(result.volume()).to.be.approximately(6, EPSILON);
+			});
+
+			it('should leave a cavity if the other mesh is contained in this mesh', function() {
+				const result = box1.difference(box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5)));
+				expect(result.validate().valid).to.be.true;
+				expect(result.split()).to.have.lengthOf(2);
+				expect(result.volume()).to.be.approximately(7, EPSILON);
+			});
+
+			it('should work for meshes that are not axis-aligned', function() {
+				const P = [ new Vector(0.3, 0.2, 0.1), new Vector(2.7, 0.4, 0.3), new Vector(0.9, 2.6, 0.5), new Vector(1.1, 1.0, 2.9) ];
+				const tetrahedron = new Mesh(
+					new Triangle(P[0], P[1], P[2]), 
+					new Triangle(P[0], P[1], P[3]), 
+					new Triangle(P[1], P[2], P[3]), 
+					new Triangle(P[0], P[2], P[3])
+				);
+				const other = box(new Vector(0.8, 0.7, 0.6), new Vector(3, 3, 3));
+				const result = tetrahedron.difference(other);
+				expect(result.validate().valid).to.be.true;
+				expect(result.volume()).to.be.approximately(tetrahedron.volume() - tetrahedron.intersection(other).volume(), EPSILON);
+			});
+		});
+
+		it('should throw if a mesh is not closed', function() {
+			const open = new Mesh(box1.slice(1));
+			expect(() => open.union(box2)).to.throw();
+			expect(() => box2.difference(open)).to.throw();
+		});
+	});
+
+	describe('STL', function() {
+		it('should round-trip through .toSTL and Mesh.fromSTL', function() {
+			expect(Mesh.fromSTL(mesh.toSTL())).to.be.an.instanceof(Mesh).that.deep.equals(mesh);
+
+			const result = Mesh.fromSTL(mesh.toSTL({ binary: true }));
+			expect(result).to.be.an.instanceof(Mesh).with.lengthOf(mesh.length);
+			result.forEach((face, i) => expect(face.equals(mesh[i])).to.be.true);
+		});
+	});
+
+	describe('OBJ', function() {
+		it('should round-trip through .toOBJ and Mesh.fromOBJ', function() {
+			const result = Mesh.fromOBJ(mesh.toOBJ({ name: 'test' }));
+			expect(result).to.have.all.keys('test');
+			expect(result.test).to.be.an.instanceof(Mesh).that.deep.equals(mesh);
+		});
+
+		it('should read and write several meshes as separate objects', function() {
+			const other = new Mesh(new Triangle(new Vector(1, 1, 1), new Vector(-5, 5, 5), new Vector(3, 0, 0)));
+			const result = Mesh.fromOBJ(Mesh.toOBJ({ first: mesh, second: other }));
+			expect(result).to.have.all.keys('first', 'second');
+			expect(result.first).to.deep.equal(mesh);
+			expect(result.second).to.deep.equal(other);
+		});
+	});
+
+	describe('half-edge conversion', function() {
+		it('should round-trip through .toHalfEdgeMesh and Mesh.fromHalfEdgeMesh', function() {
+			const halfEdgeMesh = mesh.toHalfEdgeMesh();
+			expect(halfEdgeMesh.vertices).to.have.lengthOf(4);
+			expect(Mesh.fromHalfEdgeMesh(halfEdgeMesh)).to.be.an.instanceof(Mesh).that.deep.equals(mesh);
+		});
+	});
+
+	describe('.validate', function() {
+		// An octahedron centered on the origin
+		const corners = [
+			new Vector(1, 0, 0), new Vector(0, 1, 0), new Vector(-1, 0, 0), new Vector(0, -1, 0)
+		];
+		const top = new Vector(0, 0, 1);
+		const bottom = new Vector(0, 0, -1);
+		let octahedron;
+		beforeEach(function() {
+			octahedron = new Mesh(corners.flatMap((v, i) => [
+				new Triangle(v, corners[(i + 1) % 4], top),
+				new Triangle(v, corners[(i + 1) % 4], bottom)
+			]));
+		});
+
+		it('should report no problems for a closed, orientable 2-manifold', function() {
+			const result = octahedron.validate();
+			expect(result).to.include({
+				closed: true,
+				manifold: true,
+				orientable: true,
+				valid: true
+			});
+			expect(result.boundaryEdges).to.be.empty;
+			expect(result.nonManifoldEdges).to.be.empty;
+			expect(result.nonManifoldVertices).to.be.empty;
+			expect(result.degenerateFaces).to.be.empty;
+		});
+
+		it('should report boundary edges', function() {
+			const removed = octahedron.pop();
+			const result = octahedron.validate();
+			expect(result.closed).to.be.false;
+			expect(result.valid).to.be.false;
+			expect(result.boundaryEdges).to.have.lengthOf(3);
+			removed.edges.forEach(edge => expect(result.boundaryEdges.some(boundaryEdge => boundaryEdge.equals(edge))).to.be.true);
+		});
+
+		it('should report non-manifold edges', function() {
+			octahedron.push(new Triangle(corners[0], top, new Vector(2, 2, 2)));
+			const result = octahedron.validate();
+			expect(result.manifold).to.be.false;
+			expect(result.nonManifoldEdges).to.have.lengthOf(1);
+			expect(result.nonManifoldEdges[0].edge.equals(new Segment(corners[0], top))).to.be.true;
+			expect(result.nonManifoldEdges[0].faces).to.have.members([ 0, 6, 8 ]);
+		});
+
+		it('should report non-manifold vertices', function() {
+			// A second octahedron that touches the first in a single vertex
+			const shift = new Vector(2, 0, 0);
+			const other = octahedron.map(face => new Triangle(face.map(v => v.add(shift))));
+			const result = new Mesh(...octahedron, ...other).validate();
+			expect(result.manifold).to.be.false;
+			expect(result.nonManifoldVertices).to.have.lengthOf(1);
+			expect(result.nonManifoldVertices[0].equals(corners[0])).to.be.true;
+		});
+
+		it('should report degenerate faces', function() {
+			octahedron.push(new Triangle(corners[0], top, corners[0].add(top).scale(0.5)));
+			const result = octahedron.validate();
+			expect(result.degenerateFaces).to.deep.equal([ 8 ]);
+			expect(result.valid).to.be.false;
+		});
+
+		it('should report the edges of holes in faces', function() {
+			const square = size => [ new Vector(-size, -size, 0), new Vector(size, -size, 0), new Vector(size, size, 0), new Vector(-size, size, 0) ];
+			const frame = new Polygon(square(2), [ square(1) ]);
+			const result = new Mesh(frame).validate();
+			expect(result.boundaryEdges).to.have.lengthOf(8);
+			expect(new Mesh(frame, new Polygon(square(1))).validate().boundaryEdges).to.have.lengthOf(4);
+		});
+
+		it('should report inconsistently oriented neighboring faces', function() {
+			// Faces in the plane y = 0 keep the order their vertices are given in
+			const a = new Vector(0, 0, 0);
+			const b = new Vector(1, 0, 0);
+			const mesh = new Mesh(
+				new Triangle(a, b, new Vector(0, 0, 1)),
+				new Triangle(a, b, new Vector(0, 0, -1))
+			);
+			const result = mesh.validate();
+			expect(result.inconsistentEdges).to.have.lengthOf(1);
+			expect(result.inconsistentEdges[0].edge.equals(new Segment(a, b))).to.be.true;
+			expect(result.inconsistentEdges[0].faces).to.have.members([ 0, 1 ]);
+			// The faces could be re-ordered to be consistent, though
+			expect(result.orientable).to.be.true;
+		});
+
+		it('should report non-orientable meshes', function() {
+			// A Möbius strip made of six quads
+			const strip = [];
+			for (let i = 0; i < 6; i++) {
+				const angle = i * Math.PI / 3;
+				const twist = angle / 2;
+				const center = new Vector(3 * Math.cos(angle), 3 * Math.sin(angle), 0);
+				const offset = new Vector(Math.cos(twist) * Math.cos(angle), Math.cos(twist) * Math.sin(angle), Math.sin(twist));
+				strip.push([ center.add(offset), center.subtract(offset) ]);
+			}
+			const mesh = new Mesh(strip.map(([ a, b ], i) => {
+				// After going around once, the strip has been turned upside down
+				const [ c, d ] = i < 5 ? strip[i + 1] : strip[0].slice().reverse();
+				return new Polygon(a, b, d, c);
+			}));
+			expect(mesh.validate().orientable).to.be.false;
+		});
+	});
+
+	describe('.weld', function() {
+		let cube;
+		beforeEach(function() {
+			cube = box(new Vector(0, 0, 0), new Vector(1, 1, 1));
+		});
+
+		it('should leave a clean mesh unchanged', function() {
+			const result = cube.weld();
+			expect(result.mesh).to.be.an.instanceof(Mesh).with.lengthOf(cube.length);
+			result.mesh.forEach((face, i) => expect(face.equals(cube[i])).to.be.true);
+			expect(result).to.include({ mergedVertices: 0 });
+			expect(result.degenerateFaces).to.be.empty;
+			expect(result.duplicateFaces).to.be.empty;
+			expect(result.flippedFaces).to.be.empty;
+		});
+
+		it('should merge vertices within the tolerance', function() {
+			const jitter = new Vector(1e-6, -1e-6, 1e-6);
+			const jittered = new Mesh(cube.map((face, i) => i % 2 === 0 ? face : new Triangle(face.map(v => v.add(jitter)))));
+			expect(jittered.validate().closed).to.be.false;
+
+			const result = jittered.weld(1e-5);
+			expect(result.mergedVertices).to.be.above(0);
+			expect(result.mesh.validate().valid).to.be.true;
+			expect(result.mesh.volume()).to.be.closeTo(1, 1e-5);
+			// Merged vertices are snapped to the same position
+			expect(new Set(result.mesh.vertices.map(v => `${v.x},${v.y},${v.z}`))).to.have.property('size', 8);
+		});
+
+		it('should replace vertices by the earliest vertex within the tolerance', function() {
+			const A = new Vector(0.9, 0, 0);
+			const B = new Vector(-0.2, 0, 0);
+			const result = new Mesh(
+				new Triangle(A, new Vector(0.9, 10, 0), new Vector(0.9, 0, 10)),
+				new Triangle(B, new Vector(-0.2, -10, 0), new Vector(-0.2, 0, -10)),
+				new Triangle(new Vector(0.35, 0, 0), new Vector(20, 0, 0), new Vector(0, 20, 20))
+			).weld(1);
+			expect(result.mergedVertices).to.equal(1);
+			expect(result.mesh[2]).to.include(A);
+		});
+
+		it('should not merge vertices further apart than the tolerance', function() {
+			const result = cube.weld(0.5);
+			expect(result.mergedVertices).to.equal(0);
+			expect(result.mesh).to.have.lengthOf(cube.length);
+		});
+
+		it('should remove faces that become degenerate', function() {
+			const sliver = new Triangle(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(1, 1e-6, 0));
+			const result = new Mesh(...cube, sliver).weld(1e-5);
+			expect(result.degenerateFaces).to.deep.equal([ cube.length ]);
+			expect(result.mesh).to.have.lengthOf(cube.length);
+		});
+
+		it('should remove zero-area faces', function() {
+			const collinear = new Triangle(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(0.5, 0, 0));
+			const result = new Mesh(...cube, collinear).weld();
+			expect(result.degenerateFaces).to.deep.equal([ cube.length ]);
+		});
+
+		it('should remove collapsed edges from polygons', function() {
+			const polygon = new Polygon(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(1, 1e-6, 0), new Vector(0, 1, 0));
+			const result = new Mesh(polygon).weld(1e-5);
+			expect(result.mesh).to.have.lengthOf(1);
+			expect(result.mesh[0]).to.be.an.instanceof(Triangle);
+			expect(result.mergedVertices).to.equal(1);
+		});
+
+		it('should remove duplicate faces', function() {
+			const duplicate = new Triangle(cube[3][1], cube[3][2], cube[3][0]);
+			const result = new Mesh(...cube, duplicate, cube[5]).weld();
+			expect(result.duplicateFaces).to.deep.equal([ cube.length, cube.length + 1 ]);
+			expect(result.flippedFaces).to.be.empty;
+			expect(result.mesh.validate().valid).to.be.true;
+		});
+
+		it('should remove duplicate faces with flipped orientation', function() {
+			const a = new Vector(0, 0, 0);
+			const b = new Vector(1, 0, 0);
+			const c = new Vector(0, 1, 0);
+			const flipped = new Triangle(a, b, c).reverse();
+			const result = new Mesh(new Triangle(a, b, c), flipped, new Triangle(b, c, a)).weld();
+			expect(result.flippedFaces).to.deep.equal([ 1 ]);
+			expect(result.duplicateFaces).to.deep.equal([ 2 ]);
+			expect(result.mesh).to.have.lengthOf(1);
+		});
+
+		it('should report vertical duplicates as duplicates, whatever their vertex order', function() {
+			// The vertex order of vertical faces depends on rounding errors in their vertices
+			const square = dx => new Polygon(new Vector(1, 0, 0), new Vector(1 + dx, 1, 0), new Vector(1, 1, 1), new Vector(1, 0, 1));
+			for (let dx of [ 1e-12, -1e-12 ]) {
+				const result = new Mesh(square(0), square(dx)).weld();
+				expect(result.duplicateFaces).to.deep.equal([ 1 ]);
+				expect(result.flippedFaces).to.be.empty;
+			}
+		});
+
+		it('should throw on a non-positive tolerance', function() {
+			expect(() => cube.weld(0)).to.throw(TypeError);
+		});
+	});
+
+	describe('mass properties', function() {
+		let solid;
+		beforeEach(function() {
+			solid = box(new Vector(0, 0, 0), new Vector(2, 3, 4));
+		});
+
+		describe('.surfaceArea', function() {
+			it('should return the sum of the face areas', function() {
+				expect(solid.surfaceArea()).to.be.approximately(52, EPSILON);
+			});
+		});
+
+		describe('.volume', function() {
+			it('should return the enclosed volume', function() {
+				expect(solid.volume()).to.be.approximately(24, EPSILON);
+			});
+
+			it('should not depend on the position of the mesh', function() {
+				solid = box(new Vector(5, -7, 3), new Vector(7, -4, 7));
+				expect(solid.volume()).to.be.approximately(24, EPSILON);
+			});
+
+			it('should subtract cavities', function() {
+				solid = new Mesh(...solid, ...box(new Vector(0.5, 0.5, 0.5), new Vector(1.5, 1.5, 1.5)));
+				expect(solid.volume()).to.be.approximately(23, EPSILON);
+			});
+
+			it('should respect holes in faces', function() {
+				expect(holedCube().volume()).to.be.approximately(1, EPSILON);
+			});
+
+			it('should throw if the mesh is not closed', function() {
+				solid.pop();
+				expect(() => solid.volume()).to.throw();
+			});
+		});
+
+		describe('.massProperties', function() {
+			it('should compute volume, area, mass, centroid and inertia tensor', function() {
+				const result = solid.massProperties({ density: 2 });
+				expect(result.volume).to.be.approximately(24, EPSILON);
+				expect(result.area).to.be.approximately(52, EPSILON);
+				expect(result.mass).to.be.approximately(48, EPSILON);
+				expect(result.centroid.equals(new Vector(1, 1.5, 2))).to.be.true;
+
+				// For a cuboid with edge lengths a, b, c, the inertia tensor with respect to its center of mass 
+				// is diag(m/12 * (b² + c²), m/12 * (a² + c²), m/12 * (a² + b²))
+				const expected = [
+					4 * (9 + 16), 0, 0,
+					0, 4 * (4 + 16), 0,
+					0, 0, 4 * (4 + 9)
+				];
+				expect(result.inertia).to.be.an.instanceof(Matrix);
+				expected.forEach((entry, i) => expect(result.inertia[i]).to.be.approximately(entry, 1.0e-6));
+			});
+
+			it('should respect holes in faces', function() {
+				const { volume, centroid } = holedCube().massProperties();
+				expect(volume).to.be.approximately(1, EPSILON);
+				expect(centroid.equals(new Vector(0.5, 0.5, 0.5))).to.be.true;
+			});
+
+			it('should compute products of inertia', function() {
+				// The tetrahedron between the origin and the unit points on the axes
+				const [ O, X, Y, Z ] = [ new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(0, 1, 0), new Vector(0, 0, 1) ];
+				solid = new Mesh(new Triangle(O, X, Y), new Triangle(O, Y, Z), new Triangle(O, Z, X), new Triangle(X, Y, Z));
+				const { volume, centroid, inertia } = solid.massProperties();
+				expect(volume).to.be.approximately(1/6, EPSILON);
+				expect(centroid.equals(new Vector(1/4, 1/4, 1/4))).to.be.true;
+				[ 0, 4, 8 ].forEach(i => expect(inertia[i]).to.be.approximately(1/80, EPSILON));
+				[ 1, 2, 3, 5, 6, 7 ].forEach(i => expect(inertia[i]).to.be.approximately(1/480, EPSILON));
+			});
+		});
 	});
 
 	describe('.split', function() {
@@ -98,5 +1013,102 @@ describe('Mesh', function() {
 			let split = mesh.split();
 			expect(split).to.be.an('array').with.deep.members([ submeshA, submeshB ]);
 		});
+
+		it('should connect faces across other faces and keep the order of faces', function() {
+			const a = new Triangle(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(0, 1, 0));
+			const b = new Triangle(new Vector(5, 0, 0), new Vector(6, 0, 0), new Vector(5, 1, 0));
+			const c = new Triangle(new Vector(1, 0, 0), new Vector(5, 0, 0), new Vector(3, 2, 0));
+			const d = new Triangle(new Vector(9, 9, 9), new Vector(8, 9, 9), new Vector(9, 8, 9));
+			const split = new Mesh(a, d, b, c).split();
+			expect(split).to.have.lengthOf(2);
+			expect(split[0]).to.deep.equal(new Mesh(a, b, c));
+			expect(split[1]).to.deep.equal(new Mesh(d));
+		});
+
+		it('should split a mesh with many components', function() {
+			const cubes = [];
+			for (let i = 0; i < 200; i++) 
+				cubes.push(...box(new Vector(2 * i, 0, 0), new Vector(2 * i + 1, 1, 1)));
+			const split = new Mesh(cubes).split();
+			expect(split).to.have.lengthOf(200);
+			split.forEach(submesh => expect(submesh).to.have.lengthOf(12));
+		});
+
+		it('should return no sub meshes for an empty mesh', function() {
+			expect(new Mesh().split()).to.be.empty;
+		});
+
+		describe('with edge connectivity', function() {
+			// Two boxes that touch in a single vertex, and a box that touches the second one along an edge
+			let touching;
+			beforeEach(function() {
+				touching = new Mesh(
+					...box(new Vector(0, 0, 0), new Vector(1, 1, 1)),
+					...box(new Vector(1, 1, 1), new Vector(2, 2, 2)),
+					...box(new Vector(2, 2, 1), new Vector(3, 3, 2))
+				);
+			});
+
+			it('should separate parts that touch only in a vertex', function() {
+				expect(touching.split()).to.have.lengthOf(1);
+				const split = touching.split({ connectivity: 'edge' });
+				expect(split).to.have.lengthOf(2);
+				expect(split[0]).to.deep.equal(new Mesh(touching.slice(0, 12)));
+				expect(split[1]).to.deep.equal(new Mesh(touching.slice(12)));
+			});
+
+			it('should connect polygons sharing an edge', function() {
+				const polygon = new Polygon(new Vector(0, 0, 5), new Vector(1, 0, 5), new Vector(1, 1, 5), new Vector(0, 1, 5));
+				const triangle = new Triangle(new Vector(1, 1, 5), new Vector(1, 0, 5), new Vector(2, 0, 5));
+				expect(new Mesh(polygon, triangle).split({ connectivity: 'edge' })).to.have.lengthOf(1);
+			});
+		});
+
+		it('should throw on an unknown connectivity', function() {
+			expect(() => mesh.split({ connectivity: 'face' })).to.throw(TypeError);
+		});
+	});
+
+	describe('.isContiguous', function() {
+		it('should return true for a contiguous mesh', function() {
+			expect(mesh.isContiguous()).to.be.true;
+			expect(box(new Vector(0, 0, 0), new Vector(1, 1, 1)).isContiguous()).to.be.true;
+			expect(new Mesh().isContiguous()).to.be.true;
+		});
+
+		it('should return false for a non-contiguous mesh', function() {
+			const other = box(new Vector(10, 10, 10), new Vector(11, 11, 11));
+			expect(new Mesh(...mesh, ...other).isContiguous()).to.be.false;
+		});
+
+		it('should respect the connectivity option', function() {
+			// Two boxes that touch in a single vertex
+			const touching = new Mesh(
+				...box(new Vector(0, 0, 0), new Vector(1, 1, 1)),
+				...box(new Vector(1, 1, 1), new Vector(2, 2, 2))
+			);
+			expect(touching.isContiguous()).to.be.true;
+			expect(touching.isContiguous({ connectivity: 'edge' })).to.be.false;
+		});
+	});
+
+	describe('.transform', function() {
+		let cube;
+		beforeEach(function() {
+			cube = box(new Vector(0, 0, 0), new Vector(1, 1, 1));
+		});
+
+		it('should apply the transform to all faces', function() {
+			const result = cube.transform(Transform.translation(new Vector(2, 0, 0)));
+			expect(result).to.be.an.instanceof(Mesh);
+			expect(result.getBoundingBox()).to.deep.equal({ xmin: 2, xmax: 3, ymin: 0, ymax: 1, zmin: 0, zmax: 1 });
+			expect(result.volume()).to.be.closeTo(1, EPSILON);
+		});
+
+		it('should produce a valid closed mesh when mirroring', function() {
+			const result = cube.transform(Transform.scaling(-2, 1, 1));
+			expect(result.validate().valid).to.be.true;
+			expect(result.volume()).to.be.closeTo(2, EPSILON);
+		});
 	});
 });
\ No newline at end of file
@@ -0,0 +1,147 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Segment = (await import(`../src/segment.js?epsilon=${EPSILON}`)).default;
+const Triangle = (await import(`../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`../src/plane.js?epsilon=${EPSILON}`)).default;
+
+describe('Plane', function() {
+	let plane;
+	beforeEach(function() {
+		// The plane z = 2
+		plane = new Plane(new Vector(0, 0, 3), 6);
+	});
+
+	describe('constructor', function() {
+		it('should normalize the normal and scale the distance', function() {
+			expect(plane.normal).to.deep.equal(new Vector(0, 0, 1));
+			expect(plane.distance).to.equal(2);
+		});
+
+		it('should throw if the normal is the zero vector', function() {
+			expect(() => new Plane(Vector.ZERO, 1)).to.throw(TypeError);
+		});
+	});
+
+	describe('.fromPoints', function() {
+		it('should create the plane through the points', function() {
+			const result = Plane.fromPoints(new Vector(1, 0, 2), new Vector(0, 1, 2), new Vector(-1, -1, 2));
+			expect(result.equals(plane)).to.be.true;
+		});
+
+		it('should orient the normal so that the points are counter-clockwise', function() {
+			const result = Plane.fromPoints(new Vector(-1, -1, 2), new Vector(0, 1, 2), new Vector(1, 0, 2));
+			expect(result.equals(plane.flip())).to.be.true;
+		});
+
+		it('should throw if the points are collinear', function() {
+			expect(() => Plane.fromPoints(new Vector(0, 0, 0), new Vector(1, 1, 1), new Vector(3, 3, 3))).to.throw(TypeError);
+		});
+	});
+
+	describe('.fromPointAndNormal', function() {
+		it('should create the plane through the point perpendicular to the normal', function() {
+			expect(Plane.fromPointAndNormal(new Vector(5, -3, 2), new Vector(0, 0, 7)).equals(plane)).to.be.true;
+		});
+	});
+
+	describe('.fromTriangle', function() {
+		it('should create the plane of the triangle', function() {
+			const triangle = new Triangle(new Vector(1, 0, 2), new Vector(0, 1, 2), new Vector(-1, -1, 2));
+			const result = Plane.fromTriangle(triangle);
+			expect(result.normal.equals(triangle.normal.unit())).to.be.true;
+			expect(triangle.every(v => result.classify(v) === 0)).to.be.true;
+		});
+	});
+
+	describe('.signedDistance', function() {
+		it('should be positive above and negative below the plane', function() {
+			expect(plane.signedDistance(new Vector(1, 2, 5))).to.equal(3);
+			expect(plane.signedDistance(new Vector(1, 2, -1))).to.equal(-3);
+			expect(plane.signedDistance(new Vector(1, 2, 2))).to.equal(0);
+		});
+	});
+
+	describe('.project', function() {
+		it('should return the closest point on the plane', function() {
+			expect(plane.project(new Vector(1, 2, 5))).to.deep.equal(new Vector(1, 2, 2));
+		});
+	});
+
+	describe('.classify', function() {
+		it('should return +1 above, -1 below and 0 on the plane', function() {
+			expect(plane.classify(new Vector(0, 0, 3))).to.equal(1);
+			expect(plane.classify(new Vector(0, 0, 1))).to.equal(-1);
+			expect(plane.classify(new Vector(0, 0, 2))).to.equal(0);
+			expect(plane.classify(new Vector(0, 0, 2 + EPSILON / 2))).to.equal(0);
+		});
+	});
+
+	describe('.flip', function() {
+		it('should reverse the normal', function() {
+			const flipped = plane.flip();
+			expect(flipped.normal).to.deep.equal(new Vector(-0, -0, -1));
+			expect(flipped.distance).to.equal(-2);
+			expect(flipped.classify(new Vector(0, 0, 3))).to.equal(-1);
+		});
+	});
+
+	describe('.intersectLine', function() {
+		it('should return the intersection point', function() {
+			expect(plane.intersectLine(new Vector(0, 0, 0), new Vector(1, 1, 1)).equals(new Vector(2, 2, 2))).to.be.true;
+		});
+
+		it('should return null for parallel lines', function() {
+			expect(plane.intersectLine(new Vector(0, 0, 0), new Vector(1, 1, 0))).to.be.null;
+			expect(plane.intersectLine(new Vector(0, 0, 2), new Vector(1, 1, 2))).to.be.null;
+		});
+	});
+
+	describe('.intersectSegment', function() {
+		it('should return the intersection point if the segment crosses the plane', function() {
+			expect(plane.intersectSegment(new Segment(new Vector(0, 0, 0), new Vector(0, 4, 4))).equals(new Vector(0, 2, 2))).to.be.true;
+		});
+
+		it('should return null if the segment does not reach the plane', function() {
+			expect(plane.intersectSegment(new Segment(new Vector(0, 0, 0), new Vector(1, 1, 1)))).to.be.null;
+		});
+
+		it('should return the end point touching the plane', function() {
+			const segment = new Segment(new Vector(0, 0, 2), new Vector(1, 1, 1));
+			expect(plane.intersectSegment(segment)).to.equal(segment.a);
+		});
+
+		it('should return the segment if it lies in the plane', function() {
+			const segment = new Segment(new Vector(0, 0, 2), new Vector(1, 1, 2));
+			expect(plane.intersectSegment(segment)).to.equal(segment);
+		});
+	});
+
+	describe('.intersectPlane', function() {
+		it('should return the line of intersection', function() {
+			const other = new Plane(new Vector(1, 0, 0), 1);
+			const { point, direction } = plane.intersectPlane(other);
+			expect(plane.classify(point)).to.equal(0);
+			expect(other.classify(point)).to.equal(0);
+			expect(Math.abs(direction.y)).to.be.approximately(1, EPSILON);
+		});
+
+		it('should return null for parallel planes', function() {
+			expect(plane.intersectPlane(new Plane(new Vector(0, 0, -1), 5))).to.be.null;
+		});
+	});
+
+	describe('Plane.intersect', function() {
+		it('should return the common point of three planes', function() {
+			const result = Plane.intersect(
+				plane, 
+				new Plane(new Vector(1, 1, 0), 2), 
+				Plane.fromPointAndNormal(new Vector(0, 3, 0), new Vector(0, 1, 1))
+			);
+			expect(result.equals(new Vector(1, 1, 2))).to.be.true;
+		});
+
+		it('should return null if two planes are parallel', function() {
+			expect(Plane.intersect(plane, plane.flip(), new Plane(new Vector(1, 0, 0), 0))).to.be.null;
+		});
+	});
+});
\ No newline at end of file
@@ -4,6 +4,7 @@ const EPSILON = 1.0e-8;
 const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
 const Polygon = (await import(`../src/polygon.js?epsilon=${EPSILON}`)).default;
 const Triangle = (await import(`../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`../src/plane.js?epsilon=${EPSILON}`)).default;
 
 function reorder(actual, expected) {
 	let index = actual.findIndex(vertex => expected[0].equals(vertex));
@@ -34,6 +35,20 @@ function expectMultiPolyEqual(actual, expected) {
 	});
 }
 
+// Helper function that reads a fixture of polygons with holes, i.e. an array of objects { outline, holes }, and
+// converts them to polygons in the x-y-plane
+function readPolygonsWithHoles(path) {
+	const toVectors = ring => ring.map(vertex => new Vector({ ...vertex, z: 0 }));
+	return JSON.parse(readFileSync(path))
+		.map(({ outline, holes }) => new Polygon(toVectors(outline), holes.map(toVectors)));
+}
+
+function expectPolygonsWithHolesEqual(actual, expected) {
+	expect(actual).to.be.an('array').with.lengthOf(expected.length);
+	expected.forEach(expectedComponent => 
+		expect(actual.some(actualComponent => actualComponent.equals(expectedComponent)), `expected result to include polygon ${expectedComponent}`).to.be.true);
+}
+
 describe('Polygon', function() {
 	describe('constructor', function() {
 		const vertices = [
@@ -50,6 +65,14 @@ describe('Polygon', function() {
 		it('should construct a polygon from an array of points', function() {
 			expect(new Polygon(vertices)).to.deep.equal(vertices);
 		});
+		it('should construct a polygon with holes, wound opposite to the outline', function() {
+			const hole = [ new Vector(1, 4, 1), new Vector(2, 4, 1), new Vector(2, 5, 1) ];
+			const polygon = new Polygon(vertices, [ hole ]);
+			expect(polygon).to.deep.equal(vertices);
+			expect(polygon.holes).to.have.lengthOf(1);
+			// The hole was given counter-clockwise, like the outline, so it must have been reversed
+			expect(polygon.holes[0]).to.deep.equal(hole.slice().reverse());
+		});
 	});
 
 	describe('.normal', function() {
@@ -99,6 +122,15 @@ describe('Polygon', function() {
 			expect(new Polygon(vertices).normal).to.exist;
 		});
 
+		it('should subtract the area of holes', function() {
+			const polygon = new Polygon(
+				[ new Vector(0, 0, 0), new Vector(4, 0, 0), new Vector(4, 4, 0), new Vector(0, 4, 0) ],
+				[ [ new Vector(1, 1, 0), new Vector(2, 1, 0), new Vector(2, 2, 0), new Vector(1, 2, 0) ] ]
+			);
+			expect(polygon.normal.unit().equals(new Vector(0, 0, 1))).to.be.true;
+			expect(polygon.normal.length / 2).to.equal(15);
+		});
+
 		it('should be pointing "outward"', function() {
 			const vertices = [
 				{ x: 1, y: 1, z: 3 },
@@ -177,94 +209,82 @@ describe('Polygon', function() {
 		});
 	});
 
-	// describe.skip('.cut', function() {
-	// 	let polygon;
-	// 	const z = ({ x, y }) => -(5*x - 3*y + 8) / 2;
-	// 	// eslint-disable-next-line mocha/no-setup-in-describe
-	// 	const vertices = [
-	// 		{ x: 1, y: 1 },
-	// 		{ x: 5, y: 5 },
-	// 		{ x: 4, y: 8 },
-	// 		{ x: 0, y: 5 },
-	// 		{ x: 2, y: 4 }
-	// 	].map(vertex => new Vector({ ...vertex, z: z(vertex) }));
-
-	// 	beforeEach(function() {
-	// 		polygon = new Polygon(vertices);
-	// 	});
-
-	// 	it('should not cut the polygon if it does not intersect the cut plane', function() {
-	// 		const distance = 20;
-	// 		[
-	// 			new Vector(1, 0, 0),
-	// 			new Vector(0, 1, 0),
-	// 			new Vector(0, 0, 1),
-	// 			new Vector(1, 1, 1)
-	// 		].forEach(normal => {
-	// 			expect(polygon.cut(normal, -distance)).to.be.an('object').with.property('above').that.deep.equals(polygon);
-	// 			expect(polygon.cut(normal, +distance)).to.be.an('object').with.property('below').that.deep.equals(polygon);
-	// 		});
-	// 	});
-
-	// 	it('should have the polygon in both above and below if it is co-planar with the cut plane', function() {			
-	// 		const normal = polygon.normal;
-	// 		const offset = Vector.dot(polygon.normal, polygon[0]);
-			
-	// 		let cut = polygon.cut(normal, offset);
-	// 		expect(cut).to.be.an('object').with.all.keys('above', 'below');
-	// 		expect(cut.above).to.deep.equal(polygon);
-	// 		expect(cut.below).to.deep.equal(polygon);
-	// 	});
-
-	// 	it.only('should', function() {			
-	// 		const normal = new Vector(1,0,0);
-	// 		const distance = 2;
-	// 		polygon = new Polygon(polygon.map(vertex => ({ ...vertex, z: 0 })));
-	// 		let cut = polygon.cut(normal, distance)
-	// 	});
-	// 	it('should cut the polygon into above and below parts if it intersects the cut plane', function() {			
-	// 		const normal = new Vector(1, 1, 1);
-	// 		const distance = 2;
-	// 		let cut = polygon.cut(normal, distance);
-
-	// 		expect(cut).to.be.an('object').with.keys('above', 'below');
-	// 		expect(cut.below).to.not.be.empty;
-	// 		expect(cut.above).to.not.be.empty;
-
-	// 		// All of tri's vertices should be present
-	// 		expect(cut.above.concat(cut.below)).to.include.members(polygon);
-	// 		let intersections = cut.above.filter(v => !polygon.includes(v));
-	// 		expect(intersections).to.have.lengthOf(2);
-	// 		expect(cut.above.length + cut.below.length).to.equal(polygon.length + 2 * intersections.length);
-	// 		intersections.forEach(isect => {
-	// 			// Each of them should also be in below
-	// 			expect(cut.below).to.contain(isect);
-	// 			// Each of them should be on the cut plane
-	// 			expect(Vector.dot(normal, isect)).to.be.approximately(distance, EPSILON);
-	// 		});
-
-	// 		cut.above.forEach(vertex => expect(Vector.dot(normal, vertex)).to.be.at.least(distance - EPSILON));
-	// 		cut.below.forEach(vertex => expect(Vector.dot(normal, vertex)).to.be.at.most(distance + EPSILON));
-	// 	});
-
-	// 	it('should not cut the polygon at vertices merely touching the cut plane', function() {
-	// 		const normal = Vector.cross(polygon[3].subtract(polygon[0]), polygon.normal);
-	// 		const distance = Vector.dot(normal, polygon[0]);
-
-	// 		let cut = polygon.cut(normal, distance);			
-	// 		expect(cut.below).to.be.empty;
-	// 		expect(cut.above).to.deep.equal(polygon);
-	// 	});
-
-	// 	it('should ignore edges running along the cut plane', function() {
-	// 		const normal = Vector.cross(polygon[4].subtract(polygon[0]), polygon.normal);
-	// 		const distance = Vector.dot(normal, polygon[0]);
-
-	// 		let cut = polygon.cut(normal, distance);			
-	// 		expect(cut.above.concat(cut.below)).to.not.include(polygon[4]);
-	// 		expect.fail()
-	// 	});
-	// });
+	describe('.cut', function() {
+		// Helper function that computes the total area of the given polygons
+		const area = polygons => polygons.reduce((area, polygon) => area + polygon.normal.length / 2, 0);
+		// A U-shaped polygon on the plane x + 2y + 3z = 6
+		const z = ({ x, y }) => (6 - x - 2 * y) / 3;
+		let polygon;
+		beforeEach(function() {
+			polygon = new Polygon([
+				{ x: 0, y: 0 },
+				{ x: 3, y: 0 },
+				{ x: 3, y: 3 },
+				{ x: 2, y: 3 },
+				{ x: 2, y: 1 },
+				{ x: 1, y: 1 },
+				{ x: 1, y: 3 },
+				{ x: 0, y: 3 }
+			].map(vertex => new Vector({ ...vertex, z: z(vertex) })));
+		});
+
+		it('should not cut the polygon if it does not intersect the cut plane', function() {
+			const normal = new Vector(0, 1, 0);
+			expect(polygon.cut(normal, -1)).to.deep.equal({ above: [ polygon ], below: [] });
+			expect(polygon.cut(normal, 4)).to.deep.equal({ above: [], below: [ polygon ] });
+		});
+
+		it('should not cut the polygon if it merely touches the cut plane', function() {
+			expect(polygon.cut(new Vector(0, 1, 0), 3)).to.deep.equal({ above: [], below: [ polygon ] });
+		});
+
+		it('should have the polygon in both above and below if it is co-planar with the cut plane', function() {
+			expect(polygon.cut(new Vector(1, 2, 3), 6)).to.deep.equal({ above: [ polygon ], below: [ polygon ] });
+		});
+
+		it('should accept a Plane', function() {
+			const normal = new Vector(0, 1, 0);
+			expect(polygon.cut(new Plane(normal, 2))).to.deep.equal(polygon.cut(normal, 2));
+		});
+
+		it('should cut a non-convex polygon into several pieces', function() {
+			const normal = new Vector(0, 1, 0);
+			const { above, below } = polygon.cut(normal, 2);
+			expect(above).to.have.lengthOf(2);
+			expect(below).to.have.lengthOf(1);
+			expect(area(above)).to.be.approximately(area([ polygon ]) * 2 / 7, EPSILON);
+			expect(area(below)).to.be.approximately(area([ polygon ]) * 5 / 7, EPSILON);
+
+			above.flat().forEach(vertex => expect(Vector.dot(normal, vertex)).to.be.at.least(2 - EPSILON));
+			below.flat().forEach(vertex => expect(Vector.dot(normal, vertex)).to.be.at.most(2 + EPSILON));
+			// All pieces stay in the polygon's plane
+			above.concat(below).flat().forEach(vertex => expect(vertex.z).to.be.approximately(z(vertex), EPSILON));
+			// The vertices of the polygon are kept, and the points where its edges cross the plane are shared by both sides
+			expect(above.concat(below).flat()).to.include.deep.members(polygon);
+			const intersections = above.flat().filter(vertex => !polygon.some(v => v.equals(vertex)));
+			expect(intersections).to.have.lengthOf(4);
+			intersections.forEach(vertex => expect(below.flat()).to.deep.include(vertex));
+		});
+
+		it('should cut polygons with holes', function() {
+			const polygon = new Polygon(
+				[ new Vector(0, 0, 0), new Vector(4, 0, 0), new Vector(4, 4, 0), new Vector(0, 4, 0) ],
+				[ [ new Vector(1, 1, 0), new Vector(3, 1, 0), new Vector(3, 3, 0), new Vector(1, 3, 0) ] ]
+			);
+			const { above, below } = polygon.cut(new Vector(1, 0, 0), 2);
+			expect(above).to.have.lengthOf(1);
+			expect(below).to.have.lengthOf(1);
+			expect(area(above)).to.be.approximately(6, EPSILON);
+			expect(area(below)).to.be.approximately(6, EPSILON);
+			expect(above[0].contains(new Vector(2.5, 2, 0))).to.be.false;
+		});
+
+		it('should return pieces with three vertices as triangles', function() {
+			const { above } = polygon.cut(new Vector(1, 1, 0), 5);
+			expect(above).to.have.lengthOf(1);
+			expect(above[0]).to.be.an.instanceof(Triangle);
+		});
+	});
 
 	describe('.intersect', function() {
 		it('should throw when attempting to intersect polygons that are not co-planar', function() {
@@ -327,58 +347,49 @@ describe('Polygon', function() {
 		});
 
 		describe('with hole', function() {
-			it('should break up the result if there is a hole', function() {
-				const polygon = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-general/subject.json'))
+			// eslint-disable-next-line mocha/no-setup-in-describe
+			[
+				{ fixture: 'subtract-with-hole-general', description: 'return a polygon with a hole if the clip is inside the subject' },
+				{ fixture: 'subtract-with-hole-no-superfluous-on-subject', description: 'not create superfluous vertices on the subject' },
+				{ fixture: 'subtract-with-hole-no-superfluous-on-clip', description: 'not create superfluous vertices on the clip' }
+			].forEach(({ fixture, description }) => it(`should ${description}`, function() {
+				const polygon = new Polygon(JSON.parse(readFileSync(`test/fixtures/polygon/${fixture}/subject.json`))
 					.map(vertex => new Vector({ ...vertex, z: 0 })));
-
-				const clip = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-general/clip.json'))
-					.map(vertex => new Vector({ ...vertex, z: 0 })));
-				const expected = JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-general/expected.json'))
-					.map(poly => poly.map(vertex => new Vector({ ...vertex, z: 0 })));
-debugger
-				let result = polygon.subtract(clip);
-				expect(result).to.be.an('array').with.lengthOf(2);
-				expectMultiPolyEqual(result, expected);
-			});
-			
-			it('should not create superfluous vertices on the subject when breaking up holes', function() {
-				const polygon = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-on-subject/subject.json'))
+				const clip = new Polygon(JSON.parse(readFileSync(`test/fixtures/polygon/${fixture}/clip.json`))
 					.map(vertex => new Vector({ ...vertex, z: 0 })));
-				const clip = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-on-subject/clip.json'))
-					.map(vertex => new Vector({ ...vertex, z: 0 })));
-				const expected = JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-on-subject/expected.json'))
-					.map(poly => poly.map(vertex => new Vector({ ...vertex, z: 0 })));
-				
-				let result = polygon.subtract(clip);
-				expect(result).to.be.an('array').with.lengthOf(2);
-				expectMultiPolyEqual(result, expected);
-			});		
+				const expected = readPolygonsWithHoles(`test/fixtures/polygon/${fixture}/expected.json`);
 
-			it('should not create superfluous vertices on the clip when breaking up holes', function() {
-				const polygon = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-on-clip/subject.json'))
-					.map(vertex => new Vector({ ...vertex, z: 0 })));
-				const clip = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-on-clip/clip.json'))
-					.map(vertex => new Vector({ ...vertex, z: 0 })));
-				const expected = JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-on-clip/expected.json'))
-					.map(poly => poly.map(vertex => new Vector({ ...vertex, z: 0 })));
-				
 				let result = polygon.subtract(clip);
-				expect(result).to.be.an('array').with.lengthOf(2);
-				expectMultiPolyEqual(result, expected);
-			});		
+				expectPolygonsWithHolesEqual(result, expected);
+			}));
 
-			it('should not create superfluous vertices when subject and clip touch on the break-up point', function() {
+			it('should not create superfluous vertices when subject and clip touch', function() {
 				const polygon = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-when-touching/subject.json'))
 					.map(vertex => new Vector({ ...vertex, z: 0 })));
 				const clip = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-when-touching/clip.json'))
 					.map(vertex => new Vector({ ...vertex, z: 0 })));
-				const expected = JSON.parse(readFileSync('test/fixtures/polygon/subtract-with-hole-no-superfluous-when-touching/expected.json'))
-					.map(poly => poly.map(vertex => new Vector({ ...vertex, z: 0 })));
 				
 				let result = polygon.subtract(clip);
-				expect(result).to.be.an('array').with.lengthOf(2);
-				expectMultiPolyEqual(result, expected);
-			});		
+				const vertices = result.flatMap(poly => poly.rings.flat());
+				expect(vertices.every(vertex => polygon.some(v => v.equals(vertex)) || clip.some(v => v.equals(vertex)))).to.be.true;
+				// The result covers exactly the area of the subject that is not covered by the clip
+				const area = result.reduce((area, poly) => area + poly.normal.length / 2, 0);
+				expect(area).to.be.approximately((polygon.normal.length - clip.normal.length) / 2, EPSILON);
+				expect(result.some(poly => poly.contains(new Vector(0, 0, 0)))).to.be.false;
+				expect(result.some(poly => poly.contains(new Vector(0, 2.5, 0)))).to.be.true;
+			});
+
+			it('should support subtracting several holes', function() {
+				const polygon = new Polygon(new Vector(0, 0, 0), new Vector(10, 0, 0), new Vector(10, 4, 0), new Vector(0, 4, 0));
+				const square = x => new Polygon(new Vector(x, 1, 0), new Vector(x + 2, 1, 0), new Vector(x + 2, 3, 0), new Vector(x, 3, 0));
+
+				let result = polygon.subtract(square(1));
+				result = result[0].subtract(square(4));
+				result = result[0].subtract(square(7));
+				expect(result).to.have.lengthOf(1);
+				expect(result[0].holes).to.have.lengthOf(3);
+				expect(result[0].equals(new Polygon(polygon, [ square(1), square(4), square(7) ]))).to.be.true;
+			});
 		});
 
 		it('should break up the result where a vertex touches an edge', function() {
@@ -414,18 +425,16 @@ debugger
 			expectMultiPolyEqual(result, expected);
 		});		
 	
-		it('should break up the result if there is a hole', function() {
+		it('should return a polygon with a hole if the polygons enclose an area together', function() {
 			const polygon = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/add-with-hole/subject.json'))
 				.map(vertex => new Vector({ ...vertex, z: 0 })));
 
 			const clip = new Polygon(JSON.parse(readFileSync('test/fixtures/polygon/add-with-hole/clip.json'))
 				.map(vertex => new Vector({ ...vertex, z: 0 })));
-			const expected = JSON.parse(readFileSync('test/fixtures/polygon/add-with-hole/expected.json'))
-				.map(poly => poly.map(vertex => new Vector({ ...vertex, z: 0 })));
+			const expected = readPolygonsWithHoles('test/fixtures/polygon/add-with-hole/expected.json');
 
 			let result = polygon.add(clip);
-			expect(result).to.be.an('array').with.lengthOf(2);
-			expectMultiPolyEqual(result, expected);
+			expectPolygonsWithHolesEqual(result, expected);
 		});			
 	});
 
@@ -448,6 +457,77 @@ debugger
 			let p = vertices[0].add(vertices[1].subtract(vertices[0]).scale(0.5));
 			expect(new Polygon(vertices).contains(p)).to.be.true;
 		});
+
+		describe('with holes', function() {
+			let polygon;
+			beforeEach(function() {
+				polygon = new Polygon(
+					[ new Vector(0, 0, 0), new Vector(4, 0, 4), new Vector(4, 4, 4), new Vector(0, 4, 0) ],
+					[ [ new Vector(1, 1, 1), new Vector(2, 1, 2), new Vector(2, 2, 2), new Vector(1, 2, 1) ] ]
+				);
+			});
+
+			it('should return false for a point inside a hole', function() {
+				expect(polygon.contains(new Vector(1.5, 1.5, 1.5))).to.be.false;
+			});
+			it('should return true for a point between the outline and a hole', function() {
+				expect(polygon.contains(new Vector(3, 3, 3))).to.be.true;
+			});
+			it('should return true for a point on the boundary of a hole', function() {
+				expect(polygon.contains(new Vector(1, 1.5, 1))).to.be.true;
+			});
+		});
+	});
+
+	describe('.triangulate', function() {
+		// Helper function that computes the total area of the given triangles
+		const area = triangles => triangles.reduce((area, triangle) => area + triangle.normal.length / 2, 0);
+
+		it('should split the polygon into triangles on its plane', function() {
+			// A non-convex polygon on the plane x + 2y + 3z = 6
+			const polygon = new Polygon([
+				{ x: 0, y: 0 },
+				{ x: 4, y: 0 },
+				{ x: 4, y: 4 },
+				{ x: 2, y: 1 },
+				{ x: 0, y: 4 }
+			].map(({ x, y }) => new Vector(x, y, (6 - x - 2 * y) / 3)));
+
+			const triangles = polygon.triangulate();
+			expect(triangles).to.have.lengthOf(3);
+			triangles.forEach(triangle => {
+				expect(triangle).to.be.an.instanceof(Triangle);
+				triangle.forEach(vertex => expect(polygon).to.include(vertex));
+			});
+			expect(area(triangles)).to.be.approximately(polygon.normal.length / 2, EPSILON);
+		});
+
+		it('should leave out holes', function() {
+			const polygon = new Polygon(
+				[ new Vector(0, 0, 0), new Vector(0, 4, 0), new Vector(0, 4, 4), new Vector(0, 0, 4) ],
+				[ [ new Vector(0, 1, 1), new Vector(0, 3, 1), new Vector(0, 2, 3) ] ]
+			);
+
+			const triangles = polygon.triangulate();
+			expect(area(triangles)).to.be.approximately(14, EPSILON);
+			expect(triangles.some(triangle => triangle.contains(new Vector(0, 2, 2)))).to.be.false;
+		});
+
+		it('should return an empty array for degenerate polygons', function() {
+			expect(new Polygon(new Vector(0, 0, 0), new Vector(1, 0, 0)).triangulate()).to.be.empty;
+		});
+	});
+
+	describe('.edges', function() {
+		it('should include the edges of holes', function() {
+			const polygon = new Polygon(
+				[ new Vector(0, 0, 0), new Vector(4, 0, 0), new Vector(4, 4, 0), new Vector(0, 4, 0) ],
+				[ [ new Vector(1, 1, 0), new Vector(2, 1, 0), new Vector(2, 2, 0) ] ]
+			);
+			const edges = polygon.edges;
+			expect(edges).to.have.lengthOf(7);
+			expect(edges.filter(edge => polygon.holes[0].includes(edge.a) && polygon.holes[0].includes(edge.b))).to.have.lengthOf(3);
+		});
 	});
 
 	it.only('', function(){
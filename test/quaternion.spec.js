@@ -0,0 +1,150 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Matrix = (await import(`../src/matrix.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`../src/transform.js?epsilon=${EPSILON}`)).default;
+const Quaternion = (await import(`../src/quaternion.js?epsilon=${EPSILON}`)).default;
+
+describe('Quaternion', function() {
+	const Z = new Vector(0, 0, 1);
+
+	describe('.multiply', function() {
+		it('should follow the rules of quaternion multiplication', function() {
+			const i = new Quaternion(0, 1, 0, 0);
+			const j = new Quaternion(0, 0, 1, 0);
+			const k = new Quaternion(0, 0, 0, 1);
+			expect(i.multiply(j)).to.deep.equal(k);
+			expect(j.multiply(i)).to.deep.equal(new Quaternion(0, 0, 0, -1));
+			expect(i.multiply(i)).to.deep.equal(new Quaternion(-1, 0, 0, 0));
+		});
+
+		it('should compose rotations, applying the argument first', function() {
+			const q1 = Quaternion.fromAxisAngle(Z, Math.PI / 2);
+			const q2 = Quaternion.fromAxisAngle(new Vector(1, 0, 0), Math.PI / 2);
+			const v = new Vector(0, 1, 0);
+			expect(q1.multiply(q2).rotate(v).equals(q1.rotate(q2.rotate(v)))).to.be.true;
+		});
+	});
+
+	describe('.conjugate', function() {
+		it('should undo the rotation', function() {
+			const q = Quaternion.fromAxisAngle(new Vector(1, 2, 3), 0.7);
+			expect(q.multiply(q.conjugate()).equals(Quaternion.IDENTITY)).to.be.true;
+		});
+	});
+
+	describe('.unit', function() {
+		it('should return a quaternion of unit length', function() {
+			const q = new Quaternion(1, 2, 3, 4).unit();
+			expect(q.length).to.be.closeTo(1, EPSILON);
+			expect(q.equals(new Quaternion(1, 2, 3, 4).scale(1 / Math.sqrt(30)))).to.be.true;
+		});
+	});
+
+	describe('.rotate', function() {
+		it('should rotate counter-clockwise around the axis', function() {
+			const q = Quaternion.fromAxisAngle(Z, Math.PI / 2);
+			expect(q.rotate(new Vector(1, 0, 5)).equals(new Vector(0, 1, 5))).to.be.true;
+		});
+
+		it('should treat non-unit quaternions as the rotation they point to', function() {
+			const q = Quaternion.fromAxisAngle(Z, Math.PI / 2);
+			expect(q.scale(3).rotate(new Vector(1, 0, 0)).equals(q.rotate(new Vector(1, 0, 0)))).to.be.true;
+		});
+	});
+
+	describe('axis-angle', function() {
+		it('should round-trip through fromAxisAngle and toAxisAngle', function() {
+			const axis = new Vector(1, -2, 2).unit();
+			const result = Quaternion.fromAxisAngle(axis, 2.5).toAxisAngle();
+			expect(result.axis.equals(axis)).to.be.true;
+			expect(result.angle).to.be.closeTo(2.5, EPSILON);
+		});
+
+		it('should return an angle of at most PI', function() {
+			const result = Quaternion.fromAxisAngle(Z, 1.5 * Math.PI).toAxisAngle();
+			expect(result.axis.equals(Z.scale(-1))).to.be.true;
+			expect(result.angle).to.be.closeTo(Math.PI / 2, EPSILON);
+		});
+
+		it('should throw if the axis is the zero vector', function() {
+			expect(() => Quaternion.fromAxisAngle(Vector.ZERO, 1)).to.throw(TypeError);
+		});
+	});
+
+	describe('Euler angles', function() {
+		it('should use the same convention as Transform.euler', function() {
+			const q = Quaternion.fromEuler(0.3, -1.2, 2);
+			const t = Transform.euler(0.3, -1.2, 2);
+			const v = new Vector(1, 2, 3);
+			expect(q.rotate(v).equals(t.transformPoint(v))).to.be.true;
+		});
+
+		it('should round-trip through fromEuler and toEuler', function() {
+			const result = Quaternion.fromEuler(0.3, -1.2, 2).toEuler();
+			expect(result.x).to.be.closeTo(0.3, EPSILON);
+			expect(result.y).to.be.closeTo(-1.2, EPSILON);
+			expect(result.z).to.be.closeTo(2, EPSILON);
+		});
+
+		it('should put all rotation around z in gimbal lock', function() {
+			const q = Quaternion.fromEuler(0.5, Math.PI / 2, 0.25);
+			const result = Quaternion.fromEuler(...Object.values(q.toEuler()));
+			expect(result.toEuler().x).to.equal(0);
+			const v = new Vector(1, 2, 3);
+			expect(result.rotate(v).equals(q.rotate(v))).to.be.true;
+		});
+	});
+
+	describe('rotation matrices', function() {
+		it('should rotate vectors the same way as its matrix', function() {
+			const q = Quaternion.fromAxisAngle(new Vector(1, 1, 0), 1);
+			const m = q.toMatrix();
+			const v = new Vector(1, 2, 3);
+			const expected = new Vector(
+				m[0] * v.x + m[1] * v.y + m[2] * v.z,
+				m[3] * v.x + m[4] * v.y + m[5] * v.z,
+				m[6] * v.x + m[7] * v.y + m[8] * v.z
+			);
+			expect(m).to.be.an.instanceof(Matrix);
+			expect(q.rotate(v).equals(expected)).to.be.true;
+		});
+
+		it('should round-trip through toMatrix and fromMatrix', function() {
+			// Include rotations by angles close to PI, where the trace of the matrix is negative
+			for (let axis of [ new Vector(1, 2, 3), new Vector(3, 1, 2), new Vector(2, 3, 1) ])
+				for (let angle of [ 0.5, 3 ]) {
+					const q = Quaternion.fromAxisAngle(axis, angle);
+					expect(Quaternion.fromMatrix(q.toMatrix()).equals(q)).to.be.true;
+				}
+		});
+	});
+
+	describe('.slerp', function() {
+		let q1;
+		beforeEach(function() {
+			q1 = Quaternion.IDENTITY;
+		});
+
+		it('should return the end points for t = 0 and t = 1', function() {
+			const q2 = Quaternion.fromAxisAngle(Z, 1);
+			expect(q1.slerp(q2, 0).equals(q1)).to.be.true;
+			expect(q1.slerp(q2, 1).equals(q2)).to.be.true;
+		});
+
+		it('should rotate at constant angular velocity', function() {
+			const q2 = Quaternion.fromAxisAngle(Z, 1);
+			expect(q1.slerp(q2, 0.25).equals(Quaternion.fromAxisAngle(Z, 0.25))).to.be.true;
+		});
+
+		it('should take the shorter path', function() {
+			// -q2 is the same rotation as q2, but more than a half turn away from q1 as a quaternion
+			const q2 = Quaternion.fromAxisAngle(Z, 1).scale(-1);
+			expect(q1.slerp(q2, 0.5).toAxisAngle().angle).to.be.closeTo(0.5, EPSILON);
+		});
+
+		it('should handle (almost) equal rotations', function() {
+			const result = q1.slerp(q1, 0.5);
+			expect(result.equals(q1)).to.be.true;
+		});
+	});
+});
\ No newline at end of file
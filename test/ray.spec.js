@@ -0,0 +1,24 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Ray = (await import(`../src/ray.js?epsilon=${EPSILON}`)).default;
+
+describe('Ray', function() {
+	describe('constructor', function() {
+		it('should normalize the direction', function() {
+			const ray = new Ray(new Vector(1, 2, 3), new Vector(0, 0, 5));
+			expect(ray.direction).to.deep.equal(new Vector(0, 0, 1));
+		});
+
+		it('should throw if the direction is the zero vector', function() {
+			expect(() => new Ray(new Vector(1, 2, 3), Vector.ZERO)).to.throw(TypeError);
+		});
+	});
+
+	describe('.at', function() {
+		it('should return the point at the given distance along the ray', function() {
+			const ray = new Ray(new Vector(1, 2, 3), new Vector(0, 4, 0));
+			expect(ray.at(0)).to.deep.equal(ray.origin);
+			expect(ray.at(2)).to.deep.equal(new Vector(1, 4, 3));
+		});
+	});
+});
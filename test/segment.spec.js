@@ -1,6 +1,7 @@
 const EPSILON = 1.0e-8;
 const Segment = (await import(`../src/segment.js?epsilon=${EPSILON}`)).default;
 const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`../src/transform.js?epsilon=${EPSILON}`)).default;
 
 describe('Segment', function() {	
 	describe('.collinear', function() {
@@ -68,6 +69,18 @@ describe('Segment', function() {
 			expect(isect).to.deep.equal({ x: 3, y: 3, z: 3 });
 		});
 
+		it('should return the intersection point of crossing segments whose coordinates carry rounding errors', function() {
+			const p = new Vector(0.533, 0.7, 0.591);
+			const d1 = new Vector(0.1, 0.7, 0.3);
+			const d2 = new Vector(0.9, -0.2, 0.6);
+			let g = new Segment(p.subtract(d1.scale(1/3)), p.add(d1.scale(2/3)));
+			let h = new Segment(p.subtract(d2.scale(0.7)), p.add(d2.scale(0.3)));
+
+			let isect = g.intersect(h);
+			expect(isect).to.be.an.instanceof(Vector);
+			expect(isect.equals(p)).to.be.true;
+		});
+
 		it('should return the intersection segment if the segments are collinear and overlapping', function() {
 			let h = new Segment(new Vector(3,3,3), new Vector(8,8,8));
 			let expected = new Segment(new Vector(3,3,3), new Vector(5,5,5));
@@ -78,4 +91,79 @@ describe('Segment', function() {
 			expect(isect).to.deep.equal(expected);
 		});
 	});
+
+	describe('.closestPoint', function() {
+		let g;
+		beforeEach(function() {
+			g = new Segment(new Vector(0,0,0), new Vector(4,0,0));
+		});
+
+		it('should return the projection of points beside the segment', function() {
+			expect(g.closestPoint(new Vector(1,2,3))).to.deep.equal(new Vector(1,0,0));
+		});
+
+		it('should return the closest end point for points beyond the segment', function() {
+			expect(g.closestPoint(new Vector(-2,1,0))).to.deep.equal(g.a);
+			expect(g.closestPoint(new Vector(7,0,-1))).to.deep.equal(g.b);
+		});
+
+		it('should return the end point for degenerate segments', function() {
+			const h = new Segment(new Vector(1,1,1), new Vector(1,1,1));
+			expect(h.closestPoint(new Vector(5,6,7))).to.deep.equal(h.a);
+		});
+	});
+
+	describe('.distanceTo', function() {
+		it('should return the distance to the closest point', function() {
+			const g = new Segment(new Vector(0,0,0), new Vector(4,0,0));
+			expect(g.distanceTo(new Vector(1,3,4))).to.be.approximately(5, EPSILON);
+			expect(g.distanceTo(new Vector(7,4,0))).to.be.approximately(5, EPSILON);
+			expect(g.distanceTo(new Vector(2,0,0))).to.be.approximately(0, EPSILON);
+		});
+	});
+
+	describe('.closestPoints', function() {
+		let g;
+		beforeEach(function() {
+			g = new Segment(new Vector(0,0,0), new Vector(4,0,0));
+		});
+
+		it('should find the closest points of skew segments', function() {
+			const h = new Segment(new Vector(1,-2,3), new Vector(1,2,3));
+			const { distance, points } = g.closestPoints(h);
+			expect(distance).to.be.approximately(3, EPSILON);
+			expect(points[0].equals(new Vector(1,0,0))).to.be.true;
+			expect(points[1].equals(new Vector(1,0,3))).to.be.true;
+		});
+
+		it('should clamp the closest points to the segments', function() {
+			const h = new Segment(new Vector(6,1,0), new Vector(6,5,0));
+			const { distance, points } = g.closestPoints(h);
+			expect(distance).to.be.approximately(Math.sqrt(5), EPSILON);
+			expect(points[0].equals(g.b)).to.be.true;
+			expect(points[1].equals(h.a)).to.be.true;
+		});
+
+		it('should find the distance of parallel segments', function() {
+			expect(g.closestPoints(new Segment(new Vector(1,2,0), new Vector(3,2,0))).distance).to.be.approximately(2, EPSILON);
+			expect(g.closestPoints(new Segment(new Vector(7,4,0), new Vector(9,4,0))).distance).to.be.approximately(5, EPSILON);
+		});
+
+		it('should return a distance of 0 for intersecting segments', function() {
+			const { distance, points } = g.closestPoints(new Segment(new Vector(2,-1,0), new Vector(2,1,0)));
+			expect(distance).to.be.approximately(0, EPSILON);
+			expect(points[0].equals(new Vector(2,0,0))).to.be.true;
+		});
+	});
+
+	describe('.transform', function() {
+		it('should apply the transform to both end points', function() {
+			const segment = new Segment(new Vector(1, 0, 0), new Vector(1, 2, 0));
+			const t = Transform.rotation(new Vector(0, 0, 1), Math.PI);
+			const result = segment.transform(t);
+			expect(result).to.be.an.instanceof(Segment);
+			expect(result.a.equals(new Vector(-1, 0, 0))).to.be.true;
+			expect(result.b.equals(new Vector(-1, -2, 0))).to.be.true;
+		});
+	});
 });
\ No newline at end of file
@@ -0,0 +1,103 @@
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`../src/transform.js?epsilon=${EPSILON}`)).default;
+
+describe('Transform', function() {
+	const p = new Vector(1, 2, 3);
+
+	it('should leave points unchanged under the identity', function() {
+		expect(Transform.IDENTITY.transformPoint(p)).to.deep.equal(p);
+	});
+
+	describe('.translation', function() {
+		it('should move points, but not directions', function() {
+			const t = Transform.translation(new Vector(1, -1, 2));
+			expect(t.transformPoint(p)).to.deep.equal(new Vector(2, 1, 5));
+			expect(t.transformDirection(p)).to.deep.equal(p);
+		});
+	});
+
+	describe('.rotation', function() {
+		it('should rotate counter-clockwise around the axis', function() {
+			const t = Transform.rotation(new Vector(0, 0, 2), Math.PI / 2);
+			expect(t.transformPoint(new Vector(1, 0, 5)).equals(new Vector(0, 1, 5))).to.be.true;
+		});
+
+		it('should throw if the axis is the zero vector', function() {
+			expect(() => Transform.rotation(Vector.ZERO, 1)).to.throw(TypeError);
+		});
+	});
+
+	describe('.euler', function() {
+		it('should rotate around x first, then y, then z', function() {
+			const t = Transform.euler(Math.PI / 2, Math.PI / 2, 0);
+			// x-rotation takes (0,1,0) to (0,0,1), y-rotation then takes that to (1,0,0)
+			expect(t.transformPoint(new Vector(0, 1, 0)).equals(new Vector(1, 0, 0))).to.be.true;
+		});
+	});
+
+	describe('.scaling', function() {
+		it('should scale uniformly if only one factor is given', function() {
+			expect(Transform.scaling(2).transformPoint(p)).to.deep.equal(new Vector(2, 4, 6));
+		});
+
+		it('should scale along each axis by its factor', function() {
+			expect(Transform.scaling(1, 2, 3).transformPoint(p)).to.deep.equal(new Vector(1, 4, 9));
+		});
+	});
+
+	describe('.multiply and .then', function() {
+		let translate;
+		let scale;
+		beforeEach(function() {
+			translate = Transform.translation(new Vector(1, 0, 0));
+			scale = Transform.scaling(2);
+		});
+
+		it('should apply the argument of multiply first', function() {
+			expect(scale.multiply(translate).transformPoint(p)).to.deep.equal(new Vector(4, 4, 6));
+		});
+
+		it('should apply the argument of andThen second', function() {
+			expect(scale.andThen(translate).transformPoint(p)).to.deep.equal(new Vector(3, 4, 6));
+		});
+
+		it('should not make transforms thenable', async function() {
+			expect(await scale).to.equal(scale);
+		});
+	});
+
+	describe('.inverse', function() {
+		it('should undo the transform', function() {
+			const t = Transform.euler(0.3, -1.2, 2).andThen(Transform.scaling(1, 2, -3)).andThen(Transform.translation(p));
+			expect(t.multiply(t.inverse()).equals(Transform.IDENTITY)).to.be.true;
+			expect(t.inverse().transformPoint(t.transformPoint(p)).equals(p)).to.be.true;
+		});
+
+		it('should throw if the transform is singular', function() {
+			expect(() => Transform.scaling(1, 1, 0).inverse()).to.throw(TypeError);
+		});
+	});
+
+	describe('.transformNormal', function() {
+		it('should keep normals perpendicular to the transformed surface', function() {
+			// Shearing the plane x = y
+			const t = new Transform(
+				1, 2, 0, 0,
+				0, 1, 0, 0,
+				0, 0, 1, 0
+			);
+			const normal = t.transformNormal(new Vector(1, -1, 0));
+			const tangent = t.transformDirection(new Vector(1, 1, 0));
+			expect(Vector.dot(normal, tangent)).to.be.closeTo(0, EPSILON);
+		});
+	});
+
+	describe('.isMirroring', function() {
+		it('should be true exactly for transforms with negative determinant', function() {
+			expect(Transform.rotation(new Vector(1, 1, 0), 2).isMirroring()).to.be.false;
+			expect(Transform.scaling(-1, 1, 1).isMirroring()).to.be.true;
+			expect(Transform.scaling(-1, -1, 1).isMirroring()).to.be.false;
+		});
+	});
+});
\ No newline at end of file
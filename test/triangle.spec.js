@@ -3,6 +3,10 @@ const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
 const Segment = (await import(`../src/segment.js?epsilon=${EPSILON}`)).default;
 const Polygon = (await import(`../src/polygon.js?epsilon=${EPSILON}`)).default;
 const Triangle = (await import(`../src/triangle.js?epsilon=${EPSILON}`)).default;
+const Ray = (await import(`../src/ray.js?epsilon=${EPSILON}`)).default;
+const Plane = (await import(`../src/plane.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`../src/transform.js?epsilon=${EPSILON}`)).default;
+import { setRobust } from '../src/util/predicates.js';
 
 describe('Triangle', function() {
 	it('should be a Triangle, and a Polygon', function() {
@@ -24,6 +28,61 @@ describe('Triangle', function() {
 		expect(new Triangle(vertices).normal.unit()).to.deep.equal(new Polygon(vertices).normal.unit());
 	});
 	
+	describe('.section', function() {
+		let tri;
+		beforeEach(function() {
+			tri = new Triangle(
+				new Vector(1,0,0),
+				new Vector(5,5,5),
+				new Vector(-2,4,4)
+			);
+		});
+
+		it('should return null if the triangle does not intersect the plane', function() {
+			const normal = new Vector(1, 1, 1);
+			expect(tri.section(normal, -20)).to.be.null;
+			expect(tri.section(normal, 20)).to.be.null;
+		});
+
+		it('should return null if the triangle is co-planar with the plane', function() {
+			expect(tri.section(tri.normal, Vector.dot(tri.normal, tri[0]))).to.be.null;
+		});
+
+		it('should return null if the triangle only touches the plane in a vertex', function() {
+			const normal = new Vector(1, 1, 1);
+			expect(tri.section(normal, Vector.dot(normal, tri[0]))).to.be.null;
+		});
+
+		it('should return the segment between the points where cut would split the edges', function() {
+			const normal = new Vector(1, 1, 1);
+			const offset = 2;
+			const segment = tri.section(normal, offset);
+			const cut = tri.cut(normal, offset);
+
+			expect(segment).to.be.an.instanceof(Segment);
+			const intersections = cut.above.filter(v => !tri.includes(v));
+			expect(intersections).to.have.deep.members([ segment.a, segment.b ]);
+		});
+
+		it('should return the segment from the vertex on the plane if the plane passes through a vertex', function() {
+			const normal = new Vector(1, 1, 1);
+			const offset = Vector.dot(normal, tri[2]);
+			const segment = tri.section(normal, offset);
+			expect(segment).to.be.an.instanceof(Segment);
+			expect([ segment.a, segment.b ]).to.include(tri[2]);
+			[ segment.a, segment.b ].forEach(v => expect(Vector.dot(normal, v)).to.be.approximately(offset, EPSILON));
+		});
+
+		it('should return an edge lying in the plane only if the triangle is above the plane', function() {
+			tri = new Triangle(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(0, 1, 1));
+			const normal = new Vector(0, 0, 1);
+			const segment = tri.section(normal, 0);
+			expect(segment).to.be.an.instanceof(Segment);
+			expect(segment.equals(new Segment(tri[0], tri[1]))).to.be.true;
+			expect(tri.section(normal.scale(-1), 0)).to.be.null;
+		});
+	});
+
 	describe('.contains', function() {
 		let tri;
 		let u;
@@ -72,6 +131,38 @@ describe('Triangle', function() {
 		});
 	});
 
+	describe('.closestPoint', function() {
+		let tri;
+		beforeEach(function() {
+			tri = new Triangle(
+				new Vector(0, 0, 0),
+				new Vector(4, 0, 0),
+				new Vector(0, 4, 0)
+			);
+		});
+
+		it('should return the projection of points above the triangle\'s interior', function() {
+			expect(tri.closestPoint(new Vector(1, 1, 3)).equals(new Vector(1, 1, 0))).to.be.true;
+			expect(tri.closestPoint(new Vector(1, 1, -3)).equals(new Vector(1, 1, 0))).to.be.true;
+		});
+
+		it('should return the point itself for points on the triangle', function() {
+			expect(tri.closestPoint(new Vector(1, 2, 0)).equals(new Vector(1, 2, 0))).to.be.true;
+		});
+
+		it('should return a point on the closest edge for points in an edge region', function() {
+			expect(tri.closestPoint(new Vector(2, -1, 1)).equals(new Vector(2, 0, 0))).to.be.true;
+			expect(tri.closestPoint(new Vector(-1, 2, 0)).equals(new Vector(0, 2, 0))).to.be.true;
+			expect(tri.closestPoint(new Vector(3, 3, 0)).equals(new Vector(2, 2, 0))).to.be.true;
+		});
+
+		it('should return the closest vertex for points in a vertex region', function() {
+			expect(tri.closestPoint(new Vector(-1, -1, 1)).equals(new Vector(0, 0, 0))).to.be.true;
+			expect(tri.closestPoint(new Vector(6, -1, 0)).equals(new Vector(4, 0, 0))).to.be.true;
+			expect(tri.closestPoint(new Vector(-1, 6, 2)).equals(new Vector(0, 4, 0))).to.be.true;
+		});
+	});
+
 	describe('.cut', function() {
 		let tri;
 		beforeEach(function() {
@@ -94,6 +185,12 @@ describe('Triangle', function() {
 			});
 		});
 
+		it('should accept a Plane', function() {
+			const normal = new Vector(1, 1, 1);
+			const offset = 5;
+			expect(tri.cut(new Plane(normal, offset))).to.deep.equal(tri.cut(normal.unit(), offset / normal.length));
+		});
+
 		it('should have the triangle in both above and below if it is co-planar with the cut plane', function() {			
 			const normal = tri.normal;
 			const offset = Vector.dot(tri.normal, tri[0]);
@@ -104,6 +201,37 @@ describe('Triangle', function() {
 			expect(cut.below).to.deep.equal(tri);
 		});
 
+		describe('near the cut plane', function() {
+			afterEach(function() {
+				setRobust(true);
+			});
+
+			it('should consider vertices within EPSILON to be on the cut plane', function() {
+				[true, false].forEach(robust => {
+					setRobust(robust);
+					const cut = tri.cut(new Vector(1, 0, 0), 1 + EPSILON / 10);
+					expect(cut.above).to.be.an.instanceof(Triangle);
+					expect(cut.below).to.be.an.instanceof(Triangle);
+				});
+			});
+
+			it('should classify vertices the same way as Polygon.cut', function() {
+				// The polygon shares tri[0] and tri[2] with the triangle. tri[0] is barely below the cut plane. 
+				// Neither cut may introduce a new vertex next to it.
+				const polygon = new Polygon(tri[0], tri[2], new Vector(-2, 0, 0), new Vector(0, -1, -1));
+				const normal = new Vector(1, 0, 0);
+				const offset = 1 + EPSILON / 10;
+
+				const cut = tri.cut(normal, offset);
+				const { above, below } = polygon.cut(normal, offset);
+				const vertices = [ cut.above, cut.below, ...above, ...below ].flat();
+				vertices
+					.filter(vertex => vertex.subtract(tri[0]).length < 1.0e-6)
+					.forEach(vertex => expect(vertex).to.deep.equal(tri[0]));
+				expect(above).to.be.empty;
+			});
+		});
+
 		it('should cut the triangle into two triangles if one of its vertices is on the cut plane and the other two are on opposite sides', function() {
 			const normal = new Vector(1, 1, 1);
 			const offset = Vector.dot(normal, tri[2]);
@@ -158,6 +286,109 @@ describe('Triangle', function() {
 		});
 	});
 
+	describe('.distanceTo', function() {
+		it('should return the distance to the closest point', function() {
+			const tri = new Triangle(new Vector(0, 0, 0), new Vector(4, 0, 0), new Vector(0, 4, 0));
+			expect(tri.distanceTo(new Vector(1, 1, 3))).to.be.approximately(3, EPSILON);
+			expect(tri.distanceTo(new Vector(-3, -4, 0))).to.be.approximately(5, EPSILON);
+			expect(tri.distanceTo(new Vector(1, 1, 0))).to.be.approximately(0, EPSILON);
+		});
+	});
+
+	describe('.closestPoints', function() {
+		let tri;
+		beforeEach(function() {
+			tri = new Triangle(new Vector(0, 0, 0), new Vector(4, 0, 0), new Vector(0, 4, 0));
+		});
+
+		it('should find a vertex closest to the other triangle\'s face', function() {
+			const other = new Triangle(new Vector(1, 1, 2), new Vector(5, 5, 6), new Vector(-2, 6, 6));
+			const { distance, points } = tri.closestPoints(other);
+			expect(distance).to.be.approximately(2, EPSILON);
+			expect(points[0].equals(new Vector(1, 1, 0))).to.be.true;
+			expect(points[1].equals(new Vector(1, 1, 2))).to.be.true;
+		});
+
+		it('should find the closest points of two edges', function() {
+			const other = new Triangle(new Vector(2, -1, -3), new Vector(2, 1, -3.5), new Vector(2, 0, -6));
+			const { distance, points } = tri.closestPoints(other);
+			// The closest point on the other triangle's upper edge is at the parameter t that minimizes 
+			// (1 - 2t)^2 + (3 + 0.5t)^2
+			const t = 1 / 8.5;
+			expect(distance).to.be.approximately(Math.hypot(1 - 2 * t, 3 + 0.5 * t), EPSILON);
+			expect(points[0].equals(new Vector(2, 0, 0))).to.be.true;
+			expect(points[1].equals(new Vector(2, -1 + 2 * t, -3 - 0.5 * t))).to.be.true;
+		});
+
+		it('should find the distance of parallel triangles', function() {
+			const other = new Triangle(new Vector(0, 0, 1), new Vector(1, 0, 1), new Vector(0, 1, 1));
+			expect(tri.closestPoints(other).distance).to.be.approximately(1, EPSILON);
+		});
+
+		it('should return a distance of 0 for intersecting triangles', function() {
+			const other = new Triangle(new Vector(1, 1, -1), new Vector(1, 1, 1), new Vector(2, 1, 1));
+			const { distance, points } = tri.closestPoints(other);
+			expect(distance).to.equal(0);
+			expect(tri.distanceTo(points[0])).to.be.approximately(0, EPSILON);
+			expect(other.distanceTo(points[1])).to.be.approximately(0, EPSILON);
+		});
+	});
+
+	describe('.rayIntersect', function() {
+		let tri;
+		beforeEach(function() {
+			tri = new Triangle(
+				new Vector(0, 0, 1),
+				new Vector(4, 0, 1),
+				new Vector(0, 4, 1)
+			);
+		});
+
+		it('should return the distance, hit point and barycentric coordinates when the ray hits the triangle', function() {
+			const ray = new Ray(new Vector(1, 2, -1), new Vector(0, 0, 1));
+			const hit = tri.rayIntersect(ray);
+
+			expect(hit).to.be.an('object').with.all.keys('distance', 'point', 'barycentric');
+			expect(hit.distance).to.be.approximately(2, EPSILON);
+			expect(hit.point.equals(new Vector(1, 2, 1))).to.be.true;
+			// The barycentric coordinates should reproduce the hit point
+			const [ w0, w1, w2 ] = hit.barycentric;
+			expect(w0 + w1 + w2).to.be.approximately(1, EPSILON);
+			expect(tri[0].scale(w0).add(tri[1].scale(w1)).add(tri[2].scale(w2)).equals(hit.point)).to.be.true;
+		});
+
+		it('should hit the triangle from either side', function() {
+			const ray = new Ray(new Vector(1, 1, 5), new Vector(0, 0, -1));
+			expect(tri.rayIntersect(ray)).to.have.property('distance').that.is.approximately(4, EPSILON);
+		});
+
+		it('should hit the triangle on its edges and vertices', function() {
+			[ tri[0], tri[1], tri[2], new Vector(2, 2, 1) ].forEach(target => {
+				const ray = new Ray(target.add(new Vector(0, 0, -1)), new Vector(0, 0, 1));
+				expect(tri.rayIntersect(ray), target.toString()).to.be.an('object');
+			});
+		});
+
+		it('should hit small triangles', function() {
+			const small = new Triangle(tri.map(v => v.scale(1e-5)));
+			const ray = new Ray(new Vector(1e-5, 1e-5, -1), new Vector(0, 0, 1));
+			const hit = small.rayIntersect(ray);
+			expect(hit).to.be.an('object');
+			expect(hit.distance).to.be.approximately(1 + 1e-5, EPSILON);
+		});
+
+		it('should return null if the ray misses the triangle', function() {
+			let ray = new Ray(new Vector(3, 3, -1), new Vector(0, 0, 1));
+			expect(tri.rayIntersect(ray), 'passes beside the triangle').to.be.null;
+
+			ray = new Ray(new Vector(1, 1, 2), new Vector(0, 0, 1));
+			expect(tri.rayIntersect(ray), 'triangle is behind the origin').to.be.null;
+
+			ray = new Ray(new Vector(1, 1, 2), new Vector(1, 0, 0));
+			expect(tri.rayIntersect(ray), 'parallel to the triangle').to.be.null;
+		});
+	});
+
 	describe('.intersect', function() {
 		let tri1;
 		beforeEach(function() {
@@ -340,4 +571,23 @@ describe('Triangle', function() {
 			expect(isect.equals(tri2)).to.be.true;
 		});
 	});
+
+	describe('.transform', function() {
+		const tri = new Triangle(new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(0, 1, 0));
+
+		it('should apply the transform to all vertices', function() {
+			const result = tri.transform(Transform.translation(new Vector(0, 0, 1)));
+			expect(result).to.be.an.instanceof(Triangle);
+			expect(result.equals(new Triangle(new Vector(0, 0, 1), new Vector(1, 0, 1), new Vector(0, 1, 1)))).to.be.true;
+		});
+
+		it('should keep the vertex order counter-clockwise when mirroring', function() {
+			const result = tri.transform(Transform.scaling(-1, 1, 1));
+			expect(result).to.be.an.instanceof(Triangle);
+			const expected = [ new Vector(0, 0, 0), new Vector(-1, 0, 0), new Vector(0, 1, 0) ];
+			expect(expected.every(vertex => result.some(v => v.equals(vertex)))).to.be.true;
+			// Mirroring at the yz-plane does not change the facing of a triangle in the xy-plane
+			expect(result.normal.unit().equals(tri.normal.unit())).to.be.true;
+		});
+	});
 });
\ No newline at end of file
@@ -1,6 +1,6 @@
 const EPSILON = 1.0e-8;
 const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
-const lineIntersect = (await import(`../../src/util/line-intersect.js?epsilon=${EPSILON}`)).default;
+const { default: lineIntersect, closestApproach } = await import(`../../src/util/line-intersect.js?epsilon=${EPSILON}`);
 
 describe('lineIntersect', function() {
 	let a1,b1;
@@ -37,5 +37,34 @@ describe('lineIntersect', function() {
 
 		expect(lineIntersect(a1, b1, a2, b2)).to.deep.equal(a1);
 	});
+
+	it('should return the intersection point of short lines', function() {
+		const scale = 1.0e-4;
+		const a2 = new Vector(0, 0, 0);
+		const b2 = new Vector(scale, 0, 0);
+		const result = lineIntersect(new Vector(0, -scale, 0), new Vector(0, scale, 0), a2, b2);
+		expect(result).to.be.an.instanceof(Vector);
+		expect(result.equals(a2)).to.be.true;
+	});
+
+	describe('closestApproach', function() {
+		it('should return the parameters of the closest points of approach', function() {
+			const result = closestApproach(new Vector(0, 0, 0), new Vector(2, 0, 0), new Vector(1, -1, 3), new Vector(1, 1, 3));
+			expect(result.t1).to.be.approximately(0.5, EPSILON);
+			expect(result.t2).to.be.approximately(0.5, EPSILON);
+		});
+
+		it('should return null if the lines are parallel', function() {
+			expect(closestApproach(new Vector(0, 0, 0), new Vector(2, 0, 0), new Vector(0, 1, 0), new Vector(1, 1, 0))).to.be.null;
+		});
+
+		it('should not treat short lines as parallel', function() {
+			const scale = 1.0e-4;
+			const result = closestApproach(new Vector(0, 0, 0), new Vector(scale, 0, 0), new Vector(0, -scale, 1), new Vector(0, scale, 1));
+			expect(result).to.not.be.null;
+			expect(result.t1).to.be.approximately(0, EPSILON);
+			expect(result.t2).to.be.approximately(0.5, EPSILON);
+		});
+	});
 });
 
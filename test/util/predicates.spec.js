@@ -0,0 +1,129 @@
+import { orient2d, orient3d, incircle, planeSide, orientPolygon, setRobust } from '../../src/util/predicates.js';
+
+const EPSILON = 1.0e-8;
+
+describe('predicates', function() {
+	// The difference between 0.5 and the next larger double
+	const ULP = 2 ** -53;
+
+	describe('orient2d', function() {
+		it('should return +1 for counter-clockwise, -1 for clockwise and 0 for collinear points', function() {
+			const a = { x: 0, y: 0 };
+			const b = { x: 4, y: 0 };
+			expect(orient2d(a, b, { x: 1, y: 3 })).to.equal(+1);
+			expect(orient2d(a, b, { x: 1, y: -3 })).to.equal(-1);
+			expect(orient2d(a, b, { x: 7, y: 0 })).to.equal(0);
+		});
+
+		it('should decide nearly collinear points correctly', function() {
+			const a = { x: 12, y: 12 };
+			const b = { x: 24, y: 24 };
+			// Plain floating point arithmetic gets all of these wrong
+			expect(orient2d(a, b, { x: 0.5, y: 0.5 + ULP })).to.equal(+1);
+			expect(orient2d(a, b, { x: 0.5 + ULP, y: 0.5 })).to.equal(-1);
+			expect(orient2d(a, b, { x: 0.5 + 41 * ULP, y: 0.5 + 48 * ULP })).to.equal(+1);
+		});
+
+		it('should give consistent results for permutations of the same points', function() {
+			const a = { x: 12, y: 12 };
+			const b = { x: 24, y: 24 };
+			for (let i = 0; i < 16; i++)
+				for (let j = 0; j < 16; j++) {
+					const c = { x: 0.5 + i * ULP, y: 0.5 + j * ULP };
+					const orientation = orient2d(a, b, c);
+					expect(orient2d(b, c, a)).to.equal(orientation);
+					expect(orient2d(c, a, b)).to.equal(orientation);
+					expect(orient2d(b, a, c)).to.equal(-orientation || 0);
+				}
+		});
+	});
+
+	describe('orient3d', function() {
+		it('should return +1 for points on the side the normal points to, -1 for the other side and 0 for co-planar points', function() {
+			const a = { x: 0, y: 0, z: 0 };
+			const b = { x: 1, y: 0, z: 0 };
+			const c = { x: 0, y: 1, z: 0 };
+			expect(orient3d(a, b, c, { x: 0.2, y: 0.2, z: 1 })).to.equal(+1);
+			expect(orient3d(a, b, c, { x: 0.2, y: 0.2, z: -1 })).to.equal(-1);
+			expect(orient3d(a, b, c, { x: 5, y: -3, z: 0 })).to.equal(0);
+		});
+
+		it('should decide nearly co-planar points correctly', function() {
+			// All points are on the plane x + y + z = 1.5, except that d is moved off it by the smallest possible amount.
+			// The normal (b - a) x (c - a) points in the direction of (-1, -1, -1).
+			const a = { x: 0.5, y: 0.5, z: 0.5 };
+			const b = { x: 12, y: -10.5, z: 0 };
+			const c = { x: -24, y: 0, z: 25.5 };
+			expect(orient3d(a, b, c, { x: 0.5, y: 0.5, z: 0.5 - ULP / 2 })).to.equal(+1);
+			expect(orient3d(a, b, c, { x: 0.5, y: 0.5, z: 0.5 + ULP })).to.equal(-1);
+			expect(orient3d(a, b, c, { x: 0.5, y: 0.75, z: 0.25 })).to.equal(0);
+		});
+	});
+
+	describe('incircle', function() {
+		it('should return +1 for points inside, -1 for points outside and 0 for points on the circle', function() {
+			const a = { x: 0, y: 0 };
+			const b = { x: 1, y: 0 };
+			const c = { x: 0, y: 1 };
+			expect(incircle(a, b, c, { x: 0.5, y: 0.5 })).to.equal(+1);
+			expect(incircle(a, b, c, { x: 2, y: 2 })).to.equal(-1);
+			expect(incircle(a, b, c, { x: 1, y: 1 })).to.equal(0);
+		});
+
+		it('should decide points nearly on the circle correctly', function() {
+			const a = { x: 0, y: 0 };
+			const b = { x: 1, y: 0 };
+			const c = { x: 0, y: 1 };
+			expect(incircle(a, b, c, { x: 1, y: 1 - ULP })).to.equal(+1);
+			expect(incircle(a, b, c, { x: 1, y: 1 + 2 * ULP })).to.equal(-1);
+		});
+	});
+
+	describe('planeSide', function() {
+		it('should return +1 above, -1 below and 0 on the plane', function() {
+			const normal = { x: 1, y: 2, z: 3 };
+			expect(planeSide(normal, 6, { x: 1, y: 1, z: 1 })).to.equal(0);
+			expect(planeSide(normal, 6, { x: 1, y: 1, z: 2 })).to.equal(+1);
+			expect(planeSide(normal, 6, { x: 1, y: 1, z: 0 })).to.equal(-1);
+		});
+
+		it('should decide points nearly on the plane correctly', function() {
+			const normal = { x: 1, y: 2, z: 3 };
+			expect(planeSide(normal, 6, { x: 1, y: 1, z: 1 + 2 * ULP })).to.equal(+1);
+			expect(planeSide(normal, 6, { x: 1 - ULP, y: 1, z: 1 })).to.equal(-1);
+		});
+	});
+
+	describe('orientPolygon', function() {
+		it('should return the sign of the polygon\'s area', function() {
+			const vertices = [
+				{ x: 0, y: 0 },
+				{ x: 4, y: 0 },
+				{ x: 6, y: 2 },
+				{ x: 2, y: 3 }
+			];
+			expect(orientPolygon(vertices)).to.equal(+1);
+			expect(orientPolygon(vertices.reverse())).to.equal(-1);
+			expect(orientPolygon([ 1, 2, 3 ].map(x => ({ x, y: x })))).to.equal(0);
+		});
+
+		it('should decide nearly degenerate polygons correctly', function() {
+			expect(orientPolygon([ { x: 12, y: 12 }, { x: 24, y: 24 }, { x: 0.5, y: 0.5 + ULP } ])).to.equal(+1);
+		});
+	});
+
+	describe('setRobust', function() {
+		afterEach(function() {
+			setRobust(true);
+		});
+
+		it('should fall back to epsilon comparisons when switched off', function() {
+			setRobust(false);
+			const a = { x: 12, y: 12 };
+			const b = { x: 24, y: 24 };
+			expect(orient2d(a, b, { x: 0.5, y: 0.5 + ULP }, EPSILON)).to.equal(0);
+			expect(orient2d(a, b, { x: 0.5, y: 0.5 + 1.0e-6 }, EPSILON)).to.equal(+1);
+			expect(planeSide({ x: 0, y: 0, z: 1 }, 0, { x: 0, y: 0, z: EPSILON / 2 }, EPSILON)).to.equal(0);
+		});
+	});
+});
\ No newline at end of file
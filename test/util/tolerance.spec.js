@@ -0,0 +1,55 @@
+import { ToleranceContext, onToleranceChange, currentContext } from '../../src/util/tolerance.js';
+
+describe('ToleranceContext', function() {
+	it('should reject invalid tolerances', function() {
+		expect(() => new ToleranceContext({ epsilon: -1 })).to.throw(TypeError);
+		expect(() => new ToleranceContext({ epsilon: 0 })).to.throw(TypeError);
+		expect(() => new ToleranceContext({})).to.throw(TypeError);
+	});
+
+	describe('.run', function() {
+		let context;
+		let unregister;
+		beforeEach(function() {
+			context = new ToleranceContext({ epsilon: 1.0e-3 });
+			unregister = null;
+		});
+
+		afterEach(function() {
+			unregister?.();
+		});
+
+		it('should be in effect while running, and return the result', function() {
+			expect(currentContext()).to.be.null;
+			expect(context.run(() => currentContext())).to.equal(context);
+			expect(currentContext()).to.be.null;
+		});
+
+		it('should put the innermost context into effect when nested', function() {
+			const inner = new ToleranceContext({ epsilon: 1.0e-5 });
+			context.run(() => {
+				expect(inner.run(() => currentContext())).to.equal(inner);
+				expect(currentContext()).to.equal(context);
+			});
+		});
+
+		it('should end the context even if the function throws', function() {
+			expect(() => context.run(() => { throw new Error(); })).to.throw();
+			expect(currentContext()).to.be.null;
+		});
+
+		it('should notify listeners when the context changes', function() {
+			const notifications = [];
+			unregister = onToleranceChange(context => notifications.push(context));
+			context.run(() => {});
+			expect(notifications).to.deep.equal([ null, context, null ]);
+		});
+
+		it('should not notify listeners after they were unregistered', function() {
+			const notifications = [];
+			onToleranceChange(context => notifications.push(context))();
+			context.run(() => {});
+			expect(notifications).to.deep.equal([ null ]);
+		});
+	});
+});
\ No newline at end of file
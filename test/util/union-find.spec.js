@@ -0,0 +1,31 @@
+import UnionFind from '../../src/util/union-find.js';
+
+describe('UnionFind', function() {
+	let forest;
+	beforeEach(function() {
+		forest = new UnionFind(6);
+	});
+
+	it('should start with every element in a set of its own', function() {
+		expect(forest.sets()).to.deep.equal([ [ 0 ], [ 1 ], [ 2 ], [ 3 ], [ 4 ], [ 5 ] ]);
+		for (let i = 0; i < 6; i++)
+			expect(forest.find(i)).to.equal(i);
+	});
+
+	it('should merge sets', function() {
+		expect(forest.union(0, 3)).to.be.true;
+		expect(forest.union(4, 3)).to.be.true;
+		expect(forest.union(5, 1)).to.be.true;
+		expect(forest.find(0)).to.equal(forest.find(4));
+		expect(forest.find(1)).to.equal(forest.find(5));
+		expect(forest.find(0)).to.not.equal(forest.find(1));
+		expect(forest.sets()).to.deep.equal([ [ 0, 3, 4 ], [ 1, 5 ], [ 2 ] ]);
+	});
+
+	it('should return false when merging elements of the same set', function() {
+		forest.union(0, 1);
+		forest.union(1, 2);
+		expect(forest.union(2, 0)).to.be.false;
+		expect(forest.sets()).to.have.lengthOf(4);
+	});
+});
\ No newline at end of file
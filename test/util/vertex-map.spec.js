@@ -0,0 +1,42 @@
+import VertexMap from '../../src/util/vertex-map.js';
+
+const EPSILON = 1.0e-8;
+const Vector = (await import(`../../src/vector.js?epsilon=${EPSILON}`)).default;
+
+describe('VertexMap', function() {
+	let map;
+	beforeEach(function() {
+		map = new VertexMap(EPSILON);
+	});
+
+	it('should assign consecutive indices to new vertices', function() {
+		expect(map.add(new Vector(1, 2, 3))).to.equal(0);
+		expect(map.add(new Vector(3, 2, 1))).to.equal(1);
+		expect(map.vertices).to.deep.equal([ new Vector(1, 2, 3), new Vector(3, 2, 1) ]);
+	});
+
+	it('should return the existing index for identical vertices', function() {
+		const v = new Vector(1, 2, 3);
+		map.add(v);
+		map.add(new Vector(3, 2, 1));
+		expect(map.add(v)).to.equal(0);
+		// Vertices within EPSILON, also across cell boundaries
+		expect(map.add(new Vector(1 + 0.9 * EPSILON, 2 - 0.9 * EPSILON, 3))).to.equal(0);
+		expect(map.vertices).to.have.lengthOf(2);
+	});
+
+	it('should not treat vertices further apart than EPSILON as identical', function() {
+		map.add(new Vector(1, 2, 3));
+		expect(map.indexOf(new Vector(1 + 2 * EPSILON, 2, 3))).to.equal(-1);
+		expect(map.add(new Vector(1 + 2 * EPSILON, 2, 3))).to.equal(1);
+	});
+
+	it('should return the earliest added of several identical vertices', function() {
+		map = new VertexMap(1);
+		map.add(new Vector(0.9, 0, 0));
+		map.add(new Vector(-0.2, 0, 0));
+		// Within the tolerance of both, which are in different cells
+		expect(map.indexOf(new Vector(0.35, 0, 0))).to.equal(0);
+		expect(map.indexOf(new Vector(0.3, 0, 0))).to.equal(0);
+	});
+});
@@ -1,5 +1,6 @@
 const EPSILON = 1.0e-8;
 const Vector = (await import(`../src/vector.js?epsilon=${EPSILON}`)).default;
+const Transform = (await import(`../src/transform.js?epsilon=${EPSILON}`)).default;
 
 describe('Vector', function() {
 	describe('.equals', function() {
@@ -25,4 +26,11 @@ describe('Vector', function() {
 
 		});
 	});
+
+	describe('.transform', function() {
+		it('should apply the transform to the vector', function() {
+			const t = Transform.translation(new Vector(1, 2, 3));
+			expect(new Vector(1, 1, 1).transform(t)).to.deep.equal(new Vector(2, 3, 4));
+		});
+	});
 });
\ No newline at end of file